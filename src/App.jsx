@@ -1,14 +1,36 @@
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 
 /**
  * Cloud Infrastructure Order Wizard — Unified (Azure + AWS + GCP)
  * - Requirement steps
+ * - IP address allocation carved from the Networking address space
  * - Rule-based design generator per cloud
- * - SVG topology diagram (hub + multiple spokes)
- * - CI/CD YAML generator
- * - Policy-as-Code baselines per cloud
- * - Rough cost estimator
- * - Terraform exporters (Azure rich, AWS/GCP minimal)
+ * - Compliance engine (framework controls drive residency, CMEK, log and backup retention, CDE segmentation;
+ *   traceability matrix)
+ * - CIDR validation and overlap checks (blocks exports while invalid)
+ * - Multi-region landing zones (hub per region, global peering, global entry point)
+ * - Auto-laid-out topology diagram (regions, subnets, components, on-prem links; zoom/pan/hover; SVG/PNG export)
+ * - draw.io (mxGraph XML, cloud icon shapes) and Mermaid flowchart exports of the landing zone
+ * - CI/CD pipelines (GitHub Actions, Azure DevOps, GitLab CI) for the chosen IaC tool (Terraform, Bicep what-if/create,
+ *   Pulumi preview/up per stack): validate, PR plans, approval-gated dev/test/prod deploys, OIDC login, drift checks
+ * - Pipeline security scans (tflint, trivy, Checkov, gitleaks, npm audit) and an Infracost diff; thresholds tighten
+ *   with the selected compliance frameworks and zero trust
+ * - Availability engine: zone redundancy, instance counts and autoscale ranges, database replication, backup
+ *   frequency and active/passive or active/active DR from SLA, RTO, RPO and traffic; composite SLA with warnings
+ * - Backup and DR: vault and backup plan per cloud (retention from RPO and compliance, cross-region copies) and a
+ *   downloadable runbook with failover and restore steps per component
+ * - Policy-as-Code exports per cloud (Azure Policy initiative, AWS SCP/Tag Policy/Config rules, GCP Org Policy)
+ * - Cost estimator backed by a versioned price catalog (line items per resource and region)
+ * - Side-by-side Azure / AWS / GCP comparison with one-click switch of the order's cloud
+ * - Local order library (autosaved drafts; open, duplicate, rename, delete)
+ * - Order JSON import (file picker or drag-and-drop) with schema checks and version migration
+ * - Versioned JSON Schema for the order document (`$schema` in metadata; exports are validated against it)
+ * - Share links: the form and current step compressed into the URL hash
+ * - Design diff between two order versions (structured changes, cost delta, Terraform text diff)
+ * - Terraform exporters per cloud (network, workloads, security, operations; all honour the topology model)
+ * - Terraform repository bundle (root + per-concern modules, backend, tfvars, README, CI) as a ZIP
+ * - Bicep module set for Azure when Bicep is the selected IaC tool
+ * - Pulumi TypeScript project for any cloud when Pulumi is the selected IaC tool
  */
 
 const STEPS = [
@@ -50,6 +72,20 @@ const REGIONS = [
   { cloud: "GCP", regions: ["europe-north1 (Finland)", "europe-west1 (Belgium)", "europe-west2 (London)"] },
 ];
 
+const SLA_TIERS = ["99.0%", "99.5%", "99.9%", "99.95%", "99.99%"];
+const TRAFFIC_LEVELS = ["low", "moderate", "high", "unknown"];
+const TOPOLOGIES = ["hub-spoke", "flat", "mesh"];
+const ON_PREM_CONNECTIVITY = ["none", "vpn-client-only", "site-to-site", "expressroute", "direct-connect"];
+const IAC_TOOLS = ["Terraform", "Bicep", "Pulumi"];
+const CICD_SYSTEMS = ["GitHub Actions", "Azure DevOps", "GitLab CI"];
+const MONITORING_TOOLS = [
+  "Log Analytics",
+  "App Insights",
+  "Prometheus/Grafana",
+  "CloudWatch/CloudTrail",
+  "GCP Cloud Ops",
+];
+
 const defaultForm = {
   orgName: "",
   contactEmail: "",
@@ -68,8 +104,8 @@ const defaultForm = {
   availability: {
     slaTier: "99.9%",
     multiRegion: false,
-    drRtoHours: 4,
-    drRpoMinutes: 30,
+    drRtoHours: 8,
+    drRpoMinutes: 60,
     trafficLevel: "moderate", // low|moderate|high|unknown
   },
   security: {
@@ -161,6 +197,21 @@ function Badge({ children }) {
     </span>
   );
 }
+function FieldIssues({ issues }) {
+  return issues.map((i, index) => (
+    <p key={`${i.field}:${index}`} className={`text-sm ${i.severity === "error" ? "text-red-600" : "text-amber-600"}`}>
+      {i.message}
+    </p>
+  ));
+}
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
 function Stepper({ current }) {
   return (
     <ol className="flex flex-wrap items-center gap-2 text-sm">
@@ -184,15 +235,689 @@ function Stepper({ current }) {
   );
 }
 
+/* ------------ IP address allocation ------------ */
+function ipToInt(ip) {
+  const parts = String(ip).split(".").map(Number);
+  if (parts.length !== 4 || parts.some((p) => !Number.isInteger(p) || p < 0 || p > 255)) return null;
+  return ((parts[0] * 256 + parts[1]) * 256 + parts[2]) * 256 + parts[3];
+}
+
+function intToIp(n) {
+  return [16777216, 65536, 256, 1].map((d) => Math.floor(n / d) % 256).join(".");
+}
+
+function parseCidr(cidr) {
+  // "10.10.0.0/16" -> { base, prefix, size }, or null when not IPv4 CIDR notation
+  const m = /^(\d{1,3}(?:\.\d{1,3}){3})\/(\d{1,2})$/.exec(String(cidr || "").trim());
+  if (!m) return null;
+  const ip = ipToInt(m[1]);
+  const prefix = Number(m[2]);
+  if (ip === null || prefix > 32) return null;
+  const size = 2 ** (32 - prefix);
+  return { base: ip - (ip % size), prefix, size };
+}
+
+function formatCidr(base, prefix) {
+  return `${intToIp(base)}/${prefix}`;
+}
+
+function prefixForSize(addresses) {
+  let prefix = 32;
+  while (prefix > 0 && 2 ** (32 - prefix) < addresses) prefix--;
+  return prefix;
+}
+
+function blockSize(prefix) {
+  return 2 ** (32 - prefix);
+}
+
+// Packs power-of-two blocks largest-first so every block stays aligned; results keep request order.
+function allocateBlocks(parent, requests) {
+  const needed = requests.reduce((n, r) => n + blockSize(r.prefix), 0);
+  if (needed > parent.size) return { blocks: [], needed };
+  const blocks = [];
+  let cursor = parent.base;
+  requests
+    .map((r, i) => ({ ...r, i }))
+    .sort((a, b) => a.prefix - b.prefix || a.i - b.i)
+    .forEach((r) => {
+      blocks[r.i] = { name: r.name, cidr: formatCidr(cursor, r.prefix) };
+      cursor += blockSize(r.prefix);
+    });
+  return { blocks, needed };
+}
+
+// Splits a CIDR into `parts` equal power-of-two blocks (a /16 for three regions -> four /18s, three used).
+function splitCidr(cidr, parts) {
+  const parent = parseCidr(cidr);
+  if (!parent || parts <= 1) return Array.from({ length: Math.max(1, parts) }).map(() => cidr);
+  const prefix = Math.min(32, parent.prefix + Math.ceil(Math.log2(parts)));
+  return Array.from({ length: parts }).map((_, i) => formatCidr(parent.base + i * blockSize(prefix), prefix));
+}
+
+function hubSubnetPlan(form, cloud) {
+  if (cloud === "Azure") {
+    return [
+      { name: "AzureFirewallSubnet", prefix: 26 },
+      { name: "AzureBastionSubnet", prefix: 26 },
+      form.networking.onPremConnectivity !== "none" ? { name: "GatewaySubnet", prefix: 27 } : null,
+      { name: "shared-services", prefix: 24 },
+      form.security.privateEndpoints ? { name: "private-endpoints", prefix: 24 } : null,
+    ].filter(Boolean);
+  }
+  if (cloud === "AWS") {
+    return [
+      { name: "public-a", prefix: 24 },
+      { name: "public-b", prefix: 24 },
+      { name: "private-a", prefix: 24 },
+      { name: "private-b", prefix: 24 },
+    ];
+  }
+  return [
+    { name: "apps", prefix: 24 },
+    { name: "data", prefix: 24 },
+    { name: "admin", prefix: 24 },
+  ];
+}
+
+function spokeSubnetPlan(form) {
+  const w = form.workloads;
+  return [
+    { name: "app", prefix: form.availability.trafficLevel === "high" ? 23 : 24 },
+    { name: "data", prefix: w.data ? 24 : 26 },
+    { name: "admin", prefix: 26 },
+    w.containers ? { name: "containers", prefix: 22 } : null,
+    w.webapp || w.serverless ? { name: "integration", prefix: 26 } : null,
+    form.security.privateEndpoints ? { name: "private-endpoints", prefix: 26 } : null,
+  ].filter(Boolean);
+}
+
+// Flat topology: shared-service subnets and workload segments in one VNet/VPC.
+function flatSubnetPlan(form, cloud) {
+  const shared = cloud === "GCP" ? [] : hubSubnetPlan(form, cloud);
+  const names = new Set(shared.map((s) => s.name));
+  const cde = complianceRequirements(form.compliance).cdeSegmentation ? [{ name: "cde", prefix: 26 }] : [];
+  return [...shared, ...spokeSubnetPlan(form).filter((s) => !names.has(s.name)), ...cde];
+}
+
+function planPrefix(plan) {
+  return prefixForSize(plan.reduce((n, s) => n + blockSize(s.prefix), 0));
+}
+
+/**
+ * Carves the hub (the single network for flat topologies), `spokeCount` spokes and their subnets out of `cidr`
+ * (the Networking address space, or one region's share of it).
+ * Returns `{ hub, spokes, error }`; on error the hub has no ranges and no spokes are planned.
+ */
+function planAddressSpace(form, cloud, spokeCount, cidr = form.networking.addressSpace) {
+  const empty = { hub: { addressSpace: "", subnets: [] }, spokes: [] };
+  const parent = parseCidr(cidr);
+  if (!parent) return { ...empty, error: `Address space "${cidr}" is not a valid IPv4 CIDR (e.g. 10.10.0.0/16).` };
+
+  const flat = form.networking.topology === "flat";
+  const hubPlan = flat ? flatSubnetPlan(form, cloud) : hubSubnetPlan(form, cloud);
+  const spokePlan = spokeSubnetPlan(form);
+  const hubPrefix = planPrefix(hubPlan);
+  const spokePrefix = planPrefix(spokePlan);
+  const count = Math.max(0, spokeCount || 0);
+
+  const vnets = allocateBlocks(parent, [
+    { name: "hub", prefix: hubPrefix },
+    ...Array.from({ length: count }).map((_, idx) => ({ name: `spoke-${idx}`, prefix: spokePrefix })),
+  ]);
+  if (!vnets.blocks.length) {
+    const maxSpokes = Math.max(0, Math.floor((parent.size - blockSize(hubPrefix)) / blockSize(spokePrefix)));
+    return {
+      ...empty,
+      error:
+        `Address space ${formatCidr(parent.base, parent.prefix)} is too small: the ${flat ? "network" : "hub"} (/${hubPrefix}) and ` +
+        `${count} spoke(s) (/${spokePrefix} each) need ${vnets.needed} addresses but only ${parent.size} are ` +
+        `available. Use a larger range${maxSpokes ? ` or at most ${maxSpokes} spoke(s)` : ""}.`,
+    };
+  }
+
+  const carve = (block, plan) => ({
+    addressSpace: block.cidr,
+    subnets: allocateBlocks(parseCidr(block.cidr), plan).blocks,
+  });
+  const [hubBlock, ...spokeBlocks] = vnets.blocks;
+  return {
+    hub: carve(hubBlock, hubPlan),
+    spokes: spokeBlocks.map((b) => carve(b, spokePlan)),
+    error: null,
+  };
+}
+
+/* ------------ Topology ------------ */
+// hub-spoke: hub <-> each spoke; mesh: every network with every other; flat: single network, no peering.
+function planPeerings(model, networks) {
+  if (model === "flat") return [];
+  const [hub, ...spokes] = networks;
+  // A cardholder data environment only ever peers with its hub, even in a mesh.
+  if (model === "mesh")
+    return networks.flatMap((a, i) =>
+      networks
+        .slice(i + 1)
+        .filter((b) => i === 0 || !(a.cde || b.cde))
+        .map((b) => ({ from: a.name, to: b.name }))
+    );
+  return spokes.map((sp) => ({ from: hub.name, to: sp.name }));
+}
+
+/* ------------ Regions ------------ */
+const GLOBAL_ENTRY = {
+  Azure: "Azure Front Door",
+  AWS: "Route 53 latency routing",
+  GCP: "Cloud DNS + global external HTTP(S) LB",
+};
+
+function transitFor(cloud, model) {
+  if (model === "flat") return "none";
+  if (cloud === "Azure") return "vnet-peering";
+  if (cloud === "AWS") return "transit-gateway";
+  return model === "mesh" ? "network-connectivity-center" : "vpc-peering";
+}
+
+function hubServices(form, cloud, model) {
+  if (cloud === "Azure")
+    return [
+      form.security.ddos ? "DDoS Protection" : null,
+      "Azure Firewall",
+      "Azure Bastion",
+      form.security.privateEndpoints ? "Private DNS Zones" : null,
+    ].filter(Boolean);
+  if (cloud === "AWS") return ["IGW", "NAT Gateway", model !== "flat" ? "Transit Gateway" : null].filter(Boolean);
+  return [
+    "Cloud NAT",
+    "IAP/Bastion",
+    model === "hub-spoke" ? "Shared VPC host" : null,
+    model === "mesh" ? "Network Connectivity Center" : null,
+  ].filter(Boolean);
+}
+
+// Hub, spokes and intra-region peerings for one region, addressed from that region's share of the address space.
+// PCI DSS adds a cardholder data environment: the last spoke, or a "cde" subnet of the single flat network.
+function planRegion(form, cloud, model, region, addressSpace) {
+  const segmentCde = complianceRequirements(form.compliance).cdeSegmentation;
+  const workloadSpokes =
+    model === "flat"
+      ? 0
+      : cloud === "Azure"
+      ? form.networking.spokeCount
+      : Math.max(1, form.networking.spokeCount - 1);
+  const spokeCount = workloadSpokes + (segmentCde && model !== "flat" ? 1 : 0);
+  const plan = planAddressSpace(form, cloud, spokeCount, addressSpace);
+  const hubLabel = model === "flat" ? "main" : cloud === "GCP" ? "vpc" : "hub";
+  const hub = {
+    name: `${(form.orgName || "org")}-${hubLabel}-${region}`.toLowerCase().replace(/\s+/g, "-"),
+    ...plan.hub,
+    services: hubServices(form, cloud, model),
+  };
+  const cdeSubnet = model === "flat" && segmentCde && hub.subnets.find((s) => s.name === "cde");
+  if (cdeSubnet)
+    hub.cde = {
+      cidr: cdeSubnet.cidr,
+      allowedSources: [cdeSubnet.cidr, ...hub.subnets.filter((s) => s.name === "app").map((s) => s.cidr)],
+    };
+  const spokes = plan.spokes.map((sp, idx) => {
+    const isCde = idx === workloadSpokes;
+    const spokeName = isCde
+      ? "cde"
+      : cloud !== "Azure"
+      ? `spoke-${idx + 1}`
+      : idx === 0
+      ? "app"
+      : idx === 1
+      ? "data"
+      : `spoke-${idx + 1}`;
+    return {
+      name: `${spokeName}-${region}`.toLowerCase().replace(/\s+/g, "-"),
+      addressSpace: sp.addressSpace,
+      subnets: sp.subnets,
+      privateEndpoints: form.security.privateEndpoints,
+      ...(isCde ? { cde: { cidr: sp.addressSpace, allowedSources: [sp.addressSpace, hub.addressSpace] } } : {}),
+    };
+  });
+  return {
+    region,
+    addressSpace,
+    hub,
+    spokes,
+    peerings: planPeerings(model, [hub, ...spokes]),
+    error: plan.error,
+  };
+}
+
+// Primary region first, then secondary regions, each as `{ region, hub, spokes, peerings }`.
+function designRegions(landingZone) {
+  if (!landingZone) return [];
+  return [
+    {
+      region: landingZone.region,
+      hub: landingZone.hub,
+      spokes: landingZone.spokes || [],
+      peerings: landingZone.peerings || [],
+    },
+    ...(landingZone.secondaryRegions || []),
+  ];
+}
+
+/* ------------ Compliance ------------ */
+// Controls each framework maps to, with the clause that asks for it. A control is in scope as soon as one
+// selected framework references it.
+const COMPLIANCE_CONTROLS = [
+  { id: "data-residency", title: "Data residency in the selected regions", refs: { GDPR: "Art. 44" } },
+  {
+    id: "cmek",
+    title: "Encryption at rest with customer-managed keys",
+    refs: { "ISO 27001": "A.8.24", HIPAA: "§164.312(a)(2)(iv)", "PCI DSS": "Req. 3.5" },
+  },
+  {
+    id: "log-retention",
+    title: "Audit log retention",
+    refs: { "ISO 27001": "A.8.15", "SOC 2": "CC7.2", HIPAA: "§164.316(b)(2)", "PCI DSS": "Req. 10.5.1" },
+  },
+  { id: "cde-segmentation", title: "Network segmentation of cardholder data", refs: { "PCI DSS": "Req. 1.3" } },
+  {
+    id: "backup-retention",
+    title: "Backup retention and restore",
+    refs: { "ISO 27001": "A.8.13", "SOC 2": "A1.2", HIPAA: "§164.308(a)(7)(ii)(A)" },
+  },
+];
+
+// Minimum audit log retention per framework; the longest one wins.
+const LOG_RETENTION_DAYS = { "ISO 27001": 365, "SOC 2": 365, HIPAA: 2190, "PCI DSS": 365 };
+const DEFAULT_LOG_RETENTION_DAYS = { Azure: 30, AWS: 365, GCP: 365 };
+// Minimum backup retention per framework, kept as monthly recovery points; the longest one wins.
+const BACKUP_RETENTION_DAYS = { "ISO 27001": 365, "SOC 2": 365, HIPAA: 2190 };
+const BACKUP_SERVICES = { Azure: "Azure Backup", AWS: "AWS Backup", GCP: "Backup/DR" };
+
+// Resource types that implement each control, used to trace controls to Terraform addresses.
+const CONTROL_RESOURCES = {
+  "data-residency": /^(azurerm_resource_group_policy_assignment|google_project_organization_policy)\./,
+  cmek: /^(azurerm_key_vault|azurerm_key_vault_key|aws_kms_key|google_kms_crypto_key)\./,
+  "log-retention":
+    /^(azurerm_log_analytics_workspace|azurerm_log_analytics_workspace_table|aws_cloudwatch_log_group|google_logging_project_bucket_config)\./,
+  "cde-segmentation":
+    /^(azurerm_network_security_group|azurerm_subnet_network_security_group_association|aws_network_acl|google_compute_firewall)\..*cde/,
+  "backup-retention":
+    /^(azurerm_recovery_services_vault|azurerm_backup_policy_vm|aws_backup_vault|aws_backup_plan|google_backup_dr_backup_vault|google_backup_dr_backup_plan)\./,
+};
+
+function complianceRequirements(frameworks = []) {
+  const inScope = (id) => frameworks.some((f) => COMPLIANCE_CONTROLS.find((c) => c.id === id).refs[f]);
+  return {
+    dataResidency: inScope("data-residency"),
+    cmek: inScope("cmek"),
+    logRetentionDays: Math.max(0, ...frameworks.map((f) => LOG_RETENTION_DAYS[f] || 0)),
+    backupRetentionDays: Math.max(0, ...frameworks.map((f) => BACKUP_RETENTION_DAYS[f] || 0)),
+    cdeSegmentation: inScope("cde-segmentation"),
+  };
+}
+
+// Requirements and in-scope controls for the selected frameworks, with how this design implements each one.
+function complianceDesign(form, cloud, regions, security, logRetentionDays) {
+  const req = complianceRequirements(form.compliance);
+  const flat = form.networking.topology === "flat";
+  const implementation = {
+    "data-residency":
+      cloud === "Azure"
+        ? `Azure Policy "Allowed locations": ${regions.map(azureLocation).join(", ")}`
+        : cloud === "AWS"
+        ? `SCP denying regions other than ${regions.map(awsRegionCode).join(", ")}`
+        : `Org policy gcp.resourceLocations: ${regions.map((r) => `in:${r.split(" ")[0]}-locations`).join(", ")}`,
+    cmek: `${security.keyManagement} customer-managed key with automatic rotation`,
+    "log-retention": `Audit logs kept ${logRetentionDays} days${
+      cloud === "Azure" && logRetentionDays > 730 ? " (730 interactive, the rest archived)" : ""
+    }`,
+    "cde-segmentation": `Dedicated CDE ${flat ? "subnet" : "spoke"} per region; inbound only from the ${
+      flat ? "app subnet" : "hub"
+    }, everything else in the landing zone denied by ${
+      cloud === "Azure" ? "NSG" : cloud === "AWS" ? "network ACL" : "firewall rules"
+    }`,
+    "backup-retention": form.tooling.backup
+      ? `${BACKUP_SERVICES[cloud]} keeps monthly recovery points ${req.backupRetentionDays} days; restores per ` +
+        "component are described in the DR runbook"
+      : "Not implemented: Backup & Recovery is off in the order",
+  };
+  return {
+    frameworks: form.compliance,
+    requirements: {
+      allowedRegions: req.dataResidency ? regions : null,
+      cmek: req.cmek,
+      logRetentionDays: req.logRetentionDays || null,
+      backupRetentionDays: req.backupRetentionDays || null,
+      cdeSegmentation: req.cdeSegmentation,
+    },
+    controls: COMPLIANCE_CONTROLS.filter((c) => form.compliance.some((f) => c.refs[f])).map((c) => ({
+      id: c.id,
+      title: c.title,
+      refs: form.compliance.filter((f) => c.refs[f]).map((f) => `${f} ${c.refs[f]}`),
+      implementation: implementation[c.id],
+    })),
+  };
+}
+
+/**
+ * Control-to-resource traceability: one row per in-scope control with the Terraform addresses implementing it.
+ */
+function complianceMatrix(obj) {
+  const controls = obj?.design?.compliance?.controls || [];
+  const addresses = hclBlocks(terraformFromDesign(obj))
+    .map(hclAddress)
+    .filter((a) => a && !a.startsWith("data."));
+  return controls.map((c) => ({
+    ...c,
+    resources: addresses.filter((a) => CONTROL_RESOURCES[c.id]?.test(a)),
+  }));
+}
+
+/* ------------ Availability ------------ */
+// Published SLAs (%) of the services behind each component (and hub service): [service, single-zone, zone-redundant].
+const COMPONENT_SLAS = {
+  "Front Door + App Service": [["App Service", 99.95, 99.95]],
+  "AKS + ACR": [
+    ["AKS (Standard tier)", 99.9, 99.95],
+    ["Container Registry", 99.9, 99.9],
+  ],
+  "VM Scale Set": [["Virtual Machines", 99.95, 99.99]],
+  "ADLS + Synapse/ADF": [
+    ["Data Lake Storage", 99.9, 99.9],
+    ["Synapse Analytics", 99.9, 99.9],
+    ["Data Factory", 99.9, 99.9],
+  ],
+  "Functions + Service Bus": [
+    ["Functions (Premium)", 99.95, 99.95],
+    ["Service Bus", 99.9, 99.95],
+  ],
+  "Entra ID App Registrations + Graph API": [["Microsoft Entra ID", 99.99, 99.99]],
+  "Azure Firewall": [["Azure Firewall", 99.95, 99.99]],
+  "ALB + ECS/EKS": [
+    ["Application Load Balancer", 99.99, 99.99],
+    ["ECS on Fargate", 99.5, 99.99],
+  ],
+  "EKS + ECR": [
+    ["EKS", 99.95, 99.95],
+    ["EC2 nodes", 99.5, 99.99],
+    ["ECR", 99.9, 99.9],
+  ],
+  "EC2 ASG": [["EC2", 99.5, 99.99]],
+  "S3 + Glue + Redshift": [
+    ["S3 Standard", 99.9, 99.9],
+    ["Glue", 99.9, 99.9],
+    ["Redshift", 99.9, 99.99],
+  ],
+  "Lambda + SQS/SNS": [
+    ["Lambda", 99.95, 99.95],
+    ["SQS", 99.9, 99.9],
+    ["SNS", 99.9, 99.9],
+  ],
+  "Cloud LB + Cloud Run/App Engine": [["Cloud Run", 99.95, 99.95]],
+  "GKE + Artifact Registry": [
+    ["GKE control plane", 99.5, 99.95],
+    ["Compute Engine nodes", 99.9, 99.99],
+    ["Artifact Registry", 99.9, 99.9],
+  ],
+  "Compute Engine MIG": [["Compute Engine", 99.9, 99.99]],
+  "GCS + Dataflow + BigQuery": [
+    ["Cloud Storage", 99.9, 99.9],
+    ["Dataflow", 99.9, 99.9],
+    ["BigQuery", 99.99, 99.99],
+  ],
+  "Cloud Functions + Pub/Sub": [
+    ["Cloud Functions", 99.95, 99.95],
+    ["Pub/Sub", 99.95, 99.95],
+  ],
+};
+
+// SLA of the global entry point (GLOBAL_ENTRY), in front of every region.
+const GLOBAL_ENTRY_SLAS = { Azure: 99.99, AWS: 100, GCP: 99.99 };
+
+// Components that run instances: the COMPUTE_SKUS family they use and the TRAFFIC_SIZING count they start from.
+const SCALED_COMPONENTS = {
+  "Front Door + App Service": { unit: "App Service instances", sku: "web", count: "instances" },
+  "AKS + ACR": { unit: "AKS nodes", sku: "vm", count: "nodes" },
+  "VM Scale Set": { unit: "scale set instances", sku: "vm", count: "instances" },
+  "ALB + ECS/EKS": { unit: "Fargate tasks", count: "instances" },
+  "EKS + ECR": { unit: "EKS nodes", sku: "vm", count: "nodes" },
+  "EC2 ASG": { unit: "Auto Scaling group instances", sku: "vm", count: "instances" },
+  "Cloud LB + Cloud Run/App Engine": { unit: "Cloud Run instances", count: "instances" },
+  "GKE + Artifact Registry": { unit: "GKE nodes", sku: "vm", count: "nodes" },
+  "Compute Engine MIG": { unit: "managed instance group instances", sku: "vm", count: "instances" },
+};
+
+// Autoscale maximum as a multiple of the steady-state count; unknown traffic gets the widest range.
+const AUTOSCALE_HEADROOM = { low: 2, moderate: 2, high: 3, unknown: 3 };
+
+// Cheapest first, with the RTO and RPO each one can promise for the loss of a region.
+const DR_STRATEGIES = [
+  { id: "backup-restore", label: "backup and restore", rtoHours: 8, rpoMinutes: 60, regions: 1 },
+  { id: "active-passive", label: "active/passive (warm standby)", rtoHours: 1, rpoMinutes: 15, regions: 2 },
+  { id: "active-active", label: "active/active", rtoHours: 0.1, rpoMinutes: 5, regions: 2 },
+];
+
+// Least frequent schedule that still meets the RPO; below an hour, point-in-time restore covers the gap.
+const BACKUP_SCHEDULES = [
+  { intervalMinutes: 1440, frequency: "daily" },
+  { intervalMinutes: 720, frequency: "every 12 hours" },
+  { intervalMinutes: 240, frequency: "every 4 hours" },
+  { intervalMinutes: 60, frequency: "hourly" },
+];
+
+// Days kept: sub-daily recovery points cover recent mistakes, daily ones the last month. Monthly points are kept
+// for BACKUP_RETENTION_DAYS when a framework asks for it.
+const BACKUP_RETENTION = { recoveryPointDays: 7, dailyDays: 35 };
+
+const DATABASE_REPLICATION = {
+  Azure: {
+    single: "Azure SQL Database (General Purpose, locally redundant)",
+    zonal: "Azure SQL Database (Business Critical, zone-redundant)",
+    standby: "auto-failover group to",
+    active: "Cosmos DB with multi-region writes",
+  },
+  AWS: {
+    single: "RDS Single-AZ",
+    zonal: "RDS Multi-AZ",
+    standby: "cross-region read replica in",
+    active: "Aurora Global Database with write forwarding",
+  },
+  GCP: {
+    single: "Cloud SQL (zonal)",
+    zonal: "Cloud SQL high availability (regional)",
+    standby: "cross-region read replica in",
+    active: "Spanner multi-region instance",
+  },
+};
+
+// Serial composition: every listed service must be up. Floors to three decimals so the result never overstates.
+function serialSla(slas) {
+  return Math.floor(slas.reduce((p, sla) => p * (sla / 100), 1) * 1e5) / 1e3;
+}
+
+/**
+ * Sizes the design for `availability.slaTier`, `drRtoHours`, `drRpoMinutes` and `trafficLevel`: zone redundancy,
+ * instance counts and autoscale ranges per scaled component, database replication, backup frequency and the DR
+ * strategy across `deployRegions`. `warnings` lists targets the design cannot meet, keyed by form field.
+ */
+function availabilityDesign(form, cloud, components, deployRegions, hubServices) {
+  const { slaTier, trafficLevel } = form.availability;
+  // A missing or non-numeric target (e.g. from an imported order) asks for no more than a backup restore gives.
+  const target = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+  const drRtoHours = target(form.availability.drRtoHours, DR_STRATEGIES[0].rtoHours);
+  const drRpoMinutes = target(form.availability.drRpoMinutes, DR_STRATEGIES[0].rpoMinutes);
+  const targetSla = parseFloat(slaTier);
+  const multiRegion = deployRegions.length > 1;
+  const warnings = [];
+  const warn = (field, message) => warnings.push({ field, message });
+
+  const needed =
+    targetSla >= 99.99
+      ? DR_STRATEGIES[DR_STRATEGIES.length - 1]
+      : DR_STRATEGIES.find((s) => s.rtoHours <= drRtoHours && s.rpoMinutes <= drRpoMinutes) ||
+        DR_STRATEGIES[DR_STRATEGIES.length - 1];
+  // A second region always runs as at least a warm standby.
+  const strategy = multiRegion ? (needed.regions > 1 ? needed : DR_STRATEGIES[1]) : DR_STRATEGIES[0];
+  if (needed.regions > 1 && !multiRegion) {
+    const restore = DR_STRATEGIES[0];
+    const unmet = [
+      targetSla >= 99.99 && ["availability.slaTier", `the ${slaTier} SLA`],
+      restore.rtoHours > drRtoHours && ["availability.drRtoHours", `an RTO of ${drRtoHours} h`],
+      restore.rpoMinutes > drRpoMinutes && ["availability.drRpoMinutes", `an RPO of ${drRpoMinutes} min`],
+    ].filter(Boolean);
+    const goals = unmet.map(([, text]) => text);
+    const goal = goals.length > 1 ? `${goals.slice(0, -1).join(", ")} and ${goals[goals.length - 1]}` : goals[0];
+    warn(
+      unmet[0][0],
+      `Meeting ${goal} needs ${needed.label} across two regions; a single region restores from backup in about ` +
+        `${restore.rtoHours} h and loses up to ${restore.rpoMinutes} min of data. Turn on multi-region to meet it.`
+    );
+  }
+  const best = DR_STRATEGIES[DR_STRATEGIES.length - 1];
+  if (drRtoHours < best.rtoHours)
+    warn("availability.drRtoHours", `An RTO under ${best.rtoHours * 60} minutes cannot be promised by any strategy.`);
+  if (drRpoMinutes < best.rpoMinutes)
+    warn(
+      "availability.drRpoMinutes",
+      `An RPO under ${best.rpoMinutes} minutes across regions needs synchronous replication, which only a ` +
+        `multi-region database (${DATABASE_REPLICATION[cloud].active}) offers.`
+    );
+
+  const services = [...components, ...hubServices].flatMap((c) => COMPONENT_SLAS[c] || []);
+  const entry = multiRegion || (cloud !== "AWS" && form.workloads.webapp);
+  const compose = (zones) => {
+    const regional = serialSla(services.map(([, single, zonal]) => (zones ? zonal : single)));
+    const regions = 100 - 100 * (1 - regional / 100) ** deployRegions.length;
+    return serialSla([...(entry ? [GLOBAL_ENTRY_SLAS[cloud]] : []), regions]);
+  };
+  const zoneRedundant = targetSla >= 99.95 || compose(false) < targetSla;
+  const compositeSla = compose(zoneRedundant);
+  if (compositeSla < targetSla) {
+    const weakest = services
+      .map(([service, single, zonal]) => ({ service, sla: zoneRedundant ? zonal : single }))
+      .sort((a, b) => a.sla - b.sla)
+      .slice(0, 2)
+      .map((s) => `${s.service} (${s.sla}%)`);
+    warn(
+      "availability.slaTier",
+      `The composite SLA of this design is ${compositeSla}%, below the ${slaTier} target. ` +
+        (multiRegion
+          ? `The weakest services are ${weakest.join(" and ")}.`
+          : "Turn on multi-region to run a second region in parallel.")
+    );
+  }
+
+  const sizing = TRAFFIC_SIZING[trafficLevel] || TRAFFIC_SIZING.moderate;
+  const headroom = AUTOSCALE_HEADROOM[trafficLevel] || AUTOSCALE_HEADROOM.moderate;
+  // One instance per zone when zone-redundant; zone-redundant App Service plans need P1v3 or larger.
+  const min = zoneRedundant ? 3 : 2;
+  const compute = components
+    .filter((c) => SCALED_COMPONENTS[c])
+    .map((component) => {
+      const { unit, sku, count } = SCALED_COMPONENTS[component];
+      const skus = COMPUTE_SKUS[cloud][sku];
+      const size = sku === "web" && zoneRedundant ? Math.max(1, sizing.size) : sizing.size;
+      const desired = Math.max(min, sizing[count]);
+      return { component, unit, sku: skus ? skus[size] : null, min, desired, max: desired * headroom };
+    });
+
+  const db = DATABASE_REPLICATION[cloud];
+  const local = zoneRedundant ? db.zonal : db.single;
+  const database =
+    strategy.id === "active-active"
+      ? { mode: "multi-region writes", service: db.active }
+      : strategy.id === "active-passive"
+      ? {
+          mode: `${zoneRedundant ? "synchronous across zones, " : ""}asynchronous to the standby region`,
+          service: `${local} with ${db.standby} ${deployRegions[1]}`,
+        }
+      : { mode: zoneRedundant ? "synchronous across zones" : "none", service: local };
+
+  const schedule = BACKUP_SCHEDULES.find((s) => s.intervalMinutes <= drRpoMinutes);
+  const intervalMinutes = (schedule || BACKUP_SCHEDULES[BACKUP_SCHEDULES.length - 1]).intervalMinutes;
+  const { backupRetentionDays } = complianceRequirements(form.compliance);
+  const backup = {
+    frequency: schedule ? schedule.frequency : "hourly, with continuous point-in-time restore",
+    intervalMinutes,
+    pointInTimeRecovery: !schedule,
+    retention: {
+      recoveryPointDays: intervalMinutes < 1440 ? BACKUP_RETENTION.recoveryPointDays : BACKUP_RETENTION.dailyDays,
+      dailyDays: BACKUP_RETENTION.dailyDays,
+      monthlyDays: backupRetentionDays || null,
+    },
+    // With other deployed regions, recovery points are also copied out of the primary region.
+    copyRegions: deployRegions.slice(1),
+  };
+  if (!form.tooling.backup && strategy.id === "backup-restore")
+    warn("tooling.backup", "Backup is off, so a lost region cannot be restored; enable Backup & Recovery.");
+  else if (!form.tooling.backup && backupRetentionDays)
+    warn(
+      "tooling.backup",
+      `${form.compliance.filter((f) => BACKUP_RETENTION_DAYS[f]).join(", ")} expect backups kept ` +
+        `${backupRetentionDays} days; enable Backup & Recovery.`
+    );
+
+  return {
+    targetSla,
+    compositeSla,
+    zoneRedundant,
+    drStrategy: strategy.id,
+    regions: deployRegions.map((region, i) => ({
+      region,
+      role: i === 0 ? "primary" : strategy.id === "active-active" ? "active" : "standby",
+    })),
+    compute,
+    database,
+    backup,
+    slas: [
+      ...(entry ? [{ service: GLOBAL_ENTRY[cloud], sla: GLOBAL_ENTRY_SLAS[cloud] }] : []),
+      ...services.map(([service, single, zonal]) => ({ service, sla: zoneRedundant ? zonal : single })),
+    ],
+    warnings,
+  };
+}
+
+// SKU and instance count of a scaled component in one region; a standby region runs the autoscale minimum.
+function componentScale(availability, component, region) {
+  const compute = availability.compute.find((c) => c.component === component);
+  const role = availability.regions.find((r) => r.region === region)?.role;
+  return { sku: compute.sku, instances: role === "standby" ? compute.min : compute.desired };
+}
+
 /* ------------ Design generator ------------ */
+// Component per workload and cloud; `subnets` is where it is placed in the diagram (first match wins).
+const WORKLOAD_COMPONENTS = {
+  webapp: {
+    Azure: "Front Door + App Service",
+    AWS: "ALB + ECS/EKS",
+    GCP: "Cloud LB + Cloud Run/App Engine",
+    subnets: ["integration", "app"],
+  },
+  containers: { Azure: "AKS + ACR", AWS: "EKS + ECR", GCP: "GKE + Artifact Registry", subnets: ["containers", "app"] },
+  vm: { Azure: "VM Scale Set", AWS: "EC2 ASG", GCP: "Compute Engine MIG", subnets: ["app"] },
+  data: {
+    Azure: "ADLS + Synapse/ADF",
+    AWS: "S3 + Glue + Redshift",
+    GCP: "GCS + Dataflow + BigQuery",
+    subnets: ["data"],
+  },
+  serverless: {
+    Azure: "Functions + Service Bus",
+    AWS: "Lambda + SQS/SNS",
+    GCP: "Cloud Functions + Pub/Sub",
+    subnets: ["integration", "app"],
+  },
+  m365: { Azure: "Entra ID App Registrations + Graph API", subnets: [] }, // tenant-level, no network placement
+};
+
 function generateDesign(form) {
   const cloud = form.preferredCloud;
   const regionPrimary = form.regions[0];
   const regions = Array.from(new Set(form.regions));
 
+  const requirements = complianceRequirements(form.compliance);
   const baseSecurity = {
     identity: form.security.identityProvider,
-    keyManagement: form.security.keyVault
+    keyManagement: form.security.keyVault || requirements.cmek
       ? cloud === "Azure"
         ? "Azure Key Vault"
         : cloud === "AWS"
@@ -209,139 +934,71 @@ function generateDesign(form) {
         : "",
     zeroTrust: form.security.zeroTrust,
     privateEndpoints: form.security.privateEndpoints,
+    cmek: requirements.cmek,
   };
+  const logRetentionDays = Math.max(DEFAULT_LOG_RETENTION_DAYS[cloud] || 30, requirements.logRetentionDays);
 
-  const components = [];
-  if (form.workloads.webapp)
-    components.push(
-      cloud === "Azure" ? "Front Door + App Service" : cloud === "AWS" ? "ALB + ECS/EKS" : "Cloud LB + Cloud Run/App Engine"
-    );
-  if (form.workloads.containers)
-    components.push(cloud === "Azure" ? "AKS + ACR" : cloud === "AWS" ? "EKS + ECR" : "GKE + Artifact Registry");
-  if (form.workloads.vm)
-    components.push(cloud === "Azure" ? "VM Scale Set" : cloud === "AWS" ? "EC2 ASG" : "Compute Engine MIG");
-  if (form.workloads.data)
-    components.push(cloud === "Azure" ? "ADLS + Synapse/ADF" : cloud === "AWS" ? "S3 + Glue + Redshift" : "GCS + Dataflow + BigQuery");
-  if (form.workloads.serverless)
-    components.push(
-      cloud === "Azure" ? "Functions + Service Bus" : cloud === "AWS" ? "Lambda + SQS/SNS" : "Cloud Functions + Pub/Sub"
-    );
-  if (form.workloads.m365 && cloud === "Azure")
-    components.push("Entra ID App Registrations + Graph API");
+  const components = WORKLOADS.filter((w) => form.workloads[w.key] && WORKLOAD_COMPONENTS[w.key][cloud]).map(
+    (w) => WORKLOAD_COMPONENTS[w.key][cloud]
+  );
 
-  let landingZone = {};
-  if (cloud === "Azure") {
-    landingZone = {
-      model: form.networking.topology,
-      hub: {
-        name: `${(form.orgName || "org")}-hub-${regionPrimary}`.toLowerCase().replace(/\s+/g, "-"),
-        addressSpace: "10.10.0.0/20",
-        subnets: [
-          { name: "AzureFirewallSubnet", cidr: "10.10.0.0/24" },
-          { name: "AzureBastionSubnet", cidr: "10.10.1.0/27" },
-          { name: "shared-services", cidr: "10.10.2.0/24" },
-          { name: "private-endpoints", cidr: "10.10.3.0/24" },
-        ],
-        services: [
-          form.security.ddos ? "DDoS Protection" : null,
-          "Azure Firewall",
-          "Azure Bastion",
-          form.security.privateEndpoints ? "Private DNS Zones" : null,
-        ].filter(Boolean),
-      },
-      spokes: Array.from({ length: form.networking.spokeCount }).map((_, idx) => {
-        const spokeName = idx === 0 ? "app" : idx === 1 ? "data" : `spoke-${idx + 1}`;
-        return {
-          name: `${spokeName}-${regionPrimary}`.toLowerCase().replace(/\s+/g, "-"),
-          addressSpace: `10.10.${(idx + 1) * 16}.0/20`,
-          subnets: [
-            { name: "app", cidr: `10.10.${(idx + 1) * 16}.0/24` },
-            { name: "data", cidr: `10.10.${(idx + 1) * 16 + 1}.0/24` },
-            { name: "admin", cidr: `10.10.${(idx + 1) * 16 + 2}.0/24` },
-          ],
-          privateEndpoints: form.security.privateEndpoints,
-        };
-      }),
-      connectivity: form.networking.onPremConnectivity,
-    };
-  } else if (cloud === "AWS") {
-    landingZone = {
-      model: "vpc-hub-spoke",
-      hub: {
-        name: `${(form.orgName || "org")}-hub-${regionPrimary}`.toLowerCase().replace(/\s+/g, "-"),
-        addressSpace: "10.20.0.0/16",
-        subnets: [
-          { name: "public-a", cidr: "10.20.0.0/24" },
-          { name: "public-b", cidr: "10.20.1.0/24" },
-          { name: "private-a", cidr: "10.20.10.0/24" },
-          { name: "private-b", cidr: "10.20.11.0/24" },
-        ],
-        services: ["IGW", "NAT Gateway"],
-      },
-      spokes: Array.from({ length: Math.max(1, form.networking.spokeCount - 1) }).map((_, idx) => ({
-        name: `spoke-${idx + 1}-${regionPrimary}`.toLowerCase().replace(/\s+/g, "-"),
-        addressSpace: `10.20.${(idx + 2) * 16}.0/20`,
-        subnets: [
-          { name: "app", cidr: `10.20.${(idx + 2) * 16}.0/24` },
-          { name: "data", cidr: `10.20.${(idx + 2) * 16 + 1}.0/24` },
-          { name: "admin", cidr: `10.20.${(idx + 2) * 16 + 2}.0/24` },
-        ],
-        privateEndpoints: form.security.privateEndpoints,
-      })),
-      connectivity:
-        form.networking.onPremConnectivity === "site-to-site"
-          ? "Site-to-Site VPN"
-          : form.networking.onPremConnectivity === "expressroute"
-          ? "Direct Connect"
-          : form.networking.onPremConnectivity,
-    };
-  } else if (cloud === "GCP") {
-    landingZone = {
-      model: "vpc-shared",
-      hub: {
-        name: `${(form.orgName || "org")}-vpc-${regionPrimary}`.toLowerCase().replace(/\s+/g, "-"),
-        addressSpace: "10.30.0.0/16",
-        subnets: [
-          { name: "apps", cidr: "10.30.0.0/24" },
-          { name: "data", cidr: "10.30.1.0/24" },
-          { name: "admin", cidr: "10.30.2.0/24" },
-        ],
-        services: ["Cloud NAT", "IAP/Bastion"],
-      },
-      spokes: Array.from({ length: Math.max(1, form.networking.spokeCount - 1) }).map((_, idx) => ({
-        name: `spoke-${idx + 1}-${regionPrimary}`.toLowerCase().replace(/\s+/g, "-"),
-        addressSpace: `10.30.${(idx + 1) * 16}.0/20`,
-        subnets: [
-          { name: "app", cidr: `10.30.${(idx + 1) * 16}.0/24` },
-          { name: "data", cidr: `10.30.${(idx + 1) * 16 + 1}.0/24` },
-          { name: "admin", cidr: `10.30.${(idx + 1) * 16 + 2}.0/24` },
-        ],
-        privateEndpoints: form.security.privateEndpoints,
-      })),
-      connectivity: form.networking.onPremConnectivity,
-    };
+  const model = form.networking.topology;
+  const multiRegion = form.availability.multiRegion && regions.length > 1;
+  const deployRegions = multiRegion ? regions : [regionPrimary];
+  const regionalRanges = splitCidr(form.networking.addressSpace, deployRegions.length);
+  const [primary, ...secondary] = deployRegions.map((region, i) =>
+    planRegion(form, cloud, model, region, regionalRanges[i])
+  );
+  const errors = [primary, ...secondary]
+    .filter((r) => r.error)
+    .map((r) => (multiRegion ? `${r.region}: ${r.error}` : r.error));
+
+  const landingZone = {
+    model,
+    transit: transitFor(cloud, model),
+    addressSpace: form.networking.addressSpace,
+    region: primary.region,
+    hub: primary.hub,
+    spokes: primary.spokes,
+    peerings: primary.peerings,
+    connectivity:
+      cloud === "AWS" && form.networking.onPremConnectivity === "site-to-site"
+        ? "Site-to-Site VPN"
+        : cloud === "AWS" && form.networking.onPremConnectivity === "expressroute"
+        ? "Direct Connect"
+        : form.networking.onPremConnectivity,
+  };
+  if (multiRegion) {
+    landingZone.regionAddressSpace = primary.addressSpace;
+    landingZone.secondaryRegions = secondary.map(({ error, ...r }) => r);
+    landingZone.interRegionPeerings = planPeerings("mesh", [primary.hub, ...secondary.map((r) => r.hub)]);
+    landingZone.globalEntry = { service: GLOBAL_ENTRY[cloud], origins: deployRegions };
   }
+  if (errors.length) landingZone.error = errors.join(" ");
+  const availability = availabilityDesign(form, cloud, components, deployRegions, primary.hub.services);
 
-  return {
-    metadata: { generatedAt: new Date().toISOString(), version: 3 },
+  const result = {
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      version: ORDER_VERSION,
+      $schema: SCHEMA_ID,
+      schemaVersion: SCHEMA_VERSION,
+    },
     order: form,
     design: {
       cloud,
       regions,
       landingZone,
       components,
+      availability,
       security: baseSecurity,
       observability: {
         monitoring: form.tooling.monitoring,
-        backup: form.tooling.backup
-          ? cloud === "Azure"
-            ? "Azure Backup"
-            : cloud === "AWS"
-            ? "AWS Backup"
-            : "Backup/DR"
-          : "",
+        backup: form.tooling.backup ? BACKUP_SERVICES[cloud] : "",
         cost: form.tooling.costGuardrails ? "Budgets + Cost Anomaly Alerts" : "",
+        logRetentionDays,
       },
+      compliance: complianceDesign(form, cloud, regions, baseSecurity, logRetentionDays),
       iam: [
         { role: cloud === "AWS" ? "AdministratorAccess" : "Owner", group: "Cloud-Platform-Admins" },
         { role: cloud === "AWS" ? "PowerUserAccess" : "Contributor", group: "Project-DevOps" },
@@ -359,404 +1016,7603 @@ function generateDesign(form) {
       ],
     },
   };
+  result.design.cost = estimateCost(result);
+  return result;
 }
 
-/* ------------ Cost (rough) ------------ */
-function estimateCost(design) {
-  const base = 500;
-  const perComponent = 200;
-  const count = (design?.design?.components || []).length;
-  const est = base + count * perComponent;
-  return { monthlyUSD: est, yearlyUSD: est * 12, note: "Rough ballpark only. Plug in real pricing later." };
+/* ------------ Validation ------------ */
+const PRIVATE_RANGES = ["10.0.0.0/8", "172.16.0.0/12", "192.168.0.0/16", "100.64.0.0/10"].map(parseCidr);
+
+function cidrContains(outer, inner) {
+  return inner.base >= outer.base && inner.base + inner.size <= outer.base + outer.size;
 }
 
-/* ------------ CI/CD YAML ------------ */
-function generateCIYAML(form) {
-  if (form.tooling.cicd === "GitHub Actions") {
-    return `name: CI/CD
+function cidrsOverlap(a, b) {
+  return a.base < b.base + b.size && b.base < a.base + a.size;
+}
 
-on: [push]
+// Every hub and spoke in the design, across the primary and any secondary regions.
+function landingZoneNetworks(landingZone) {
+  return designRegions(landingZone)
+    .flatMap((r) => [r.hub, ...r.spokes])
+    .filter((n) => n?.addressSpace);
+}
 
-jobs:
-  deploy:
-    runs-on: ubuntu-latest
-    steps:
-      - uses: actions/checkout@v4
-      - name: Set up Terraform
-        uses: hashicorp/setup-terraform@v3
-      - run: terraform init
-      - run: terraform apply -auto-approve`;
-  } else if (form.tooling.cicd === "Azure DevOps") {
-    return `trigger:
-- main
+function checkNoOverlaps(items, label, add) {
+  items.forEach((a, i) =>
+    items.slice(i + 1).forEach((b) => {
+      if (cidrsOverlap(a.range, b.range))
+        add("design.landingZone", `${label} ${a.name} (${a.cidr}) overlaps ${b.name} (${b.cidr}).`);
+    })
+  );
+}
 
-stages:
-- stage: Deploy
-  jobs:
-  - job: Terraform
-    pool:
-      vmImage: ubuntu-latest
-    steps:
-    - checkout: self
-    - task: TerraformInstaller@1
-      inputs:
-        terraformVersion: latest
-    - task: TerraformCLI@1
-      inputs:
-        command: 'init'
-    - task: TerraformCLI@1
-      inputs:
-        command: 'apply'
-        commandOptions: '-auto-approve'`;
-  } else if (form.tooling.cicd === "GitLab CI") {
-    return `stages:
-  - deploy
-
-deploy-job:
-  stage: deploy
-  image: hashicorp/terraform:light
-  script:
-    - terraform init
-    - terraform apply -auto-approve`;
+/**
+ * Checks the form and the generated design. Returns `{ issues, valid }` where each issue is
+ * `{ field, message, severity }`; `field` is a form path ("networking.addressSpace") or "design.*".
+ * Only "error" issues make the order invalid; "warning" issues are informational.
+ */
+function validateOrder(form, design) {
+  const issues = [];
+  const add = (field, message, severity = "error") => issues.push({ field, message, severity });
+
+  if (!form.regions.length) add("regions", "Select at least one region.");
+  if (form.availability.multiRegion && form.regions.length < 2)
+    add(
+      "availability.multiRegion",
+      "Multi-region needs at least two regions in Basics; the design is single-region until then.",
+      "warning"
+    );
+
+  const cidr = String(form.networking.addressSpace || "").trim();
+  const parent = parseCidr(cidr);
+  if (!parent) {
+    add("networking.addressSpace", `"${cidr}" is not a valid IPv4 CIDR (e.g. 10.10.0.0/16).`);
+  } else {
+    const normalized = formatCidr(parent.base, parent.prefix);
+    if (normalized !== cidr)
+      add("networking.addressSpace", `"${cidr}" has host bits set; did you mean ${normalized}?`);
+    if (parent.prefix < 8) add("networking.addressSpace", "Address space must be /8 or smaller.");
+    if (!PRIVATE_RANGES.some((r) => cidrContains(r, parent)))
+      add(
+        "networking.addressSpace",
+        `${normalized} is not a private range (RFC 1918 / RFC 6598); it may collide with public addresses.`,
+        "warning"
+      );
   }
-  return "# No CI/CD config generated";
+
+  const spokeCount = form.networking.spokeCount;
+  if (!Number.isInteger(spokeCount) || spokeCount < 1)
+    add("networking.spokeCount", "Spoke count must be a whole number of at least 1.");
+
+  const landingZone = design?.design?.landingZone;
+  if (parent && landingZone?.error) add("networking.addressSpace", landingZone.error);
+
+  const networks = landingZoneNetworks(landingZone).map((n) => ({
+    ...n,
+    cidr: n.addressSpace,
+    range: parseCidr(n.addressSpace),
+  }));
+  networks.forEach((net) => {
+    if (!net.range) return add("design.landingZone", `${net.name} has an invalid address space "${net.cidr}".`);
+    if (parent && !cidrContains(parent, net.range))
+      add("design.landingZone", `${net.name} (${net.cidr}) is outside the address space ${cidr}.`);
+    const subnets = (net.subnets || []).map((s) => ({ ...s, range: parseCidr(s.cidr) }));
+    subnets.forEach((s) => {
+      if (!s.range) add("design.landingZone", `Subnet ${net.name}/${s.name} has an invalid CIDR "${s.cidr}".`);
+      else if (!cidrContains(net.range, s.range))
+        add("design.landingZone", `Subnet ${net.name}/${s.name} (${s.cidr}) does not fit inside ${net.cidr}.`);
+    });
+    checkNoOverlaps(subnets.filter((s) => s.range), `Subnet in ${net.name}:`, add);
+  });
+  checkNoOverlaps(networks.filter((n) => n.range), "Network", add);
+  (design?.design?.availability?.warnings || []).forEach((w) => add(w.field, w.message, "warning"));
+
+  // Form fields already reported above are not repeated as schema errors.
+  if (design)
+    schemaErrors(design, ORDER_DOCUMENT_SCHEMA)
+      .filter((e) => !issues.some((i) => e.path === `$.order.${i.field}`))
+      .forEach((e) => add("schema", `Export does not match order schema ${SCHEMA_VERSION}: ${e.path} ${e.message}.`));
+
+  return { issues, valid: !issues.some((i) => i.severity === "error") };
 }
 
-/* ------------ Policy Baselines ------------ */
-function generatePolicyBaselines(cloud) {
-  if (cloud === "Azure") {
-    return [
-      "Enforce naming convention",
-      "Require tags: Owner, CostCenter",
-      "Deny public IPs on NICs",
-      "Require Private Endpoints for Storage/DB",
-      "Enable Defender for Cloud",
-    ];
-  } else if (cloud === "AWS") {
-    return [
-      "SCP: deny *:* on root",
-      "Tagging policy required",
-      "CloudTrail enabled in all regions",
-      "AWS Config recorder mandatory",
-      "GuardDuty + Security Hub",
-    ];
-  } else if (cloud === "GCP") {
-    return [
-      "Org policy: restrict external IPs",
-      "Require labels for billing",
-      "VPC Service Controls for data services",
-      "Enable Security Command Center",
-      "Require CMEK for storage",
-    ];
+function fieldIssues(validation, field) {
+  return validation.issues.filter((i) => i.field === field);
+}
+
+/* ------------ JSON Schema ------------ */
+const SCHEMA_VERSION = "1.2.0";
+const SCHEMA_ID = `urn:cloud-order-wizard:schema:order-document:${SCHEMA_VERSION}`;
+const ORDER_VERSION = 6;
+
+// Closed object: every property is required unless listed in `optional`; anything else is rejected.
+function objectSchema(properties, optional = []) {
+  const required = Object.keys(properties).filter((key) => !optional.includes(key));
+  return { type: "object", properties, required, additionalProperties: false };
+}
+
+const BOOLEAN = { type: "boolean" };
+const STRING = { type: "string" };
+const STRINGS = { type: "array", items: STRING };
+
+/** Shape of `order` (the wizard form) in an exported document. */
+const ORDER_FORM_SCHEMA = objectSchema({
+  orgName: { type: "string" },
+  contactEmail: { type: "string" },
+  industry: { type: "string", enum: ["", ...INDUSTRIES] },
+  preferredCloud: { type: "string", enum: REGIONS.map((r) => r.cloud) },
+  regions: { type: "array", items: { type: "string" } },
+  compliance: { type: "array", items: { type: "string", enum: COMPLIANCE } },
+  workloads: objectSchema(Object.fromEntries(WORKLOADS.map((w) => [w.key, BOOLEAN]))),
+  availability: objectSchema({
+    slaTier: { type: "string", enum: SLA_TIERS },
+    multiRegion: BOOLEAN,
+    drRtoHours: { type: "number", minimum: 0 },
+    drRpoMinutes: { type: "number", minimum: 0 },
+    trafficLevel: { type: "string", enum: TRAFFIC_LEVELS },
+  }),
+  security: objectSchema({
+    identityProvider: { type: "string" },
+    zeroTrust: BOOLEAN,
+    privateEndpoints: BOOLEAN,
+    ddos: BOOLEAN,
+    keyVault: BOOLEAN,
+    defender: BOOLEAN,
+  }),
+  networking: objectSchema({
+    topology: { type: "string", enum: TOPOLOGIES },
+    addressSpace: { type: "string" },
+    spokeCount: { type: "integer", minimum: 1 },
+    onPremConnectivity: { type: "string", enum: ON_PREM_CONNECTIVITY },
+  }),
+  tooling: objectSchema({
+    iac: { type: "string", enum: IAC_TOOLS },
+    cicd: { type: "string", enum: CICD_SYSTEMS },
+    monitoring: { type: "array", items: { type: "string", enum: MONITORING_TOOLS } },
+    backup: BOOLEAN,
+    costGuardrails: BOOLEAN,
+  }),
+  notes: { type: "string" },
+});
+
+const ORDER_DOCUMENT_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: SCHEMA_ID,
+  title: "Cloud order document",
+  description: "Order JSON exported by the Cloud Order Wizard: the form (`order`) and the generated design.",
+  ...objectSchema({
+    metadata: objectSchema({
+      generatedAt: { type: "string", format: "date-time" },
+      version: { type: "integer", const: ORDER_VERSION },
+      $schema: { type: "string", const: SCHEMA_ID },
+      schemaVersion: { type: "string", const: SCHEMA_VERSION },
+    }),
+    order: { $ref: "#/$defs/order" },
+    design: { $ref: "#/$defs/design" },
+  }),
+  $defs: {
+    order: ORDER_FORM_SCHEMA,
+    design: objectSchema({
+      cloud: { type: "string", enum: REGIONS.map((r) => r.cloud) },
+      regions: STRINGS,
+      landingZone: { $ref: "#/$defs/landingZone" },
+      components: STRINGS,
+      availability: objectSchema({
+        targetSla: { type: "number", minimum: 0 },
+        compositeSla: { type: "number", minimum: 0 },
+        zoneRedundant: BOOLEAN,
+        drStrategy: { type: "string", enum: DR_STRATEGIES.map((s) => s.id) },
+        regions: {
+          type: "array",
+          items: objectSchema({ region: STRING, role: { type: "string", enum: ["primary", "active", "standby"] } }),
+        },
+        compute: {
+          type: "array",
+          items: objectSchema({
+            component: STRING,
+            unit: STRING,
+            sku: { type: ["string", "null"] },
+            min: { type: "integer", minimum: 1 },
+            desired: { type: "integer", minimum: 1 },
+            max: { type: "integer", minimum: 1 },
+          }),
+        },
+        database: objectSchema({ mode: STRING, service: STRING }),
+        backup: objectSchema({
+          frequency: STRING,
+          intervalMinutes: { type: "integer", minimum: 1 },
+          pointInTimeRecovery: BOOLEAN,
+          retention: objectSchema({
+            recoveryPointDays: { type: "integer", minimum: 1 },
+            dailyDays: { type: "integer", minimum: 1 },
+            monthlyDays: { type: ["integer", "null"], minimum: 1 },
+          }),
+          copyRegions: STRINGS,
+        }),
+        slas: { type: "array", items: objectSchema({ service: STRING, sla: { type: "number", minimum: 0 } }) },
+        warnings: { type: "array", items: objectSchema({ field: STRING, message: STRING }) },
+      }),
+      security: objectSchema({
+        identity: STRING,
+        keyManagement: STRING,
+        defender: STRING,
+        zeroTrust: BOOLEAN,
+        privateEndpoints: BOOLEAN,
+        cmek: BOOLEAN,
+      }),
+      observability: objectSchema({
+        monitoring: STRINGS,
+        backup: STRING,
+        cost: STRING,
+        logRetentionDays: { type: "integer", minimum: 1 },
+      }),
+      compliance: objectSchema({
+        frameworks: { type: "array", items: { type: "string", enum: COMPLIANCE } },
+        requirements: objectSchema({
+          allowedRegions: { type: ["array", "null"], items: STRING },
+          cmek: BOOLEAN,
+          logRetentionDays: { type: ["integer", "null"], minimum: 1 },
+          backupRetentionDays: { type: ["integer", "null"], minimum: 1 },
+          cdeSegmentation: BOOLEAN,
+        }),
+        controls: {
+          type: "array",
+          items: objectSchema({ id: STRING, title: STRING, refs: STRINGS, implementation: STRING }),
+        },
+      }),
+      iam: { type: "array", items: objectSchema({ role: STRING, group: STRING }) },
+      recommendations: STRINGS,
+      cost: objectSchema({
+        catalogVersion: STRING,
+        currency: STRING,
+        monthlyUSD: { type: "number", minimum: 0 },
+        yearlyUSD: { type: "number", minimum: 0 },
+        trafficLevel: { type: "string", enum: TRAFFIC_LEVELS },
+        lineItems: {
+          type: "array",
+          items: objectSchema({
+            item: STRING,
+            region: STRING,
+            quantity: { type: "number", minimum: 0 },
+            unit: STRING,
+            unitPrice: { type: "number", minimum: 0 },
+            monthlyUSD: { type: "number", minimum: 0 },
+          }),
+        },
+        note: STRING,
+      }),
+    }),
+    landingZone: objectSchema(
+      {
+        model: { type: "string", enum: TOPOLOGIES },
+        transit: STRING,
+        addressSpace: STRING,
+        region: STRING,
+        hub: { $ref: "#/$defs/hub" },
+        spokes: { type: "array", items: { $ref: "#/$defs/spoke" } },
+        peerings: { type: "array", items: { $ref: "#/$defs/peering" } },
+        connectivity: STRING,
+        regionAddressSpace: STRING,
+        secondaryRegions: {
+          type: "array",
+          items: objectSchema({
+            region: STRING,
+            addressSpace: STRING,
+            hub: { $ref: "#/$defs/hub" },
+            spokes: { type: "array", items: { $ref: "#/$defs/spoke" } },
+            peerings: { type: "array", items: { $ref: "#/$defs/peering" } },
+          }),
+        },
+        interRegionPeerings: { type: "array", items: { $ref: "#/$defs/peering" } },
+        globalEntry: objectSchema({ service: STRING, origins: STRINGS }),
+        error: STRING,
+      },
+      ["regionAddressSpace", "secondaryRegions", "interRegionPeerings", "globalEntry", "error"]
+    ),
+    hub: objectSchema(
+      {
+        name: STRING,
+        addressSpace: STRING,
+        subnets: { type: "array", items: { $ref: "#/$defs/subnet" } },
+        services: STRINGS,
+        cde: { $ref: "#/$defs/cde" },
+      },
+      ["cde"]
+    ),
+    spoke: objectSchema(
+      {
+        name: STRING,
+        addressSpace: STRING,
+        subnets: { type: "array", items: { $ref: "#/$defs/subnet" } },
+        privateEndpoints: BOOLEAN,
+        cde: { $ref: "#/$defs/cde" },
+      },
+      ["cde"]
+    ),
+    subnet: objectSchema({ name: STRING, cidr: STRING }),
+    peering: objectSchema({ from: STRING, to: STRING }),
+    cde: objectSchema({ cidr: STRING, allowedSources: STRINGS }),
+  },
+};
+
+function schemaTypeMatches(value, type) {
+  if (type === "null") return value === null;
+  if (type === "array") return Array.isArray(value);
+  if (type === "object") return value !== null && typeof value === "object" && !Array.isArray(value);
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  return typeof value === type;
+}
+
+/**
+ * Checks `value` against the JSON Schema keywords used above ($ref into $defs, type, const, enum, minimum,
+ * properties, required, additionalProperties, items). Returns `[{ path, message }]`; empty when it conforms.
+ */
+function schemaErrors(value, schema, path = "$", root = ORDER_DOCUMENT_SCHEMA) {
+  if (schema.$ref) return schemaErrors(value, root.$defs[schema.$ref.replace("#/$defs/", "")], path, root);
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some((t) => schemaTypeMatches(value, t)))
+    return [{ path, message: `should be ${types.join(" or ")}` }];
+  if ("const" in schema && value !== schema.const)
+    return [{ path, message: `should be ${JSON.stringify(schema.const)}` }];
+  if (schema.enum && !schema.enum.includes(value))
+    return [{ path, message: `should be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}` }];
+  if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum)
+    return [{ path, message: `should be at least ${schema.minimum}` }];
+  if (Array.isArray(value) && schema.items)
+    return value.flatMap((item, i) => schemaErrors(item, schema.items, `${path}[${i}]`, root));
+  if (!schemaTypeMatches(value, "object") || !schema.properties) return [];
+
+  const present = Object.keys(value).filter((key) => value[key] !== undefined);
+  return [
+    ...(schema.required || [])
+      .filter((key) => !present.includes(key))
+      .map((key) => ({ path: `${path}.${key}`, message: "is required" })),
+    ...(schema.additionalProperties === false
+      ? present
+          .filter((key) => !(key in schema.properties))
+          .map((key) => ({ path: `${path}.${key}`, message: "is not allowed" }))
+      : []),
+    ...present
+      .filter((key) => key in schema.properties)
+      .flatMap((key) => schemaErrors(value[key], schema.properties[key], `${path}.${key}`, root)),
+  ];
+}
+
+/* ------------ Cost estimate ------------ */
+// Bundled list prices (USD, pay-as-you-go, reference region = factor 1). Bump `version` whenever prices change.
+const PRICE_CATALOG = {
+  version: "2026.10",
+  currency: "USD",
+  hoursPerMonth: 730,
+  Azure: {
+    regions: { "Sweden Central": 1, "Sweden South": 1.1, "North Europe": 0.98, "West Europe": 1.03 },
+    prices: {
+      firewall: { label: "Azure Firewall Standard", unit: "hour", price: 1.25 },
+      bastion: { label: "Azure Bastion Basic", unit: "hour", price: 0.19 },
+      ddos: { label: "DDoS Network Protection plan", unit: "month", price: 2944 },
+      privateDns: { label: "Private DNS zone", unit: "month", price: 0.5 },
+      vpnGateway: { label: "VPN Gateway VpnGw1", unit: "hour", price: 0.19 },
+      erGateway: { label: "ExpressRoute Gateway ErGw1AZ", unit: "hour", price: 0.42 },
+      peeringGB: { label: "VNet peering traffic", unit: "GB", price: 0.02 },
+      globalPeeringGB: { label: "Global VNet peering traffic", unit: "GB", price: 0.07 },
+      frontDoor: { label: "Front Door Standard", unit: "month", price: 35 },
+      logGB: { label: "Log Analytics ingestion", unit: "GB", price: 2.76 },
+      keyVault: { label: "Key Vault (keys + operations)", unit: "month", price: 5 },
+      defender: { label: "Defender for Servers P2", unit: "server", price: 15 },
+      backupGB: { label: "Azure Backup storage (GRS)", unit: "GB", price: 0.05 },
+      "appService:P0v3": { label: "App Service P0v3", unit: "hour", price: 0.08 },
+      "appService:P1v3": { label: "App Service P1v3", unit: "hour", price: 0.16 },
+      "appService:P2v3": { label: "App Service P2v3", unit: "hour", price: 0.32 },
+      "vm:D2s_v5": { label: "VM D2s_v5", unit: "hour", price: 0.096 },
+      "vm:D4s_v5": { label: "VM D4s_v5", unit: "hour", price: 0.192 },
+      "vm:D8s_v5": { label: "VM D8s_v5", unit: "hour", price: 0.384 },
+      aks: { label: "AKS Standard tier", unit: "hour", price: 0.1 },
+      acr: { label: "Container Registry Premium", unit: "month", price: 50 },
+      adlsGB: { label: "ADLS Gen2 hot storage", unit: "GB", price: 0.019 },
+      synapseTB: { label: "Synapse serverless SQL processed", unit: "TB", price: 5 },
+      adfDiuHour: { label: "Data Factory data movement", unit: "DIU-hour", price: 0.25 },
+      functionsM: { label: "Functions executions", unit: "million", price: 0.2 },
+      serviceBusStandard: { label: "Service Bus Standard", unit: "month", price: 10 },
+      serviceBusPremium: { label: "Service Bus Premium (1 MU)", unit: "month", price: 677 },
+    },
+  },
+  AWS: {
+    regions: { "eu-north-1": 1, "eu-west-1": 1, "eu-west-2": 1.05 },
+    prices: {
+      natGateway: { label: "NAT Gateway", unit: "hour", price: 0.045 },
+      natGB: { label: "NAT Gateway data processed", unit: "GB", price: 0.045 },
+      tgwAttachment: { label: "Transit Gateway attachment", unit: "hour", price: 0.05 },
+      tgwGB: { label: "Transit Gateway data processed", unit: "GB", price: 0.02 },
+      interRegionGB: { label: "Inter-region data transfer", unit: "GB", price: 0.02 },
+      vpnConnection: { label: "Site-to-Site VPN connection", unit: "hour", price: 0.05 },
+      clientVpn: { label: "Client VPN endpoint association", unit: "hour", price: 0.1 },
+      directConnect: { label: "Direct Connect 1 Gbps port", unit: "hour", price: 0.3 },
+      route53Zone: { label: "Route 53 hosted zone", unit: "month", price: 0.5 },
+      healthCheck: { label: "Route 53 HTTPS health check", unit: "month", price: 1 },
+      alb: { label: "Application Load Balancer", unit: "hour", price: 0.0252 },
+      fargateTask: { label: "Fargate task (1 vCPU, 2 GB)", unit: "hour", price: 0.0507 },
+      eks: { label: "EKS control plane", unit: "hour", price: 0.1 },
+      ecrGB: { label: "ECR storage", unit: "GB", price: 0.1 },
+      "ec2:m6i.large": { label: "EC2 m6i.large", unit: "hour", price: 0.102 },
+      "ec2:m6i.xlarge": { label: "EC2 m6i.xlarge", unit: "hour", price: 0.204 },
+      "ec2:m6i.2xlarge": { label: "EC2 m6i.2xlarge", unit: "hour", price: 0.408 },
+      s3GB: { label: "S3 Standard storage", unit: "GB", price: 0.023 },
+      glueDpuHour: { label: "Glue ETL", unit: "DPU-hour", price: 0.44 },
+      redshiftNode: { label: "Redshift ra3.xlplus node", unit: "hour", price: 1.086 },
+      lambdaM: { label: "Lambda requests + compute", unit: "million", price: 3.5 },
+      sqsM: { label: "SQS/SNS requests", unit: "million", price: 0.4 },
+      logGB: { label: "CloudWatch Logs ingestion", unit: "GB", price: 0.5 },
+      kms: { label: "KMS customer-managed key", unit: "month", price: 1 },
+      securityServices: { label: "GuardDuty + Security Hub", unit: "month", price: 50 },
+      backupGB: { label: "AWS Backup warm storage", unit: "GB", price: 0.05 },
+    },
+  },
+  GCP: {
+    regions: { "europe-north1": 1, "europe-west1": 0.97, "europe-west2": 1.12 },
+    prices: {
+      cloudNat: { label: "Cloud NAT gateway", unit: "hour", price: 0.044 },
+      natGB: { label: "Cloud NAT data processed", unit: "GB", price: 0.045 },
+      nccSpoke: { label: "NCC VPC spoke", unit: "hour", price: 0.05 },
+      interRegionGB: { label: "Inter-region egress", unit: "GB", price: 0.02 },
+      haVpnTunnel: { label: "HA VPN tunnel", unit: "hour", price: 0.05 },
+      interconnect: { label: "Partner Interconnect 1 Gbps attachment", unit: "hour", price: 0.1 },
+      forwardingRule: { label: "Global LB forwarding rule", unit: "hour", price: 0.025 },
+      dnsZone: { label: "Cloud DNS managed zone", unit: "month", price: 0.2 },
+      cloudRun: { label: "Cloud Run instance (1 vCPU, 2 GiB, always on)", unit: "hour", price: 0.0756 },
+      gke: { label: "GKE cluster management", unit: "hour", price: 0.1 },
+      artifactGB: { label: "Artifact Registry storage", unit: "GB", price: 0.1 },
+      "gce:e2-standard-2": { label: "Compute Engine e2-standard-2", unit: "hour", price: 0.074 },
+      "gce:e2-standard-4": { label: "Compute Engine e2-standard-4", unit: "hour", price: 0.147 },
+      "gce:e2-standard-8": { label: "Compute Engine e2-standard-8", unit: "hour", price: 0.295 },
+      gcsGB: { label: "Cloud Storage Standard", unit: "GB", price: 0.02 },
+      bigQueryTB: { label: "BigQuery on-demand queries", unit: "TB", price: 6.25 },
+      dataflowVcpuHour: { label: "Dataflow batch", unit: "vCPU-hour", price: 0.056 },
+      functionsM: { label: "Cloud Functions invocations + compute", unit: "million", price: 2.5 },
+      pubsubGB: { label: "Pub/Sub throughput", unit: "GB", price: 0.04 },
+      logGB: { label: "Cloud Logging ingestion", unit: "GB", price: 0.5 },
+      kms: { label: "Cloud KMS key version", unit: "month", price: 0.06 },
+      backupGB: { label: "Backup and DR vault storage", unit: "GB", price: 0.05 },
+    },
+  },
+};
+
+// What a traffic level means in units we can price; "unknown" is sized like "moderate".
+const TRAFFIC_SIZING = {
+  low: { size: 0, instances: 2, nodes: 3, logGB: 10, dataGB: 100, dataTB: 1, requestsM: 1, backupGB: 200 },
+  moderate: { size: 1, instances: 3, nodes: 3, logGB: 50, dataGB: 500, dataTB: 5, requestsM: 10, backupGB: 1000 },
+  high: { size: 2, instances: 6, nodes: 6, logGB: 200, dataGB: 2000, dataTB: 20, requestsM: 100, backupGB: 5000 },
+};
+
+// Compute SKUs indexed by TRAFFIC_SIZING.size.
+const COMPUTE_SKUS = {
+  Azure: { web: ["P0v3", "P1v3", "P2v3"], vm: ["D2s_v5", "D4s_v5", "D8s_v5"] },
+  AWS: { vm: ["m6i.large", "m6i.xlarge", "m6i.2xlarge"] },
+  GCP: { vm: ["e2-standard-2", "e2-standard-4", "e2-standard-8"] },
+};
+
+function roundUSD(n, digits = 2) {
+  return Math.round(n * 10 ** digits) / 10 ** digits;
+}
+
+function azureCostItems(obj, add, sizing, regions) {
+  const { design, order } = obj;
+  const { availability } = design;
+  const [primary] = regions;
+  const onPrem = order?.networking?.onPremConnectivity;
+  regions.forEach((r) => {
+    const services = r.hub?.services || [];
+    const scale = (component) => componentScale(availability, component, r.region);
+    if (services.includes("Azure Firewall")) add("firewall", 1, r.region);
+    if (services.includes("Azure Bastion")) add("bastion", 1, r.region);
+    if (r.peerings.length) add("peeringGB", r.peerings.length * sizing.dataGB, r.region);
+    design.components.forEach((c) => {
+      if (c === "Front Door + App Service") add(`appService:${scale(c).sku}`, scale(c).instances, r.region);
+      if (c === "AKS + ACR") {
+        add("aks", 1, r.region);
+        add(`vm:${scale(c).sku}`, scale(c).instances, r.region, "AKS nodes");
+      }
+      if (c === "VM Scale Set") add(`vm:${scale(c).sku}`, scale(c).instances, r.region, "scale set");
+      if (c === "ADLS + Synapse/ADF") {
+        add("adlsGB", sizing.dataTB * 1024, r.region);
+        add("synapseTB", sizing.dataTB * 2, r.region);
+        add("adfDiuHour", sizing.dataTB * 40, r.region);
+      }
+      if (c === "Functions + Service Bus") {
+        add("functionsM", sizing.requestsM, r.region);
+        // Premium is the tier with private endpoints and availability zones.
+        const premium = design.security.privateEndpoints || availability.zoneRedundant;
+        add(premium ? "serviceBusPremium" : "serviceBusStandard", 1, r.region);
+      }
+    });
+  });
+  if (["site-to-site", "vpn-client-only"].includes(onPrem)) add("vpnGateway", 1, primary.region);
+  if (["expressroute", "direct-connect"].includes(onPrem)) add("erGateway", 1, primary.region);
+  if (primary.hub?.services?.includes("DDoS Protection")) add("ddos", 1);
+  if (primary.hub?.services?.includes("Private DNS Zones")) add("privateDns", 5);
+  if (design.landingZone.interRegionPeerings?.length)
+    add("globalPeeringGB", design.landingZone.interRegionPeerings.length * sizing.dataGB);
+  if (design.components.includes("Front Door + App Service") || design.landingZone.globalEntry) add("frontDoor", 1);
+  if (design.components.includes("AKS + ACR")) add("acr", 1);
+  if (design.observability.monitoring.some((m) => ["Log Analytics", "App Insights"].includes(m)))
+    add("logGB", sizing.logGB * regions.length);
+  if (design.security.keyManagement) add("keyVault", 1);
+  const servers = design.components.includes("VM Scale Set")
+    ? regions.reduce((n, r) => n + componentScale(availability, "VM Scale Set", r.region).instances, 0)
+    : 0;
+  if (design.security.defender && servers) add("defender", servers);
+  if (design.observability.backup) add("backupGB", sizing.backupGB);
+}
+
+function awsCostItems(obj, add, sizing, regions) {
+  const { design, order } = obj;
+  const { availability } = design;
+  const lz = design.landingZone;
+  const [primary] = regions;
+  const onPrem = order?.networking?.onPremConnectivity;
+  regions.forEach((r) => {
+    const code = awsRegionCode(r.region);
+    const scale = (component) => componentScale(availability, component, r.region);
+    add("natGateway", 1, code);
+    add("natGB", sizing.dataGB, code);
+    if (lz.model !== "flat") {
+      add("tgwAttachment", 1 + r.spokes.length, code);
+      add("tgwGB", sizing.dataGB, code);
+    }
+    design.components.forEach((c) => {
+      if (c === "ALB + ECS/EKS") {
+        add("alb", 1, code);
+        add("fargateTask", scale(c).instances, code);
+      }
+      if (c === "EKS + ECR") {
+        add("eks", 1, code);
+        add(`ec2:${scale(c).sku}`, scale(c).instances, code, "EKS nodes");
+        add("ecrGB", 50, code);
+      }
+      if (c === "EC2 ASG") add(`ec2:${scale(c).sku}`, scale(c).instances, code, "Auto Scaling group");
+      if (c === "S3 + Glue + Redshift") {
+        add("s3GB", sizing.dataTB * 1024, code);
+        add("glueDpuHour", sizing.dataTB * 20, code);
+        add("redshiftNode", 2 ** sizing.size * (availability.zoneRedundant ? 2 : 1), code);
+      }
+      if (c === "Lambda + SQS/SNS") {
+        add("lambdaM", sizing.requestsM, code);
+        add("sqsM", sizing.requestsM * 3, code);
+      }
+    });
+    if (design.security.defender) add("securityServices", 1, code);
+  });
+  const primaryCode = awsRegionCode(primary.region);
+  if (onPrem === "site-to-site") add("vpnConnection", 1, primaryCode);
+  if (onPrem === "vpn-client-only") add("clientVpn", 1, primaryCode);
+  if (["expressroute", "direct-connect"].includes(onPrem)) add("directConnect", 1, primaryCode);
+  if (lz.interRegionPeerings?.length) {
+    if (lz.model !== "flat") add("tgwAttachment", lz.interRegionPeerings.length, primaryCode);
+    add("interRegionGB", lz.interRegionPeerings.length * sizing.dataGB);
+  }
+  if (lz.globalEntry) {
+    add("route53Zone", 1);
+    add("healthCheck", regions.length);
   }
-  return [];
+  if (design.observability.monitoring.includes("CloudWatch/CloudTrail")) add("logGB", sizing.logGB * regions.length);
+  if (design.security.keyManagement) add("kms", 1);
+  if (design.observability.backup) add("backupGB", sizing.backupGB);
 }
 
-/* ------------ Terraform Exporters ------------ */
-function awsRegionCode(label) {
-  // "eu-north-1 (Stockholm)" -> "eu-north-1"
-  return (label || "eu-north-1").split(" ")[0];
+function gcpCostItems(obj, add, sizing, regions) {
+  const { design, order } = obj;
+  const { availability } = design;
+  const lz = design.landingZone;
+  const onPrem = order?.networking?.onPremConnectivity;
+  regions.forEach((r) => {
+    // Without a selected region, items are priced at list price ("global").
+    const region = r.region?.split(" ")[0];
+    const scale = (component) => componentScale(availability, component, r.region);
+    const networks = 1 + r.spokes.length;
+    add("cloudNat", networks, region);
+    add("natGB", sizing.dataGB, region);
+    if (lz.model === "mesh") add("nccSpoke", networks, region);
+    design.components.forEach((c) => {
+      if (c === "Cloud LB + Cloud Run/App Engine") add("cloudRun", scale(c).instances, region);
+      if (c === "GKE + Artifact Registry") {
+        add("gke", 1, region);
+        add(`gce:${scale(c).sku}`, scale(c).instances, region, "GKE nodes");
+        add("artifactGB", 50, region);
+      }
+      if (c === "Compute Engine MIG") add(`gce:${scale(c).sku}`, scale(c).instances, region, "managed instance group");
+      if (c === "GCS + Dataflow + BigQuery") {
+        add("gcsGB", sizing.dataTB * 1024, region);
+        add("bigQueryTB", sizing.dataTB * 2, region);
+        add("dataflowVcpuHour", sizing.dataTB * 40, region);
+      }
+      if (c === "Cloud Functions + Pub/Sub") {
+        add("functionsM", sizing.requestsM, region);
+        add("pubsubGB", sizing.requestsM, region);
+      }
+    });
+  });
+  const primaryRegion = regions[0].region?.split(" ")[0];
+  if (["site-to-site", "vpn-client-only"].includes(onPrem)) add("haVpnTunnel", 2, primaryRegion);
+  if (["expressroute", "direct-connect"].includes(onPrem)) add("interconnect", 2, primaryRegion);
+  if (lz.interRegionPeerings?.length) add("interRegionGB", lz.interRegionPeerings.length * sizing.dataGB);
+  if (lz.globalEntry || design.components.includes("Cloud LB + Cloud Run/App Engine")) add("forwardingRule", 1);
+  if (lz.globalEntry) add("dnsZone", 1);
+  if (design.observability.monitoring.includes("GCP Cloud Ops")) add("logGB", sizing.logGB * regions.length);
+  if (design.security.keyManagement) add("kms", 1);
+  if (design.observability.backup) add("backupGB", sizing.backupGB);
+}
+
+/**
+ * Prices every resource in the design from PRICE_CATALOG. Regional items carry the region's price factor;
+ * workloads are priced in every deployed region. Returns totals plus one line item per priced resource.
+ */
+function estimateCost(obj) {
+  const cloud = obj?.design?.cloud;
+  const catalog = PRICE_CATALOG[cloud];
+  const regions = designRegions(obj?.design?.landingZone);
+  const trafficLevel = obj?.order?.availability?.trafficLevel;
+  const sizing = TRAFFIC_SIZING[trafficLevel] || TRAFFIC_SIZING.moderate;
+  const lineItems = [];
+  // `purpose` tells apart line items that share a SKU (e.g. cluster nodes and scale-set instances).
+  const add = (key, quantity, region = "global", purpose = "") => {
+    const { label, unit, price } = catalog.prices[key];
+    const unitPrice = roundUSD(price * (catalog.regions[region] ?? 1), 4);
+    const hours = unit === "hour" ? PRICE_CATALOG.hoursPerMonth : 1;
+    const monthlyUSD = roundUSD(unitPrice * quantity * hours);
+    lineItems.push({ item: purpose ? `${label} (${purpose})` : label, region, quantity, unit, unitPrice, monthlyUSD });
+  };
+  if (catalog && regions.length) {
+    if (cloud === "Azure") azureCostItems(obj, add, sizing, regions);
+    if (cloud === "AWS") awsCostItems(obj, add, sizing, regions);
+    if (cloud === "GCP") gcpCostItems(obj, add, sizing, regions);
+  }
+  const monthlyUSD = Math.round(lineItems.reduce((sum, i) => sum + i.monthlyUSD, 0));
+  return {
+    catalogVersion: PRICE_CATALOG.version,
+    currency: PRICE_CATALOG.currency,
+    monthlyUSD,
+    yearlyUSD: monthlyUSD * 12,
+    trafficLevel: TRAFFIC_SIZING[trafficLevel] ? trafficLevel : "moderate",
+    lineItems,
+    note: `List prices from catalog ${PRICE_CATALOG.version}; excludes discounts, taxes, support and internet egress.`,
+  };
+}
+
+/* ------------ Cloud comparison ------------ */
+// Nearest equivalent region on each cloud, used when an order is re-targeted to another cloud. Each region appears
+// once; London has no Azure counterpart on offer, so it moves to Azure's default region.
+const REGION_EQUIVALENTS = [
+  { Azure: "Sweden Central", AWS: "eu-north-1 (Stockholm)", GCP: "europe-north1 (Finland)" },
+  { Azure: "Sweden South", AWS: "eu-north-1 (Stockholm)", GCP: "europe-north1 (Finland)" },
+  { Azure: "North Europe", AWS: "eu-west-1 (Ireland)", GCP: "europe-west1 (Belgium)" },
+  { Azure: "West Europe", AWS: "eu-west-1 (Ireland)", GCP: "europe-west1 (Belgium)" },
+  { AWS: "eu-west-2 (London)", GCP: "europe-west2 (London)" },
+];
+
+// Each cloud's native monitoring stack; other selections (e.g. Prometheus/Grafana) carry over unchanged.
+const NATIVE_MONITORING = {
+  Azure: ["Log Analytics", "App Insights"],
+  AWS: ["CloudWatch/CloudTrail"],
+  GCP: ["GCP Cloud Ops"],
+};
+
+function equivalentRegion(region, cloud) {
+  const row = REGION_EQUIVALENTS.find((r) => Object.values(r).includes(region));
+  return row?.[cloud] || REGIONS.find((r) => r.cloud === cloud).regions[0];
+}
+
+// The same requirements expressed for another cloud: regions, native monitoring and IaC tool are translated.
+function retargetOrder(form, cloud) {
+  // An order without regions yet is compared in each cloud's default region.
+  const defaultRegion = REGIONS.find((r) => r.cloud === cloud).regions[0];
+  if (form.preferredCloud === cloud) return form.regions.length ? form : { ...form, regions: [defaultRegion] };
+  const monitoring = form.tooling.monitoring.filter((m) => !Object.values(NATIVE_MONITORING).flat().includes(m));
+  const usedNative = form.tooling.monitoring.length !== monitoring.length;
+  return {
+    ...form,
+    preferredCloud: cloud,
+    regions: form.regions.length
+      ? Array.from(new Set(form.regions.map((r) => equivalentRegion(r, cloud))))
+      : [defaultRegion],
+    tooling: {
+      ...form.tooling,
+      monitoring: usedNative ? [...NATIVE_MONITORING[cloud], ...monitoring] : monitoring,
+      iac: effectiveIacTool(cloud, form.tooling.iac),
+    },
+  };
+}
+
+// Requirements that a cloud cannot meet as asked, or meets only with a substitute.
+function cloudGaps(form, target, validation) {
+  const cloud = target.preferredCloud;
+  const gaps = [];
+  if (form.workloads.m365 && cloud !== "Azure")
+    gaps.push("No native Microsoft 365 / Graph integration (Entra app registrations stay on Azure)");
+  if (form.tooling.iac === "Bicep" && cloud !== "Azure") gaps.push("Bicep is Azure-only; Terraform is used instead");
+  if (form.security.ddos && cloud !== "Azure")
+    gaps.push(`DDoS protection plan not modelled (${cloud === "AWS" ? "Shield Advanced" : "Cloud Armor"} is separate)`);
+  if (/entra|azure ad/i.test(form.security.identityProvider) && cloud !== "Azure") {
+    const federation = cloud === "AWS" ? "IAM Identity Center" : "Cloud Identity";
+    gaps.push(`${form.security.identityProvider} federates via ${federation}`);
+  }
+  if (target.regions.length < form.regions.length)
+    gaps.push(`Only ${target.regions.length} distinct ${cloud} region(s) for ${form.regions.length} requested`);
+  validation.issues.filter((i) => i.severity === "error").forEach((i) => gaps.push(i.message));
+  return gaps;
+}
+
+/**
+ * Runs the design, cost estimate and policy baselines for every cloud from the same requirements.
+ * Returns one `{ cloud, form, design, cost, policies, gaps }` entry per cloud.
+ */
+function compareClouds(form) {
+  return REGIONS.map(({ cloud }) => {
+    const target = retargetOrder(form, cloud);
+    const design = generateDesign(target);
+    return {
+      cloud,
+      form: target,
+      design,
+      cost: design.design.cost,
+      policies: generatePolicyBaselines(design).baselines,
+      gaps: cloudGaps(form, target, validateOrder(target, design)),
+    };
+  });
+}
+
+/* ------------ CI/CD pipelines ------------ */
+const TERRAFORM_VERSION = "1.9.8";
+const NODE_VERSION = "20";
+const DRIFT_CRON = "0 5 * * 1-5"; // weekdays at 05:00 UTC
+
+// Promotion order; environments with `approval` wait for a manual sign-off between plan and apply.
+const PIPELINE_ENVIRONMENTS = [
+  { name: "dev", approval: false },
+  { name: "test", approval: true },
+  { name: "prod", approval: true },
+];
+
+// CI variables for OIDC federation. Per-environment ones point each environment at its own identity and
+// subscription/account/project, so a dev credential can never touch prod.
+const OIDC_VARIABLES = {
+  Azure: { shared: ["AZURE_TENANT_ID"], perEnvironment: ["AZURE_CLIENT_ID", "AZURE_SUBSCRIPTION_ID"] },
+  AWS: { shared: [], perEnvironment: ["AWS_ROLE_ARN"] },
+  GCP: { shared: ["GCP_WORKLOAD_IDENTITY_PROVIDER"], perEnvironment: ["GCP_SERVICE_ACCOUNT"] },
+};
+
+const OIDC_AUDIENCES = {
+  Azure: "api://AzureADTokenExchange",
+  AWS: "sts.amazonaws.com",
+  GCP: "https://iam.googleapis.com/${GCP_WORKLOAD_IDENTITY_PROVIDER}",
+};
+
+/**
+ * Shell commands per pipeline step for the IaC tool the order exports. Each environment is a Terraform workspace,
+ * a Pulumi stack or, for Bicep, its own resource group. `savedPlan` is the file the apply step consumes, if any.
+ */
+function iacCommands(form) {
+  const tool = effectiveIacTool(form.preferredCloud, form.tooling.iac);
+  if (tool === "Bicep") {
+    const group = (env) => `${(form.orgName || "org").toLowerCase().replace(/\s+/g, "-")}-${env}-rg`;
+    const target = (env) => `--resource-group ${group(env)} --template-file main.bicep --parameters main.bicepparam`;
+    return {
+      tool,
+      labels: { validate: "bicep lint", plan: "what-if", apply: "deployment create", drift: "what-if drift check" },
+      validate: [
+        "az bicep install",
+        "az bicep lint --file main.bicep",
+        "az bicep build-params --file main.bicepparam --stdout > /dev/null",
+      ],
+      // what-if needs the resource group, which the first apply creates.
+      plan: (env) => [
+        [
+          `if [ "$(az group exists --name ${group(env)})" = true ]; then`,
+          `  az deployment group what-if ${target(env)} > plan.txt`,
+          "else",
+          `  echo "Resource group ${group(env)} does not exist yet; the first apply creates everything." > plan.txt`,
+          "fi",
+        ].join("\n"),
+        "cat plan.txt",
+      ],
+      apply: (env) => [
+        `az group create --name ${group(env)} --location ${azureLocation(form.regions[0])} --output none`,
+        `az deployment group create --name landing-zone-${env} ${target(env)}`,
+      ],
+      drift: (env) => [
+        [
+          `changes=$(az deployment group what-if ${target(env)} --no-pretty-print \\`,
+          '  --exclude-change-types NoChange Ignore --query "length(changes)" --output tsv)',
+        ].join("\n"),
+        'echo "$changes resource(s) differ from main.bicep"',
+        'test "$changes" -eq 0',
+      ],
+      planFiles: ["plan.txt"],
+      savedPlan: null,
+    };
+  }
+  if (tool === "Pulumi") {
+    const first = PIPELINE_ENVIRONMENTS[0].name;
+    // Later stacks start from the first stack's config (Pulumi.<stack>.yaml) the first time they are deployed.
+    const stack = (env) =>
+      env === first
+        ? `pulumi stack select --create ${env}`
+        : `pulumi stack select ${env} || pulumi stack init ${env} --copy-config-from ${first}`;
+    return {
+      tool,
+      labels: { validate: "tsc", plan: "pulumi preview", apply: "pulumi up", drift: "pulumi preview --refresh" },
+      validate: ["npm install", "npx tsc --noEmit --target es2020 --module commonjs --esModuleInterop index.ts"],
+      plan: (env) => ["npm install", stack(env), "pulumi preview --diff --non-interactive > plan.txt", "cat plan.txt"],
+      apply: (env) => ["npm install", stack(env), "pulumi up --yes --diff --non-interactive"],
+      // --expect-no-changes fails the job when the refreshed state no longer matches the program.
+      drift: (env) => ["npm install", stack(env), "pulumi preview --refresh --expect-no-changes --non-interactive"],
+      planFiles: ["plan.txt"],
+      savedPlan: null,
+    };
+  }
+  const workspace = (env) => `terraform workspace select -or-create=true ${env}`;
+  return {
+    tool,
+    labels: {
+      validate: "terraform fmt / validate",
+      plan: "terraform plan",
+      apply: "terraform apply",
+      drift: "terraform plan -detailed-exitcode",
+    },
+    validate: ["terraform fmt -check -recursive", "terraform init -backend=false", "terraform validate"],
+    plan: (env) => [
+      "terraform init",
+      workspace(env),
+      "terraform plan -out=tfplan",
+      "terraform show -no-color tfplan > plan.txt",
+    ],
+    apply: (env) => ["terraform init", workspace(env), "terraform apply tfplan"],
+    // Exit code 2 means the live infrastructure no longer matches the code, which fails the job.
+    drift: (env) => ["terraform init", workspace(env), "terraform plan -lock=false -detailed-exitcode"],
+    planFiles: ["tfplan", "plan.txt"],
+    savedPlan: "tfplan",
+  };
+}
+
+// Scan strictness, raised one level by frameworks that audit the delivery pipeline and two by the card and health
+// data frameworks; zero trust adds another level. Thresholds only ever get stricter up the list.
+const SCAN_LEVELS = [
+  {
+    name: "baseline",
+    severities: "HIGH,CRITICAL",
+    tflint: "error",
+    npmAudit: "high",
+    checkovHardFail: false,
+    secretHistory: false,
+    costIncreasePercent: 25,
+  },
+  {
+    name: "elevated",
+    severities: "MEDIUM,HIGH,CRITICAL",
+    tflint: "warning",
+    npmAudit: "moderate",
+    checkovHardFail: true,
+    secretHistory: false,
+    costIncreasePercent: 15,
+  },
+  {
+    name: "strict",
+    severities: "LOW,MEDIUM,HIGH,CRITICAL",
+    tflint: "notice",
+    npmAudit: "low",
+    checkovHardFail: true,
+    secretHistory: true,
+    costIncreasePercent: 10,
+  },
+];
+const SCAN_FRAMEWORK_WEIGHTS = { "ISO 27001": 1, "SOC 2": 1, HIPAA: 2, "PCI DSS": 2 };
+const GITLEAKS_VERSION = "8.21.2";
+
+/**
+ * Security scan jobs for the pipeline: static IaC analysis, secret scanning and (Terraform only, pull requests only)
+ * an Infracost cost diff. `install` sets a scanner up on a hosted Ubuntu agent; GitLab runs `image` instead.
+ */
+function securityScans(form) {
+  const tool = effectiveIacTool(form.preferredCloud, form.tooling.iac);
+  const reasons = [
+    ...form.compliance.filter((f) => SCAN_FRAMEWORK_WEIGHTS[f]),
+    ...(form.security.zeroTrust ? ["zero trust"] : []),
+  ];
+  const weight =
+    Math.max(0, ...form.compliance.map((f) => SCAN_FRAMEWORK_WEIGHTS[f] || 0)) + (form.security.zeroTrust ? 1 : 0);
+  const policy = { ...SCAN_LEVELS[Math.min(weight, SCAN_LEVELS.length - 1)], reasons };
+  const pct = policy.costIncreasePercent;
+  const raw = "https://raw.githubusercontent.com";
+  const gitleaksArchive = `v${GITLEAKS_VERSION}/gitleaks_${GITLEAKS_VERSION}_linux_x64.tar.gz`;
+  const scans = [];
+  if (tool === "Terraform")
+    scans.push(
+      {
+        id: "tflint",
+        name: "tflint",
+        image: "ghcr.io/terraform-linters/tflint:latest",
+        install: [`curl -sSfL ${raw}/terraform-linters/tflint/master/install_linux.sh | bash`],
+        run: ["tflint --init", `tflint --recursive --minimum-failure-severity=${policy.tflint}`],
+      },
+      {
+        id: "trivy",
+        name: "trivy config",
+        image: "aquasec/trivy:latest",
+        install: [`curl -sSfL ${raw}/aquasecurity/trivy/main/contrib/install.sh | sudo sh -s -- -b /usr/local/bin`],
+        run: [`trivy config --severity ${policy.severities} --exit-code 1 .`],
+      }
+    );
+  if (tool !== "Pulumi")
+    scans.push({
+      id: "checkov",
+      name: "checkov",
+      image: "bridgecrew/checkov:latest",
+      install: ["pip install --quiet checkov"],
+      run: [
+        `checkov --directory . --framework ${tool.toLowerCase()} --compact --quiet${
+          policy.checkovHardFail ? "" : " --soft-fail"
+        }`,
+      ],
+    });
+  // Pulumi programs are TypeScript, which the IaC scanners do not read; audit the program's dependencies instead.
+  if (tool === "Pulumi")
+    scans.push({
+      id: "npm-audit",
+      name: "npm audit",
+      image: `node:${NODE_VERSION}`,
+      install: [],
+      run: ["npm install --package-lock-only --ignore-scripts", `npm audit --audit-level=${policy.npmAudit}`],
+    });
+  scans.push({
+    id: "secrets",
+    name: "gitleaks",
+    image: "zricethezav/gitleaks:latest",
+    install: [
+      `curl -sSfL https://github.com/gitleaks/gitleaks/releases/download/${gitleaksArchive} \\`,
+      "  | sudo tar -xz -C /usr/local/bin gitleaks",
+    ],
+    fullHistory: policy.secretHistory,
+    run: [`gitleaks detect --source . --redact --verbose${policy.secretHistory ? "" : " --no-git"}`],
+  });
+  // BASE_BRANCH is the pull request's target branch; a base without resources (the first deploy) never fails.
+  if (tool === "Terraform")
+    scans.push({
+      id: "cost",
+      name: "infracost diff",
+      image: "infracost/infracost:ci-latest",
+      install: [`curl -fsSL ${raw}/infracost/infracost/master/scripts/install.sh | sh`],
+      pullRequestOnly: true,
+      secrets: ["INFRACOST_API_KEY"],
+      run: [
+        'git fetch --depth=1 origin "${BASE_BRANCH#refs/heads/}"',
+        "git worktree add /tmp/base FETCH_HEAD",
+        "infracost breakdown --path /tmp/base --format json --out-file /tmp/infracost-base.json",
+        "infracost diff --path . --compare-to /tmp/infracost-base.json --format json --out-file infracost.json",
+        "infracost output --path infracost.json --format diff --out-file cost.txt",
+        "cat cost.txt",
+        [
+          `past=$(jq -r '.pastTotalMonthlyCost // "0"' infracost.json)`,
+          `diff=$(jq -r '.diffTotalMonthlyCost // "0"' infracost.json)`,
+          `if awk -v p="$past" -v d="$diff" 'BEGIN { exit !(p > 0 && d > p * ${pct} / 100) }'; then`,
+          `  echo "Monthly cost grows by $diff USD, more than ${pct}% of $past USD"`,
+          "  exit 1",
+          "fi",
+        ].join("\n"),
+      ],
+    });
+  return { policy, scans };
+}
+
+// Summary of the scan stages for pipeline headers and the README, one sentence per line.
+function scanSummary({ policy, scans }) {
+  const gates = scans.filter((s) => !s.pullRequestOnly).map((s) => s.name);
+  const reason = policy.reasons.length ? ` for ${policy.reasons.join(", ")}` : "";
+  return [
+    `Security scans gate every plan: ${gates.join(", ")} (${policy.name} thresholds${reason}).`,
+    ...(scans.some((s) => s.id === "cost")
+      ? [`The cost diff fails when Infracost estimates a monthly increase above ${policy.costIncreasePercent}%.`]
+      : []),
+  ];
+}
+
+// Workload identity federation credential file for Google, built from an OIDC token written to `tokenFile`.
+function gcpCredentialConfig(tokenFile, provider, serviceAccount) {
+  return [
+    `export GOOGLE_APPLICATION_CREDENTIALS="${tokenFile}.json"`,
+    `cat > "$GOOGLE_APPLICATION_CREDENTIALS" <<EOF`,
+    `{"type": "external_account", "audience": "//iam.googleapis.com/${provider}",`,
+    ` "subject_token_type": "urn:ietf:params:oauth:token-type:jwt",`,
+    ` "token_url": "https://sts.googleapis.com/v1/token",`,
+    ` "credential_source": {"file": "${tokenFile}"},`,
+    ` "service_account_impersonation_url":`,
+    `   "https://iamcredentials.googleapis.com/v1/projects/-/serviceAccounts/${serviceAccount}:generateAccessToken"}`,
+    `EOF`,
+  ];
+}
+
+const indentLines = (lines, pad) => lines.flatMap((l) => l.split("\n")).map((l) => (l ? `${pad}${l}` : l));
+
+function githubWorkflow(form) {
+  const cloud = form.preferredCloud;
+  const commands = iacCommands(form);
+  const { tool, labels } = commands;
+  const security = securityScans(form);
+  const gateJobs = ["validate", ...security.scans.filter((s) => !s.pullRequestOnly).map((s) => `scan-${s.id}`)];
+  const gates = `[${gateJobs.join(", ")}]`;
+  const expr = (text) => "${{ " + text + " }}";
+  const envVar = (name, env) => expr(`vars.${name}_${env.toUpperCase()}`);
+  const run = (name, lines) => [`- name: ${name}`, `  run: |`, ...indentLines(lines, "    ")];
+  const setup = [
+    "- uses: actions/checkout@v4",
+    ...{
+      Terraform: [
+        "- uses: hashicorp/setup-terraform@v3",
+        "  with:",
+        `    terraform_version: ${TERRAFORM_VERSION}`,
+        "    terraform_wrapper: false",
+      ],
+      Pulumi: [
+        "- uses: actions/setup-node@v4",
+        "  with:",
+        `    node-version: ${NODE_VERSION}`,
+        "- uses: pulumi/actions@v5",
+      ],
+      Bicep: [],
+    }[tool],
+  ];
+  const login = (env) => {
+    if (cloud === "AWS")
+      return [
+        "- uses: aws-actions/configure-aws-credentials@v4",
+        "  with:",
+        `    role-to-assume: ${envVar("AWS_ROLE_ARN", env)}`,
+        `    aws-region: ${awsRegionCode(form.regions[0])}`,
+      ];
+    if (cloud === "GCP")
+      return [
+        "- uses: google-github-actions/auth@v2",
+        "  with:",
+        `    workload_identity_provider: ${expr("vars.GCP_WORKLOAD_IDENTITY_PROVIDER")}`,
+        `    service_account: ${envVar("GCP_SERVICE_ACCOUNT", env)}`,
+      ];
+    if (tool === "Bicep")
+      return [
+        "- uses: azure/login@v2",
+        "  with:",
+        `    client-id: ${envVar("AZURE_CLIENT_ID", env)}`,
+        `    tenant-id: ${expr("vars.AZURE_TENANT_ID")}`,
+        `    subscription-id: ${envVar("AZURE_SUBSCRIPTION_ID", env)}`,
+      ];
+    return [];
+  };
+  // azurerm and azure-native read the GitHub OIDC token themselves once ARM_USE_OIDC is set.
+  const jobEnv = (env) =>
+    cloud === "Azure" && tool !== "Bicep"
+      ? [
+          "env:",
+          '  ARM_USE_OIDC: "true"',
+          `  ARM_TENANT_ID: ${expr("vars.AZURE_TENANT_ID")}`,
+          `  ARM_CLIENT_ID: ${envVar("AZURE_CLIENT_ID", env)}`,
+          `  ARM_SUBSCRIPTION_ID: ${envVar("AZURE_SUBSCRIPTION_ID", env)}`,
+        ]
+      : [];
+  const artifact = (action, name) => [
+    `- uses: actions/${action}-artifact@v4`,
+    "  with:",
+    `    name: ${name}`,
+    ...(action === "upload" ? ["    path: |", ...commands.planFiles.map((f) => `      ${f}`)] : []),
+  ];
+  const variables = (values) => ["env:", ...Object.entries(values).map(([k, v]) => `  ${k}: ${v}`)];
+  const job = (id, { name, needs, condition, environment, env, vars, steps }) =>
+    [
+      `${id}:`,
+      `  name: ${name}`,
+      needs && `  needs: ${needs}`,
+      `  if: ${condition}`,
+      environment && `  environment: ${environment}`,
+      "  runs-on: ubuntu-latest",
+      ...indentLines(env ? jobEnv(env) : vars ? variables(vars) : [], "  "),
+      "  steps:",
+      ...indentLines(steps, "    "),
+    ].filter(Boolean);
+
+  const jobs = [
+    job("validate", {
+      name: "validate",
+      condition: "github.event_name != 'schedule'",
+      steps: [...setup, ...run(labels.validate, commands.validate)],
+    }),
+    ...security.scans.map((scan) =>
+      job(`scan-${scan.id}`, {
+        name: scan.name,
+        condition: scan.pullRequestOnly ? "github.event_name == 'pull_request'" : "github.event_name != 'schedule'",
+        vars: scan.secrets && {
+          BASE_BRANCH: expr("github.base_ref"),
+          ...Object.fromEntries(scan.secrets.map((s) => [s, expr(`secrets.${s}`)])),
+        },
+        steps: [
+          "- uses: actions/checkout@v4",
+          ...(scan.fullHistory ? ["  with:", "    fetch-depth: 0"] : []),
+          ...(scan.install.length ? run(`install ${scan.name}`, scan.install) : []),
+          ...run(scan.name, scan.run),
+        ],
+      })
+    ),
+  ];
+  PIPELINE_ENVIRONMENTS.forEach(({ name: env }) => {
+    jobs.push(
+      job(`pr-plan-${env}`, {
+        name: `plan (${env})`,
+        needs: gates,
+        condition: "github.event_name == 'pull_request'",
+        env,
+        steps: [
+          ...setup,
+          ...login(env),
+          ...run(labels.plan, commands.plan(env)),
+          ...artifact("upload", `pr-plan-${env}`),
+        ],
+      })
+    );
+  });
+  PIPELINE_ENVIRONMENTS.forEach(({ name: env, approval }, i) => {
+    const previous = PIPELINE_ENVIRONMENTS[i - 1];
+    jobs.push(
+      job(`plan-${env}`, {
+        name: `plan ${env}`,
+        needs: previous ? `apply-${previous.name}` : gates,
+        condition: "github.event_name == 'push'",
+        env,
+        steps: [...setup, ...login(env), ...run(labels.plan, commands.plan(env)), ...artifact("upload", `plan-${env}`)],
+      }),
+      job(`apply-${env}`, {
+        name: `apply ${env}${approval ? " (approval)" : ""}`,
+        needs: `plan-${env}`,
+        condition: "github.event_name == 'push'",
+        environment: env,
+        env,
+        steps: [
+          ...setup,
+          ...(commands.savedPlan ? artifact("download", `plan-${env}`) : []),
+          ...login(env),
+          ...run(labels.apply, commands.apply(env)),
+        ],
+      })
+    );
+  });
+  PIPELINE_ENVIRONMENTS.forEach(({ name: env }) =>
+    jobs.push(
+      job(`drift-${env}`, {
+        name: `drift detection (${env})`,
+        condition: "github.event_name == 'schedule'",
+        env,
+        steps: [...setup, ...login(env), ...run(labels.drift, commands.drift(env))],
+      })
+    )
+  );
+
+  const workflowEnv = {
+    Terraform: ['  TF_IN_AUTOMATION: "true"', '  TF_INPUT: "false"'],
+    Pulumi: [`  PULUMI_ACCESS_TOKEN: ${expr("secrets.PULUMI_ACCESS_TOKEN")}`],
+    Bicep: [],
+  }[tool];
+  const approvals = PIPELINE_ENVIRONMENTS.filter((e) => e.approval).map((e) => e.name);
+  const securityNotes = scanSummary(security)
+    .map((line) => `# ${line}`)
+    .join("\n");
+  return `# Pull requests: ${labels.validate} and a ${labels.plan} per environment (uploaded as an artifact).
+# main: plan -> apply through ${PIPELINE_ENVIRONMENTS.map((e) => e.name).join(" -> ")}. Add required reviewers to the
+# ${approvals.join(" and ")} environments (Settings > Environments) so their apply waits for a manual approval.
+${securityNotes}
+# Schedule: drift detection against every environment.
+name: Landing zone
+
+on:
+  pull_request:
+    branches: [main]
+  push:
+    branches: [main]
+  schedule:
+    - cron: "${DRIFT_CRON}"
+
+permissions:
+  id-token: write
+  contents: read
+
+concurrency:
+  group: landing-zone-${expr("github.ref")}
+  cancel-in-progress: false
+${workflowEnv.length ? `\nenv:\n${workflowEnv.join("\n")}\n` : ""}
+jobs:
+${jobs.map((lines) => indentLines(lines, "  ").join("\n")).join("\n\n")}`;
+}
+
+function azureDevOpsPipeline(form) {
+  const cloud = form.preferredCloud;
+  const commands = iacCommands(form);
+  const { tool, labels } = commands;
+  const security = securityScans(form);
+  const connection = (env) => `landing-zone-${env}`;
+  const install = {
+    Terraform: ["- task: TerraformInstaller@1", "  inputs:", `    terraformVersion: ${TERRAFORM_VERSION}`],
+    Pulumi: [
+      "- task: NodeTool@0",
+      "  inputs:",
+      `    versionSpec: ${NODE_VERSION}.x`,
+      "- script: |",
+      "    curl -fsSL https://get.pulumi.com | sh",
+      '    echo "##vso[task.prependpath]$HOME/.pulumi/bin"',
+      "  displayName: Install Pulumi",
+    ],
+    Bicep: [],
+  }[tool];
+  // Secret variables only reach scripts that map them explicitly.
+  const secrets = tool === "Pulumi" ? ["PULUMI_ACCESS_TOKEN: $(PULUMI_ACCESS_TOKEN)"] : [];
+  const withEnv = (step, env) => (env.length ? [...step, "  env:", ...env.map((e) => `    ${e}`)] : step);
+  // Service connections use workload identity federation; the tasks hand their short-lived token to the tool.
+  const run = (name, env, lines) => {
+    const script = ["set -euo pipefail", ...lines];
+    if (cloud === "Azure")
+      return withEnv(
+        [
+          "- task: AzureCLI@2",
+          `  displayName: ${name}`,
+          "  inputs:",
+          `    azureSubscription: ${connection(env)}`,
+          "    scriptType: bash",
+          "    scriptLocation: inlineScript",
+          "    addSpnToEnvironment: true",
+          "    inlineScript: |",
+          ...indentLines(
+            tool === "Bicep"
+              ? script
+              : [
+                  script[0],
+                  'export ARM_USE_OIDC=true ARM_OIDC_TOKEN="$idToken" ARM_CLIENT_ID="$servicePrincipalId"',
+                  'export ARM_TENANT_ID="$tenantId" ARM_SUBSCRIPTION_ID="$(az account show --query id -o tsv)"',
+                  ...lines,
+                ],
+            "      "
+          ),
+        ],
+        secrets
+      );
+    if (cloud === "AWS")
+      return withEnv(
+        [
+          "- task: AWSShellScript@1",
+          `  displayName: ${name}`,
+          "  inputs:",
+          `    awsCredentials: ${connection(env)}`,
+          `    regionName: ${awsRegionCode(form.regions[0])}`,
+          "    scriptType: inline",
+          "    inlineScript: |",
+          ...indentLines(script, "      "),
+        ],
+        secrets
+      );
+    const token = "$(Agent.TempDirectory)/oidc-token";
+    return withEnv(
+      [
+        "- script: |",
+        ...indentLines(
+          [
+            script[0],
+            'curl -sf -X POST -H "Authorization: Bearer $SYSTEM_ACCESSTOKEN" -H "Content-Length: 0" \\',
+            '  "$SYSTEM_OIDCREQUESTURI?api-version=7.1&serviceConnectionId=$(GCP_SERVICE_CONNECTION_ID)" \\',
+            `  | jq -r .oidcToken > "${token}"`,
+            ...gcpCredentialConfig(token, "$(GCP_WORKLOAD_IDENTITY_PROVIDER)", "$(GCP_SERVICE_ACCOUNT)"),
+            ...lines,
+          ],
+          "    "
+        ),
+        `  displayName: ${name}`,
+      ],
+      ["SYSTEM_ACCESSTOKEN: $(System.AccessToken)", ...secrets]
+    );
+  };
+  const variables = (env) => (cloud === "GCP" ? ["variables:", `- group: ${connection(env)}`] : []);
+  const stage = (id, condition, dependsOn, jobs) =>
+    [`- stage: ${id}`, `  dependsOn: ${dependsOn}`, `  condition: ${condition}`, "  jobs:", ...jobs].join("\n");
+  const job = (id, env, steps) => [
+    `  - job: ${id}`,
+    ...indentLines(env ? variables(env) : [], "    "),
+    "    steps:",
+    ...indentLines(steps, "    "),
+  ];
+  const publish = (name) => [
+    `- script: cp ${commands.planFiles.join(" ")} $(Build.ArtifactStagingDirectory)/`,
+    "  displayName: Stage plan",
+    "- publish: $(Build.ArtifactStagingDirectory)",
+    `  artifact: ${name}`,
+  ];
+  const onMain =
+    "and(succeeded(), ne(variables['Build.Reason'], 'PullRequest'), " +
+    "eq(variables['Build.SourceBranch'], 'refs/heads/main'))";
+  // The cost diff fetches the target branch, so it keeps the checkout's credentials.
+  const scanJob = (scan, env) => [
+    `  - job: scan_${scan.id.replace(/-/g, "_")}`,
+    `    displayName: ${scan.name}`,
+    "    steps:",
+    ...indentLines(
+      [
+        "- checkout: self",
+        ...(scan.fullHistory ? ["  fetchDepth: 0"] : []),
+        ...(scan.pullRequestOnly ? ["  persistCredentials: true"] : []),
+        ...withEnv(
+          [
+            "- script: |",
+            ...indentLines(["set -euo pipefail", ...scan.install, ...scan.run], "    "),
+            `  displayName: ${scan.name}`,
+          ],
+          env
+        ),
+      ],
+      "    "
+    ),
+  ];
+  const gateScans = security.scans.filter((s) => !s.pullRequestOnly);
+  const prScans = security.scans.filter((s) => s.pullRequestOnly);
+  const gateStages = "[Validate, SecurityScan]";
+
+  const stages = [
+    stage("Validate", "ne(variables['Build.Reason'], 'Schedule')", "[]", [
+      ...job("validate", null, [
+        ...install,
+        "- script: |",
+        ...indentLines(["set -euo pipefail", ...commands.validate], "    "),
+        `  displayName: ${labels.validate}`,
+      ]),
+    ]),
+    stage(
+      "SecurityScan",
+      "ne(variables['Build.Reason'], 'Schedule')",
+      "[]",
+      gateScans.flatMap((scan) => scanJob(scan, []))
+    ),
+    ...(prScans.length
+      ? [
+          stage(
+            "CostDiff",
+            "eq(variables['Build.Reason'], 'PullRequest')",
+            "[]",
+            prScans.flatMap((scan) =>
+              scanJob(scan, [
+                "BASE_BRANCH: $(System.PullRequest.TargetBranch)",
+                ...(scan.secrets || []).map((s) => `${s}: $(${s})`),
+              ])
+            )
+          ),
+        ]
+      : []),
+    stage(
+      "PullRequestPlan",
+      "and(succeeded(), eq(variables['Build.Reason'], 'PullRequest'))",
+      gateStages,
+      PIPELINE_ENVIRONMENTS.flatMap(({ name: env }) =>
+        job(`plan_${env}`, env, [
+          ...install,
+          ...run(`${labels.plan} (${env})`, env, commands.plan(env)),
+          ...publish(`pr-plan-${env}`),
+        ])
+      )
+    ),
+  ];
+  PIPELINE_ENVIRONMENTS.forEach(({ name: env, approval }, i) => {
+    const jobs = [
+      ...job("plan", env, [...install, ...run(labels.plan, env, commands.plan(env)), ...publish(`plan-${env}`)]),
+    ];
+    if (approval)
+      jobs.push(
+        "  - job: approve",
+        "    dependsOn: plan",
+        "    pool: server",
+        "    timeoutInMinutes: 4320",
+        "    steps:",
+        "    - task: ManualValidation@1",
+        "      inputs:",
+        '        notifyUsers: ""',
+        `        instructions: Review the plan-${env} artifact, then approve to apply it to ${env}.`,
+        "        onTimeout: reject"
+      );
+    jobs.push(
+      "  - deployment: apply",
+      `    dependsOn: ${approval ? "[plan, approve]" : "plan"}`,
+      ...indentLines(variables(env), "    "),
+      `    environment: ${connection(env)}`,
+      "    strategy:",
+      "      runOnce:",
+      "        deploy:",
+      "          steps:",
+      ...indentLines(
+        [
+          "- checkout: self",
+          ...(commands.savedPlan
+            ? [
+                "- download: current",
+                `  artifact: plan-${env}`,
+                `- script: cp $(Pipeline.Workspace)/plan-${env}/${commands.savedPlan} .`,
+                "  displayName: Fetch plan",
+              ]
+            : []),
+          ...install,
+          ...run(labels.apply, env, commands.apply(env)),
+        ],
+        "          "
+      )
+    );
+    stages.push(stage(`Deploy_${env}`, onMain, i ? `Deploy_${PIPELINE_ENVIRONMENTS[i - 1].name}` : gateStages, jobs));
+  });
+  stages.push(
+    stage(
+      "DriftDetection",
+      "eq(variables['Build.Reason'], 'Schedule')",
+      "[]",
+      PIPELINE_ENVIRONMENTS.flatMap(({ name: env }) =>
+        job(`drift_${env}`, env, [...install, ...run(`${labels.drift} (${env})`, env, commands.drift(env))])
+      )
+    )
+  );
+
+  const approvals = PIPELINE_ENVIRONMENTS.filter((e) => e.approval).map((e) => e.name);
+  const promotion = PIPELINE_ENVIRONMENTS.map((e) => e.name).join(" -> ");
+  const connections = PIPELINE_ENVIRONMENTS.map((e) => connection(e.name)).join(", ");
+  const pulumiNote = tool === "Pulumi" ? "\n# Secret variable PULUMI_ACCESS_TOKEN: Pulumi Cloud state token." : "";
+  const costNote = prScans.length ? "\n# Secret variable INFRACOST_API_KEY: Infracost pricing API key." : "";
+  const pipelineVariables =
+    tool === "Terraform" ? '\nvariables:\n  TF_IN_AUTOMATION: "true"\n  TF_INPUT: "false"\n' : "";
+  const securityNotes = scanSummary(security)
+    .map((line) => `# ${line}`)
+    .join("\n");
+  return `# Pull requests: ${labels.validate} and a ${labels.plan} per environment (published as pipeline artifacts).
+# main: plan -> apply through ${promotion}; ${approvals.join(" and ")} wait on a manual validation.
+${securityNotes}
+# Schedule: drift detection against every environment.
+# Service connections (workload identity federation): ${connections}.${pulumiNote}${costNote}
+trigger:
+  branches:
+    include:
+    - main
+
+pr:
+  branches:
+    include:
+    - main
+
+schedules:
+- cron: "${DRIFT_CRON}"
+  displayName: Drift detection
+  branches:
+    include:
+    - main
+  always: true
+
+pool:
+  vmImage: ubuntu-latest
+${pipelineVariables}
+stages:
+${stages.join("\n\n")}`;
+}
+
+function gitlabPipeline(form) {
+  const cloud = form.preferredCloud;
+  const commands = iacCommands(form);
+  const { tool, labels } = commands;
+  const security = securityScans(form);
+  const token = "/tmp/oidc-token";
+  const login = {
+    Azure:
+      tool === "Bicep"
+        ? [
+            'az login --service-principal --username "$AZURE_CLIENT_ID" --tenant "$AZURE_TENANT_ID" \\',
+            '  --federated-token "$CLOUD_ID_TOKEN" --output none',
+            'az account set --subscription "$AZURE_SUBSCRIPTION_ID"',
+          ]
+        : [
+            'export ARM_USE_OIDC=true ARM_OIDC_TOKEN="$CLOUD_ID_TOKEN" ARM_TENANT_ID="$AZURE_TENANT_ID"',
+            'export ARM_CLIENT_ID="$AZURE_CLIENT_ID" ARM_SUBSCRIPTION_ID="$AZURE_SUBSCRIPTION_ID"',
+          ],
+    AWS: [
+      `echo "$CLOUD_ID_TOKEN" > ${token}`,
+      `export AWS_WEB_IDENTITY_TOKEN_FILE=${token} AWS_REGION=${awsRegionCode(form.regions[0])}`,
+    ],
+    GCP: [
+      `echo "$CLOUD_ID_TOKEN" > ${token}`,
+      ...gcpCredentialConfig(token, "$GCP_WORKLOAD_IDENTITY_PROVIDER", "$GCP_SERVICE_ACCOUNT"),
+    ],
+  }[cloud];
+  const image = {
+    Terraform: `hashicorp/terraform:${TERRAFORM_VERSION}`,
+    Pulumi: "pulumi/pulumi-nodejs:latest",
+    Bicep: "mcr.microsoft.com/azure-cli:latest",
+  }[tool];
+  // Multi-line commands (shell if/else, continuations) become literal blocks.
+  const script = (lines) => [
+    "  script:",
+    ...lines.flatMap((c) => (c.includes("\n") ? ["    - |", ...indentLines([c], "      ")] : [`    - ${c}`])),
+  ];
+  const rules = {
+    mr: '$CI_PIPELINE_SOURCE == "merge_request_event"',
+    main: '$CI_COMMIT_BRANCH == $CI_DEFAULT_BRANCH && $CI_PIPELINE_SOURCE != "schedule"',
+    schedule: '$CI_PIPELINE_SOURCE == "schedule"',
+  };
+  const planArtifacts = [
+    "  artifacts:",
+    "    paths:",
+    ...commands.planFiles.map((f) => `      - ${f}`),
+    "    expire_in: 1 week",
+  ];
+
+  const jobs = [
+    [
+      "validate:",
+      "  stage: validate",
+      "  rules:",
+      `    - if: ${rules.schedule}`,
+      "      when: never",
+      "    - when: on_success",
+      ...script(commands.validate),
+    ],
+  ];
+  // Scanner images already ship their tool, so the install commands are only needed on bare runners.
+  security.scans.forEach((scan) => {
+    const variables = [
+      ...(scan.fullHistory ? ['    GIT_DEPTH: "0"'] : []),
+      ...(scan.pullRequestOnly ? ["    BASE_BRANCH: $CI_MERGE_REQUEST_TARGET_BRANCH_NAME"] : []),
+    ];
+    jobs.push([
+      `scan-${scan.id}:`,
+      "  stage: scan",
+      "  image:",
+      `    name: ${scan.image}`,
+      '    entrypoint: [""]',
+      "  needs: []",
+      ...(variables.length ? ["  variables:", ...variables] : []),
+      "  rules:",
+      ...(scan.pullRequestOnly
+        ? [`    - if: ${rules.mr}`]
+        : [`    - if: ${rules.schedule}`, "      when: never", "    - when: on_success"]),
+      ...script(scan.run),
+    ]);
+  });
+  const gateJobs = ["validate", ...security.scans.filter((s) => !s.pullRequestOnly).map((s) => `scan-${s.id}`)];
+  PIPELINE_ENVIRONMENTS.forEach(({ name: env, approval }, i) => {
+    const previous = PIPELINE_ENVIRONMENTS[i - 1];
+    jobs.push(
+      [
+        `plan-${env}:`,
+        "  extends: .cloud-login",
+        `  stage: ${env}`,
+        "  environment:",
+        `    name: ${env}`,
+        "    action: prepare",
+        "  needs:",
+        ...(previous ? [`    - job: apply-${previous.name}`] : gateJobs.map((j) => `    - ${j}`)),
+        previous && "      optional: true",
+        "  rules:",
+        `    - if: ${rules.mr}`,
+        `    - if: ${rules.main}`,
+        ...script(commands.plan(env)),
+        ...planArtifacts,
+        `    expose_as: ${env} plan`,
+      ].filter(Boolean),
+      [
+        `apply-${env}:`,
+        "  extends: .cloud-login",
+        `  stage: ${env}`,
+        "  environment:",
+        `    name: ${env}`,
+        "  needs:",
+        `    - plan-${env}`,
+        "  rules:",
+        `    - if: ${rules.main}`,
+        ...(approval ? ["      when: manual"] : []),
+        "  allow_failure: false",
+        ...script(commands.apply(env)),
+      ]
+    );
+  });
+  PIPELINE_ENVIRONMENTS.forEach(({ name: env }) =>
+    jobs.push([
+      `drift-${env}:`,
+      "  extends: .cloud-login",
+      "  stage: drift",
+      "  environment:",
+      `    name: ${env}`,
+      "    action: verify",
+      "  needs: []",
+      "  rules:",
+      `    - if: ${rules.schedule}`,
+      ...script(commands.drift(env)),
+    ])
+  );
+
+  const approvals = PIPELINE_ENVIRONMENTS.filter((e) => e.approval).map((e) => e.name);
+  const pipelineVariables =
+    tool === "Terraform" ? '\nvariables:\n  TF_IN_AUTOMATION: "true"\n  TF_INPUT: "false"\n' : "";
+  const secrets = [
+    ...(tool === "Pulumi" ? ["PULUMI_ACCESS_TOKEN"] : []),
+    ...security.scans.flatMap((s) => s.secrets || []),
+  ];
+  const securityNotes = scanSummary(security)
+    .map((line) => `# ${line}`)
+    .join("\n");
+  return `# Merge requests: ${labels.validate} and a ${labels.plan} per environment (merge request artifacts).
+# Default branch: plan -> apply through ${PIPELINE_ENVIRONMENTS.map((e) => e.name).join(" -> ")}.
+# ${approvals.join(" and ")} apply as manual jobs; protect those environments to restrict who may run them.
+${securityNotes}
+# Add a pipeline schedule ("${DRIFT_CRON}") on the default branch for drift detection.
+# Cloud identity variables are scoped per environment in Settings > CI/CD > Variables${
+    secrets.length ? `, next to a masked ${secrets.join(" and ")}` : ""
+  }.
+workflow:
+  rules:
+    - if: ${rules.mr}
+    - if: $CI_COMMIT_BRANCH == $CI_DEFAULT_BRANCH
+
+stages:
+  - validate
+  - scan
+${PIPELINE_ENVIRONMENTS.map((e) => `  - ${e.name}`).join("\n")}
+  - drift
+
+default:
+  image:
+    name: ${image}
+    entrypoint: [""]
+${pipelineVariables}
+.cloud-login:
+  id_tokens:
+    CLOUD_ID_TOKEN:
+      aud: ${OIDC_AUDIENCES[cloud]}
+  before_script:
+    - |
+${indentLines(login, "      ").join("\n")}
+
+${jobs.map((lines) => lines.join("\n")).join("\n\n")}`;
+}
+
+function generateCIYAML(form) {
+  if (form.tooling.cicd === "GitHub Actions") return githubWorkflow(form);
+  if (form.tooling.cicd === "Azure DevOps") return azureDevOpsPipeline(form);
+  if (form.tooling.cicd === "GitLab CI") return gitlabPipeline(form);
+  return "# No CI/CD config generated";
+}
+
+// README section for the Terraform bundle: what the pipeline does and which identity settings it expects.
+function pipelineReadme(form, ciPath) {
+  const cloud = form.preferredCloud;
+  const { shared, perEnvironment } = OIDC_VARIABLES[cloud];
+  const envs = PIPELINE_ENVIRONMENTS.map((e) => e.name);
+  const approvals = PIPELINE_ENVIRONMENTS.filter((e) => e.approval).map((e) => e.name);
+  const code = (names) => names.map((n) => `\`${n}\``).join(", ");
+  const connections = code(envs.map((e) => `landing-zone-${e}`));
+  const security = securityScans(form);
+  const identity = {
+    "GitHub Actions": `Repository variables: ${code([
+      ...shared,
+      ...perEnvironment.flatMap((v) => envs.map((e) => `${v}_${e.toUpperCase()}`)),
+    ])}. Trust the \`pull_request\`, \`ref:refs/heads/main\` and \`environment:<env>\` subjects.`,
+    "Azure DevOps":
+      cloud === "GCP"
+        ? `Service connections ${connections} issue the tokens; variable groups of the same names hold ` +
+          `${code(["GCP_WORKLOAD_IDENTITY_PROVIDER", "GCP_SERVICE_ACCOUNT", "GCP_SERVICE_CONNECTION_ID"])}.`
+        : `Service connections with workload identity federation: ${connections}.`,
+    "GitLab CI": `CI/CD variables scoped to each environment: ${code([...shared, ...perEnvironment])}.`,
+  }[form.tooling.cicd];
+  return `## CI/CD
+
+\`${ciPath}\` (${form.tooling.cicd}):
+
+- Pull requests: \`terraform fmt -check\`, \`validate\` and a plan per environment, kept as a build artifact.
+- ${form.tooling.cicd === "GitLab CI" ? "Default" : "Main"} branch: plan and apply through ${envs.join(", ")} in turn; \
+${approvals.join(" and ")} wait for a manual approval before applying.
+- Schedule (\`${DRIFT_CRON}\`): drift detection; the job fails when an environment no longer matches the code.
+${scanSummary(security)
+  .map((line) => `- ${line}`)
+  .join("\n")}
+
+Each environment is a Terraform workspace and signs in to ${cloud} through OIDC federation, without stored secrets.
+${identity}
+The cost diff reads the Infracost pricing API key from the \`INFRACOST_API_KEY\` secret.
+`;
+}
+
+/* ------------ Policy-as-Code ------------ */
+const REQUIRED_TAGS = ["Owner", "CostCenter"];
+
+// Actions on global services stay allowed when the region guardrail denies everything outside the allowed regions.
+const AWS_GLOBAL_ACTIONS = [
+  "account:*",
+  "acm:*",
+  "budgets:*",
+  "ce:*",
+  "cloudfront:*",
+  "cur:*",
+  "directconnect:*",
+  "ec2:DescribeRegions",
+  "ec2:DescribeTransitGateways",
+  "ec2:DescribeVpnGateways",
+  "globalaccelerator:*",
+  "health:*",
+  "iam:*",
+  "kms:*",
+  "networkmanager:*",
+  "organizations:*",
+  "pricing:*",
+  "route53:*",
+  "route53domains:*",
+  "s3:GetAccountPublic*",
+  "s3:ListAllMyBuckets",
+  "s3:PutAccountPublic*",
+  "shield:*",
+  "sts:*",
+  "support:*",
+  "trustedadvisor:*",
+  "waf:*",
+  "wafv2:*",
+];
+
+// Order-derived parameters shared by every cloud's policy set.
+function policyParameters(obj) {
+  const design = obj?.design || {};
+  return {
+    org: (obj?.order?.orgName || "org").toLowerCase().replace(/\s+/g, "-"),
+    regions: design.regions?.length ? design.regions : obj?.order?.regions || [],
+    tags: REQUIRED_TAGS,
+    privateEndpoints: !!design.security?.privateEndpoints,
+    cmek: !!design.security?.keyManagement,
+    defender: !!design.security?.defender,
+    logRetentionDays: design.compliance?.requirements?.logRetentionDays ? design.observability?.logRetentionDays : null,
+  };
+}
+
+function jsonFile(value) {
+  return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+function azurePolicyDefinition(displayName, description, parameters, policyRule, mode = "Indexed") {
+  return jsonFile({ properties: { displayName, policyType: "Custom", mode, description, parameters, policyRule } });
+}
+
+function azureEffectParameter(defaultValue) {
+  return {
+    type: "String",
+    metadata: { displayName: "Effect" },
+    allowedValues: ["Audit", "Deny", "Disabled"],
+    defaultValue,
+  };
+}
+
+// Custom definitions as JSON plus a Terraform root that loads them into one initiative assigned to the subscription.
+function azurePolicies(obj, params) {
+  const { org } = params;
+  const definitions = {
+    "allowed-locations": azurePolicyDefinition(
+      "Allowed locations",
+      "Resources may only be deployed to the regions selected in the order.",
+      {
+        listOfAllowedLocations: {
+          type: "Array",
+          metadata: { displayName: "Allowed locations", strongType: "location" },
+          defaultValue: params.regions.map(azureLocation),
+        },
+      },
+      {
+        if: {
+          allOf: [
+            { field: "location", notIn: "[parameters('listOfAllowedLocations')]" },
+            { field: "location", notEquals: "global" },
+          ],
+        },
+        then: { effect: "deny" },
+      }
+    ),
+    "require-tag": azurePolicyDefinition(
+      "Require a tag on resources",
+      "Flags resources that are missing the given tag.",
+      { tagName: { type: "String", metadata: { displayName: "Tag name" } }, effect: azureEffectParameter("Audit") },
+      {
+        if: { field: "[concat('tags[', parameters('tagName'), ']')]", exists: "false" },
+        then: { effect: "[parameters('effect')]" },
+      }
+    ),
+    "deny-nic-public-ip": azurePolicyDefinition(
+      "Network interfaces should not have public IPs",
+      "Workloads are reached through the hub firewall, Bastion or Front Door, never directly.",
+      {},
+      {
+        if: {
+          allOf: [
+            { field: "type", equals: "Microsoft.Network/networkInterfaces" },
+            {
+              not: { field: "Microsoft.Network/networkInterfaces/ipconfigurations[*].publicIpAddress.id", notLike: "*" },
+            },
+          ],
+        },
+        then: { effect: "deny" },
+      },
+      "All"
+    ),
+  };
+  if (params.privateEndpoints)
+    definitions["deny-paas-public-access"] = azurePolicyDefinition(
+      "Storage and SQL must disable public network access",
+      "PaaS data services are only reachable through private endpoints.",
+      { effect: azureEffectParameter("Deny") },
+      {
+        if: {
+          anyOf: [
+            {
+              allOf: [
+                { field: "type", equals: "Microsoft.Storage/storageAccounts" },
+                { field: "Microsoft.Storage/storageAccounts/publicNetworkAccess", notEquals: "Disabled" },
+              ],
+            },
+            {
+              allOf: [
+                { field: "type", equals: "Microsoft.Sql/servers" },
+                { field: "Microsoft.Sql/servers/publicNetworkAccess", notEquals: "Disabled" },
+              ],
+            },
+          ],
+        },
+        then: { effect: "[parameters('effect')]" },
+      }
+    );
+  if (params.cmek)
+    definitions["require-storage-cmek"] = azurePolicyDefinition(
+      "Storage accounts should use customer-managed keys",
+      "Encryption at rest uses keys held in the landing zone Key Vault.",
+      { effect: azureEffectParameter("Audit") },
+      {
+        if: {
+          allOf: [
+            { field: "type", equals: "Microsoft.Storage/storageAccounts" },
+            { field: "Microsoft.Storage/storageAccounts/encryption.keySource", notEquals: "Microsoft.Keyvault" },
+          ],
+        },
+        then: { effect: "[parameters('effect')]" },
+      }
+    );
+  if (params.logRetentionDays)
+    definitions["log-retention"] = azurePolicyDefinition(
+      "Log Analytics workspaces keep logs long enough",
+      "Interactive retention must meet the compliance minimum (archive covers anything beyond 730 days).",
+      {
+        minimumRetentionDays: {
+          type: "Integer",
+          metadata: { displayName: "Minimum retention (days)" },
+          defaultValue: Math.min(730, params.logRetentionDays),
+        },
+        effect: azureEffectParameter("Audit"),
+      },
+      {
+        if: {
+          allOf: [
+            { field: "type", equals: "Microsoft.OperationalInsights/workspaces" },
+            {
+              field: "Microsoft.OperationalInsights/workspaces/retentionInDays",
+              less: "[parameters('minimumRetentionDays')]",
+            },
+          ],
+        },
+        then: { effect: "[parameters('effect')]" },
+      }
+    );
+
+  // The tag definition is referenced once per required tag.
+  const references = Object.keys(definitions).flatMap((name) =>
+    name === "require-tag"
+      ? params.tags.map((tag) => ({ id: `require-tag-${tag.toLowerCase()}`, name, tag }))
+      : [{ id: name, name }]
+  );
+  const referenceHcl = (r) => `
+  policy_definition_reference {
+${hclAttrs(
+  {
+    reference_id: `"${r.id}"`,
+    policy_definition_id: `azurerm_policy_definition.baseline["${r.name}"].id`,
+    parameter_values: r.tag ? `jsonencode({ tagName = { value = "${r.tag}" } })` : null,
+  },
+  "    "
+)}
+  }
+`;
+  const mainTf = `terraform {
+  required_providers {
+    azurerm = { source = "hashicorp/azurerm", version = ">= 3.0" }
+  }
+}
+
+provider "azurerm" {
+  features {}
+}
+
+data "azurerm_subscription" "current" {}
+
+locals {
+  definitions = {
+    for f in fileset("\${path.module}/definitions", "*.json") :
+    trimsuffix(f, ".json") => jsondecode(file("\${path.module}/definitions/\${f}")).properties
+  }
+}
+
+resource "azurerm_policy_definition" "baseline" {
+  for_each     = local.definitions
+  name         = "${org}-\${each.key}"
+  policy_type  = "Custom"
+  mode         = each.value.mode
+  display_name = each.value.displayName
+  description  = each.value.description
+  parameters   = length(each.value.parameters) > 0 ? jsonencode(each.value.parameters) : null
+  policy_rule  = jsonencode(each.value.policyRule)
+}
+
+resource "azurerm_policy_set_definition" "baseline" {
+  name         = "${org}-landing-zone-baseline"
+  policy_type  = "Custom"
+  display_name = "${obj?.order?.orgName || "Org"} landing zone baseline"
+${references.map(referenceHcl).join("")}}
+
+resource "azurerm_subscription_policy_assignment" "baseline" {
+  name                 = "${org}-baseline"
+  subscription_id      = data.azurerm_subscription.current.id
+  policy_definition_id = azurerm_policy_set_definition.baseline.id
+}
+`;
+  const titles = {
+    "allowed-locations": `Allowed locations: ${params.regions.map(azureLocation).join(", ")}`,
+    "require-tag": `Require tags: ${params.tags.join(", ")}`,
+    "deny-nic-public-ip": "Deny public IPs on NICs",
+    "deny-paas-public-access": "Deny public network access on Storage/SQL (private endpoints only)",
+    "require-storage-cmek": "Audit Storage without customer-managed keys",
+    "log-retention": `Audit Log Analytics retention below ${Math.min(730, params.logRetentionDays || 0)} days`,
+  };
+  return {
+    baselines: [
+      ...Object.keys(definitions).map((name) => ({
+        title: titles[name],
+        file: `policies/azure/definitions/${name}.json`,
+      })),
+      { title: "Initiative assigned to the subscription", file: "policies/azure/main.tf" },
+    ],
+    files: {
+      ...Object.fromEntries(
+        Object.entries(definitions).map(([name, content]) => [`policies/azure/definitions/${name}.json`, content])
+      ),
+      "policies/azure/main.tf": mainTf,
+    },
+  };
+}
+
+// SCP and Tag Policy for the organisation, Config rules for the workload account; main.tf deploys all three.
+function awsPolicies(obj, params) {
+  const { org } = params;
+  const codes = params.regions.map(awsRegionCode);
+  const scp = {
+    Version: "2012-10-17",
+    Statement: [
+      {
+        Sid: "DenyRootUser",
+        Effect: "Deny",
+        Action: "*",
+        Resource: "*",
+        Condition: { StringLike: { "aws:PrincipalArn": "arn:aws:iam::*:root" } },
+      },
+      { Sid: "DenyLeavingOrganization", Effect: "Deny", Action: "organizations:LeaveOrganization", Resource: "*" },
+      {
+        Sid: "DenyOutsideAllowedRegions",
+        Effect: "Deny",
+        NotAction: AWS_GLOBAL_ACTIONS,
+        Resource: "*",
+        Condition: { StringNotEquals: { "aws:RequestedRegion": codes } },
+      },
+      {
+        Sid: "ProtectAuditTrail",
+        Effect: "Deny",
+        Action: [
+          "cloudtrail:DeleteTrail",
+          "cloudtrail:StopLogging",
+          "config:DeleteConfigurationRecorder",
+          "config:StopConfigurationRecorder",
+        ],
+        Resource: "*",
+      },
+      params.defender && {
+        Sid: "ProtectSecurityServices",
+        Effect: "Deny",
+        Action: [
+          "guardduty:DeleteDetector",
+          "guardduty:DisassociateFromAdministratorAccount",
+          "securityhub:DisableSecurityHub",
+        ],
+        Resource: "*",
+      },
+    ].filter(Boolean),
+  };
+  const tagPolicy = {
+    tags: Object.fromEntries(params.tags.map((tag) => [tag.toLowerCase(), { tag_key: { "@@assign": tag } }])),
+  };
+  const rule = (name, identifier, input) => ({
+    ConfigRuleName: `${org}-${name}`,
+    Source: { Owner: "AWS", SourceIdentifier: identifier },
+    ...(input ? { InputParameters: JSON.stringify(input) } : {}),
+  });
+  const configRules = [
+    rule("required-tags", "REQUIRED_TAGS", Object.fromEntries(params.tags.map((tag, i) => [`tag${i + 1}Key`, tag]))),
+    rule("cloudtrail-enabled", "CLOUD_TRAIL_ENABLED"),
+    rule("ec2-no-public-ip", "EC2_INSTANCE_NO_PUBLIC_IP"),
+    rule("s3-public-access-blocked", "S3_BUCKET_LEVEL_PUBLIC_ACCESS_PROHIBITED"),
+    params.privateEndpoints && rule("rds-not-public", "RDS_INSTANCE_PUBLIC_ACCESS_CHECK"),
+    params.privateEndpoints && rule("lambda-in-vpc", "LAMBDA_INSIDE_VPC"),
+    params.cmek && rule("s3-kms-encryption", "S3_DEFAULT_ENCRYPTION_KMS"),
+    params.cmek && rule("ebs-encrypted", "ENCRYPTED_VOLUMES"),
+    params.cmek && rule("rds-encrypted", "RDS_STORAGE_ENCRYPTED"),
+    params.defender && rule("guardduty-enabled", "GUARDDUTY_ENABLED_CENTRALIZED"),
+    params.logRetentionDays &&
+      rule("log-retention", "CW_LOGGROUP_RETENTION_PERIOD_CHECK", {
+        MinRetentionTime: String(cloudWatchRetention(params.logRetentionDays)),
+      }),
+  ].filter(Boolean);
+
+  const mainTf = `terraform {
+  required_providers {
+    aws = { source = "hashicorp/aws", version = ">= 5.0" }
+  }
+}
+
+# SCPs and tag policies are created from the organization management account.
+provider "aws" {
+  alias  = "management"
+  region = "${codes[0] || "eu-north-1"}"
+}
+
+# Config rules are evaluated in the workload account; they need an active configuration recorder.
+provider "aws" {
+  region = "${codes[0] || "eu-north-1"}"
+}
+
+variable "policy_target_id" {
+  type        = string
+  description = "Organization root, OU or account ID the SCP and tag policy are attached to"
+}
+
+resource "aws_organizations_policy" "scp" {
+  provider = aws.management
+
+  name    = "${org}-baseline"
+  type    = "SERVICE_CONTROL_POLICY"
+  content = jsonencode(jsondecode(file("\${path.module}/scp-baseline.json")))
+}
+
+resource "aws_organizations_policy_attachment" "scp" {
+  provider = aws.management
+
+  policy_id = aws_organizations_policy.scp.id
+  target_id = var.policy_target_id
+}
+
+resource "aws_organizations_policy" "tags" {
+  provider = aws.management
+
+  name    = "${org}-tags"
+  type    = "TAG_POLICY"
+  content = jsonencode(jsondecode(file("\${path.module}/tag-policy.json")))
+}
+
+resource "aws_organizations_policy_attachment" "tags" {
+  provider = aws.management
+
+  policy_id = aws_organizations_policy.tags.id
+  target_id = var.policy_target_id
+}
+
+resource "aws_config_config_rule" "baseline" {
+  for_each         = { for r in jsondecode(file("\${path.module}/config-rules.json")) : r.ConfigRuleName => r }
+  name             = each.key
+  input_parameters = try(each.value.InputParameters, null)
+
+  source {
+    owner             = each.value.Source.Owner
+    source_identifier = each.value.Source.SourceIdentifier
+  }
+}
+`;
+  return {
+    baselines: [
+      { title: "SCP: deny root user actions and leaving the organization", file: "policies/aws/scp-baseline.json" },
+      { title: `SCP: deny regions other than ${codes.join(", ")}`, file: "policies/aws/scp-baseline.json" },
+      { title: "SCP: protect CloudTrail and AWS Config", file: "policies/aws/scp-baseline.json" },
+      params.defender && { title: "SCP: protect GuardDuty + Security Hub", file: "policies/aws/scp-baseline.json" },
+      { title: `Tag policy: ${params.tags.join(", ")}`, file: "policies/aws/tag-policy.json" },
+      {
+        title: `Config rules: ${configRules.map((r) => r.Source.SourceIdentifier).join(", ")}`,
+        file: "policies/aws/config-rules.json",
+      },
+    ].filter(Boolean),
+    files: {
+      "policies/aws/scp-baseline.json": jsonFile(scp),
+      "policies/aws/tag-policy.json": jsonFile(tagPolicy),
+      "policies/aws/config-rules.json": jsonFile(configRules),
+      "policies/aws/main.tf": mainTf,
+    },
+  };
+}
+
+// Organization Policy constraints (plus a custom label constraint in dry-run) as one Terraform root.
+function gcpPolicies(obj, params) {
+  const components = obj?.design?.components || [];
+  const cmekServices = [
+    "storage.googleapis.com",
+    components.includes("GKE + Artifact Registry") ? "container.googleapis.com" : null,
+    components.includes("GKE + Artifact Registry") ? "artifactregistry.googleapis.com" : null,
+    components.includes("GCS + Dataflow + BigQuery") ? "bigquery.googleapis.com" : null,
+    components.includes("Cloud Functions + Pub/Sub") ? "pubsub.googleapis.com" : null,
+  ].filter(Boolean);
+  const labels = params.tags.map((tag) => tag.toLowerCase());
+  const policyHcl = (id, constraint, rules) => `resource "google_org_policy_policy" "${id}" {
+  name   = "\${var.policy_parent}/policies/${constraint}"
+  parent = var.policy_parent
+
+  spec {
+    rules {
+${rules}
+    }
+  }
+}
+`;
+  const policies = [
+    {
+      title: `Resource locations: ${params.regions.map((r) => r.split(" ")[0]).join(", ")}`,
+      hcl: policyHcl(
+        "resource_locations",
+        "gcp.resourceLocations",
+        `      values {
+        allowed_values = [${params.regions.map((r) => `"in:${r.split(" ")[0]}-locations"`).join(", ")}]
+      }`
+      ),
+    },
+    {
+      title: "Restrict external IPs on VMs",
+      hcl: policyHcl("vm_external_ip", "compute.vmExternalIpAccess", `      deny_all = "TRUE"`),
+    },
+    {
+      title: "Skip default network creation",
+      hcl: policyHcl("skip_default_network", "compute.skipDefaultNetworkCreation", `      enforce = "TRUE"`),
+    },
+    params.privateEndpoints && {
+      title: "Cloud SQL without public IP",
+      hcl: policyHcl("sql_public_ip", "sql.restrictPublicIp", `      enforce = "TRUE"`),
+    },
+    params.privateEndpoints && {
+      title: "Enforce public access prevention on buckets",
+      hcl: policyHcl("storage_public_access", "storage.publicAccessPrevention", `      enforce = "TRUE"`),
+    },
+    params.cmek && {
+      title: `Require CMEK for ${cmekServices.join(", ")}`,
+      hcl: policyHcl(
+        "restrict_non_cmek",
+        "gcp.restrictNonCmekServices",
+        `      values {
+        denied_values = [${cmekServices.map((s) => `"${s}"`).join(", ")}]
+      }`
+      ),
+    },
+    {
+      title: `Require labels: ${labels.join(", ")} (dry run)`,
+      hcl: `resource "google_org_policy_custom_constraint" "require_labels" {
+  name           = "custom.requireCostLabels"
+  parent         = "organizations/\${var.organization_id}"
+  display_name   = "Require ${labels.join(" and ")} labels on VM instances"
+  action_type    = "ALLOW"
+  condition      = "${labels.map((l) => `'${l}' in resource.labels`).join(" && ")}"
+  method_types   = ["CREATE", "UPDATE"]
+  resource_types = ["compute.googleapis.com/Instance"]
+}
+
+# Reported in dry-run first; promote dry_run_spec to spec once existing instances are labelled.
+resource "google_org_policy_policy" "require_labels" {
+  name   = "\${var.policy_parent}/policies/\${google_org_policy_custom_constraint.require_labels.name}"
+  parent = var.policy_parent
+
+  dry_run_spec {
+    rules {
+      enforce = "TRUE"
+    }
+  }
+}
+`,
+    },
+  ].filter(Boolean);
+  const mainTf = `terraform {
+  required_providers {
+    google = { source = "hashicorp/google", version = ">= 5.0" }
+  }
+}
+
+variable "organization_id" {
+  type        = string
+  description = "Organization that owns the custom constraints"
+}
+
+variable "policy_parent" {
+  type        = string
+  description = "Where the policies apply: organizations/ID, folders/ID or projects/ID"
+}
+
+${policies.map((p) => p.hcl).join("\n")}`;
+  return {
+    baselines: policies.map((p) => ({ title: p.title, file: "policies/gcp/main.tf" })),
+    files: { "policies/gcp/main.tf": mainTf },
+  };
+}
+
+/**
+ * Deployable policy-as-code for the design's cloud, parameterised from the order (regions, tags, private endpoints,
+ * compliance). Returns `{ baselines, files }`: one `{ title, file }` per guardrail and the files to download.
+ */
+function generatePolicyBaselines(obj) {
+  const cloud = obj?.design?.cloud;
+  const params = policyParameters(obj);
+  if (cloud === "Azure") return azurePolicies(obj, params);
+  if (cloud === "AWS") return awsPolicies(obj, params);
+  if (cloud === "GCP") return gcpPolicies(obj, params);
+  return { baselines: [], files: {} };
+}
+
+/* ------------ Terraform Exporters ------------ */
+function awsRegionCode(label) {
+  // "eu-north-1 (Stockholm)" -> "eu-north-1"
+  return (label || "eu-north-1").split(" ")[0];
+}
+
+function tfId(name) {
+  // "spoke-1-eu-north-1-(stockholm)" -> "spoke_1_eu_north_1_stockholm"
+  return String(name)
+    .replace(/\s+/g, "_")
+    .replace(/[^A-Za-z0-9_-]/g, "")
+    .replace(/-/g, "_");
+}
+
+// Renders `key = value` lines aligned the way `terraform fmt` does; values are raw HCL, null entries are skipped.
+function hclAttrs(attrs, indent = "  ") {
+  const entries = Object.entries(attrs).filter(([, v]) => v !== null && v !== undefined);
+  const width = Math.max(...entries.map(([k]) => k.length));
+  return entries.map(([k, v]) => `${indent}${k.padEnd(width)} = ${v}`).join("\n");
+}
+
+function terraformFromDesign(obj) {
+  const cloud = obj?.design?.cloud;
+  const planError = obj?.design?.landingZone?.error;
+  if (planError) return `# Terraform not generated: ${planError}`;
+  const sections = terraformSections(obj);
+  if (!sections) return "# Unsupported cloud";
+  return [sections.root, ...TF_MODULES.map((m) => sections[m])].filter(Boolean).join("\n");
+}
+
+// Each exporter returns its HCL grouped by concern: root (terraform, providers, shared resources) plus one
+// string per module in TF_MODULES. main.tf joins them; the bundle export turns each into a module.
+const TF_MODULES = ["network", "security", "monitoring", "workloads", "backup"];
+
+function terraformSections(obj) {
+  const cloud = obj?.design?.cloud;
+  if (cloud === "Azure") return terraformAzure(obj);
+  if (cloud === "AWS") return terraformAWS(obj);
+  if (cloud === "GCP") return terraformGCP(obj);
+  return null;
+}
+
+function terraformAzure(obj) {
+  const org = (obj?.order?.orgName || "org").toLowerCase().replace(/\s+/g, "-");
+  const rgName = `${org}-rg`;
+  const location = obj?.order?.regions?.[0] || "Sweden Central";
+  const ddosEnabled = !!obj?.order?.security?.ddos;
+  const security = obj?.design?.security || {};
+  const keyVaultEnabled = security.keyManagement === "Azure Key Vault";
+  const monitoring = obj?.order?.tooling?.monitoring || [];
+  const retentionDays = obj?.design?.observability?.logRetentionDays || 30;
+  const allowedRegions = obj?.design?.compliance?.requirements?.allowedRegions;
+  const lz = obj?.design?.landingZone;
+  const regionPlans = designRegions(lz);
+  const hubRefs = new Map(
+    regionPlans.map((r, i) => [r.hub?.name, i === 0 ? "hub" : `hub_${tfId(r.region.toLowerCase())}`])
+  );
+  const vnetRef = (name) => hubRefs.get(name) || tfId(name);
+
+  const subnetHcl = (vnetId, prefix, s) => `resource "azurerm_subnet" "${prefix}${tfId(s.name)}" {
+  name                 = "${s.name}"
+  resource_group_name  = azurerm_resource_group.main.name
+  virtual_network_name = azurerm_virtual_network.${vnetId}.name
+  address_prefixes     = ["${s.cidr}"]
+}
+`;
+  const vnetHcl = (id, net, region, extra = "") => `resource "azurerm_virtual_network" "${id}" {
+  name                = "${net.name}-vnet"
+  address_space       = ["${net.addressSpace}"]
+  location            = ${region === location ? "azurerm_resource_group.main.location" : `"${region}"`}
+  resource_group_name = azurerm_resource_group.main.name${extra}
+}
+`;
+
+  // Cardholder data subnets accept traffic from the allowed sources only; the rest of the VNet space is denied.
+  const cdeNsgHcl = (net, region) => {
+    const cdeRange = parseCidr(net.cde.cidr);
+    const subnets = (net.subnets || []).filter((s) => cidrContains(cdeRange, parseCidr(s.cidr)));
+    return `resource "azurerm_network_security_group" "${net.id}_cde" {
+  name                = "${net.name}-cde-nsg"
+  location            = ${region === location ? "azurerm_resource_group.main.location" : `"${region}"`}
+  resource_group_name = azurerm_resource_group.main.name
+
+  security_rule {
+    name                       = "allow-cde-sources"
+    priority                   = 100
+    direction                  = "Inbound"
+    access                     = "Allow"
+    protocol                   = "*"
+    source_port_range          = "*"
+    destination_port_range     = "*"
+    source_address_prefixes    = [${net.cde.allowedSources.map((c) => `"${c}"`).join(", ")}]
+    destination_address_prefix = "${net.cde.cidr}"
+  }
+
+  security_rule {
+    name                       = "deny-landing-zone"
+    priority                   = 4000
+    direction                  = "Inbound"
+    access                     = "Deny"
+    protocol                   = "*"
+    source_port_range          = "*"
+    destination_port_range     = "*"
+    source_address_prefix      = "VirtualNetwork"
+    destination_address_prefix = "*"
+  }
+}
+
+${subnets
+  .map(
+    (s) => `resource "azurerm_subnet_network_security_group_association" "${net.id}_${tfId(s.name)}_cde" {
+  subnet_id                 = azurerm_subnet.${net.id}_${tfId(s.name)}.id
+  network_security_group_id = azurerm_network_security_group.${net.id}_cde.id
+}
+`
+  )
+  .join("\n")}`;
+  };
+
+  const ddosBlock = `
+  ddos_protection_plan {
+    id     = azurerm_network_ddos_protection_plan.ddos.id
+    enable = true
+  }`;
+  const networksHcl = regionPlans
+    .map((r) => {
+      const hubId = vnetRef(r.hub?.name);
+      const hubHcl = [
+        vnetHcl(hubId, r.hub || {}, r.region, ddosEnabled ? ddosBlock : ""),
+        ...(r.hub?.subnets || []).map((s) => subnetHcl(hubId, `${hubId}_`, s)),
+      ];
+      const spokesHcl = r.spokes.map((spoke) =>
+        [
+          vnetHcl(tfId(spoke.name), spoke, r.region),
+          ...(spoke.subnets || []).map((s) => subnetHcl(tfId(spoke.name), `${tfId(spoke.name)}_`, s)),
+        ].join("\n")
+      );
+      const cdeHcl = [{ ...r.hub, id: hubId }, ...r.spokes.map((sp) => ({ ...sp, id: tfId(sp.name) }))]
+        .filter((net) => net.cde)
+        .map((net) => cdeNsgHcl(net, r.region));
+      return [...hubHcl, ...spokesHcl, ...cdeHcl].join("\n");
+    })
+    .join("\n");
+
+  // Each logical peering needs one azurerm_virtual_network_peering per direction; hub-to-hub peerings
+  // between regions are global VNet peerings.
+  const peeringHcl = (from, to) => `resource "azurerm_virtual_network_peering" "${vnetRef(from)}_to_${vnetRef(to)}" {
+  name                      = "${vnetRef(from)}-to-${vnetRef(to)}"
+  resource_group_name       = azurerm_resource_group.main.name
+  virtual_network_name      = azurerm_virtual_network.${vnetRef(from)}.name
+  remote_virtual_network_id = azurerm_virtual_network.${vnetRef(to)}.id
+  allow_forwarded_traffic   = true
+  allow_gateway_transit     = ${hubRefs.has(from) && !hubRefs.has(to)}
+}
+`;
+  const peeringsHcl = [...regionPlans.flatMap((r) => r.peerings), ...(lz?.interRegionPeerings || [])]
+    .map((p) => `${peeringHcl(p.from, p.to)}\n${peeringHcl(p.to, p.from)}`)
+    .join("\n");
+
+  const logAnalyticsHcl = monitoring.includes("Log Analytics")
+    ? `resource "azurerm_log_analytics_workspace" "law" {
+  name                = "${org}-law"
+  location            = azurerm_resource_group.main.location
+  resource_group_name = azurerm_resource_group.main.name
+  sku                 = "PerGB2018"
+  retention_in_days   = ${Math.min(730, retentionDays)}
+}
+${
+  retentionDays > 730
+    ? `
+# Interactive retention stops at 730 days; audit tables keep the rest as archive.
+${["AzureActivity", "AzureDiagnostics"]
+  .map(
+    (table) => `resource "azurerm_log_analytics_workspace_table" "${tfId(table.toLowerCase())}" {
+  workspace_id            = azurerm_log_analytics_workspace.law.id
+  name                    = "${table}"
+  retention_in_days       = 730
+  total_retention_in_days = ${retentionDays}
+}
+`
+  )
+  .join("\n")}`
+    : ""
+}`
+    : "";
+
+  const keyVaultHcl = keyVaultEnabled
+    ? `resource "azurerm_key_vault" "kv" {
+  name                        = "${org}-kv-aaaaaa"
+  location                    = azurerm_resource_group.main.location
+  resource_group_name         = azurerm_resource_group.main.name
+  tenant_id                   = data.azurerm_client_config.current.tenant_id
+  sku_name                    = "standard"
+  purge_protection_enabled    = true
+  soft_delete_retention_days  = 90
+}
+${
+  security.cmek
+    ? `
+resource "azurerm_key_vault_access_policy" "deployer" {
+  key_vault_id    = azurerm_key_vault.kv.id
+  tenant_id       = data.azurerm_client_config.current.tenant_id
+  object_id       = data.azurerm_client_config.current.object_id
+  key_permissions = ["Create", "Get", "List", "Delete", "Purge", "Recover", "GetRotationPolicy", "SetRotationPolicy"]
+}
+
+resource "azurerm_key_vault_key" "cmek" {
+  name         = "${org}-cmek"
+  key_vault_id = azurerm_key_vault.kv.id
+  key_type     = "RSA"
+  key_size     = 3072
+  key_opts     = ["wrapKey", "unwrapKey"]
+  depends_on   = [azurerm_key_vault_access_policy.deployer]
+
+  rotation_policy {
+    expire_after         = "P2Y"
+    notify_before_expiry = "P30D"
+
+    automatic {
+      time_before_expiry = "P30D"
+    }
+  }
+}
+`
+    : ""
+}`
+    : "";
+
+  const residencyHcl = allowedRegions
+    ? `resource "azurerm_resource_group_policy_assignment" "allowed_locations" {
+  name                 = "allowed-locations"
+  resource_group_id    = azurerm_resource_group.main.id
+  policy_definition_id = "/providers/Microsoft.Authorization/policyDefinitions/e56962a6-4747-49cd-b67b-bf8b01975c4c"
+  parameters = jsonencode({
+    listOfAllowedLocations = { value = [${allowedRegions.map((r) => `"${azureLocation(r)}"`).join(", ")}] }
+  })
+}
+`
+    : "";
+
+  const ddosPlanHcl = ddosEnabled
+    ? `resource "azurerm_network_ddos_protection_plan" "ddos" {
+  name                = "${org}-ddos"
+  location            = azurerm_resource_group.main.location
+  resource_group_name = azurerm_resource_group.main.name
+}
+`
+    : "";
+
+  const origins = lz?.globalEntry?.origins || [location];
+  const originHost = (region) => `${org}-${tfId(region.toLowerCase()).replace(/_/g, "-")}.azurewebsites.net`;
+  const frontDoorHcl =
+    obj?.order?.workloads?.webapp || lz?.globalEntry
+      ? `resource "azurerm_frontdoor" "fd" {
+  name                = "${org}-fd"
+  resource_group_name = azurerm_resource_group.main.name
+  routing_rule {
+    name               = "default"
+    accepted_protocols = ["Http", "Https"]
+    patterns_to_match  = ["/*"]
+    frontend_endpoints = ["fe"]
+    forwarding_configuration {
+      forwarding_protocol = "MatchRequest"
+      backend_pool_name   = "defaultpool"
+    }
+  }
+  backend_pool_load_balancing {
+    name = "default"
+  }
+  backend_pool_health_probe {
+    name = "default"
+  }
+  backend_pool {
+    name                = "defaultpool"
+    load_balancing_name = "default"
+    health_probe_name   = "default"
+${origins
+  .map(
+    (region) => `    backend {
+      host_header = "${originHost(region)}"
+      address     = "${originHost(region)}"
+      http_port   = 80
+      https_port  = 443
+    }`
+  )
+  .join("\n")}
+  }
+  frontend_endpoint {
+    name      = "fe"
+    host_name = "${org}-fe.azurefd.net"
+  }
+}
+`
+      : "";
+
+  return {
+    root: `terraform {
+  required_providers {
+    azurerm = { source = "hashicorp/azurerm", version = ">= 3.0" }
+  }
+}
+
+provider "azurerm" {
+  features {}
+}
+
+data "azurerm_client_config" "current" {}
+
+variable "project_name" {
+  type    = string
+  default = "${obj?.order?.orgName || "org"}"
+}
+
+resource "azurerm_resource_group" "main" {
+  name     = "${rgName}"
+  location = "${location}"
+  tags     = { Project = var.project_name, Owner = "Platform Team" }
+}
+`,
+    network: `${ddosPlanHcl}
+${networksHcl}
+${peeringsHcl}
+${frontDoorHcl}`,
+    monitoring: logAnalyticsHcl,
+    security: [keyVaultHcl, residencyHcl].filter(Boolean).join("\n"),
+    backup: azureBackupHcl(obj),
+  };
+}
+
+/**
+ * Recovery Services vault and VM backup policy for `design.availability.backup`. With a second region the vault is
+ * geo-redundant with cross-region restore, which copies every recovery point to the Azure paired region.
+ */
+function azureBackupHcl(obj) {
+  const org = (obj?.order?.orgName || "org").toLowerCase().replace(/\s+/g, "-");
+  const availability = obj?.design?.availability;
+  if (obj?.design?.observability?.backup !== "Azure Backup" || !availability) return "";
+  const { intervalMinutes, retention, copyRegions } = availability.backup;
+  // VM backups run at most every 4 hours; tighter RPOs rely on the database's point-in-time restore. The last week
+  // stays in the snapshot tier for fast restores.
+  const hours = intervalMinutes < 1440 ? Math.max(4, intervalMinutes / 60) : null;
+  const storage = copyRegions.length
+    ? "GeoRedundant"
+    : availability.zoneRedundant
+    ? "ZoneRedundant"
+    : "LocallyRedundant";
+  return `resource "azurerm_recovery_services_vault" "main" {
+${hclAttrs({
+  name: `"${org}-rsv"`,
+  location: "azurerm_resource_group.main.location",
+  resource_group_name: "azurerm_resource_group.main.name",
+  sku: '"Standard"',
+  storage_mode_type: `"${storage}"`,
+  cross_region_restore_enabled: copyRegions.length ? "true" : null,
+  soft_delete_enabled: "true",
+  immutability: retention.monthlyDays ? '"Unlocked"' : null,
+})}
+}
+
+# VMs join the policy with azurerm_backup_protected_vm (or the "Configure backup on virtual machines" policy).
+resource "azurerm_backup_policy_vm" "main" {
+  name                           = "${org}-vm-${hours ? `${hours}h` : "daily"}"
+  resource_group_name            = azurerm_resource_group.main.name
+  recovery_vault_name            = azurerm_recovery_services_vault.main.name
+  policy_type                    = "V2"
+  timezone                       = "UTC"
+  instant_restore_retention_days = ${BACKUP_RETENTION.recoveryPointDays}
+
+  backup {
+${hclAttrs(
+  hours
+    ? { frequency: '"Hourly"', time: '"00:00"', hour_interval: hours, hour_duration: 24 }
+    : { frequency: '"Daily"', time: '"03:00"' },
+  "    "
+)}
+  }
+
+  retention_daily {
+    count = ${retention.dailyDays}
+  }
+${
+  retention.monthlyDays
+    ? `
+  retention_monthly {
+    count    = ${Math.ceil((retention.monthlyDays * 12) / 365)}
+    weekdays = ["Sunday"]
+    weeks    = ["First"]
+  }
+`
+    : ""
+}}
+`;
+}
+
+function terraformAWS(obj) {
+  const org = (obj?.order?.orgName || "org").toLowerCase().replace(/\s+/g, "-");
+  const lz = obj?.design?.landingZone;
+  const model = lz?.model;
+  const isPublic = (s) => s.name.startsWith("public");
+
+  // Secondary regions get an aliased provider and a region prefix on every resource name.
+  const regions = designRegions(lz).map((plan, i) => {
+    const code = awsRegionCode(plan.region || obj?.order?.regions?.[0]);
+    return {
+      ...plan,
+      code,
+      p: i === 0 ? "" : `${tfId(code)}_`,
+      n: i === 0 ? org : `${org}-${code}`,
+      prov: i === 0 ? "" : `  provider = aws.${tfId(code)}\n\n`,
+      addressSpace: i === 0 ? lz?.regionAddressSpace || lz?.addressSpace : plan.addressSpace,
+    };
+  });
+  const byHub = new Map(regions.map((r) => [r.hub?.name, r]));
+
+  const regionHcl = (r) => {
+    const { p, n, prov, code } = r;
+    const hubSubnets = r.hub?.subnets || [];
+    const vpcHcl = (id, net) => `resource "aws_vpc" "${id}" {
+${prov}  cidr_block           = "${net.addressSpace}"
+  enable_dns_support   = true
+  enable_dns_hostnames = true
+  tags                 = { Name = "${net.name}" }
+}
+`;
+    // "-a"/"-b" subnets pin their zone; the rest alternate across two zones so multi-AZ services can use them.
+    const subnetHcl = (vpcId, prefix, s, idx) => `resource "aws_subnet" "${prefix}${tfId(s.name)}" {
+${prov}${hclAttrs({
+      vpc_id: `aws_vpc.${vpcId}.id`,
+      cidr_block: `"${s.cidr}"`,
+      availability_zone: `"${code}${/-[ab]$/.test(s.name) ? s.name.slice(-1) : "ab"[idx % 2]}"`,
+      map_public_ip_on_launch: isPublic(s) ? "true" : null,
+      tags: `{ Name = "${s.name}" }`,
+    })}
+}
+`;
+    const assocHcl = (s, table) => `resource "aws_route_table_association" "${p}${tfId(s.name)}" {
+${prov}  subnet_id      = aws_subnet.${p}${tfId(s.name)}.id
+  route_table_id = aws_route_table.${p}${table}.id
+}
+`;
+
+    const spokesHcl = r.spokes
+      .map((sp) => {
+        const id = tfId(sp.name);
+        return [vpcHcl(id, sp), ...(sp.subnets || []).map((s, idx) => subnetHcl(id, `${id}_`, s, idx))].join("\n");
+      })
+      .join("\n");
+
+    // hub-spoke: spokes only learn the hub route; mesh: one shared route table so every VPC reaches every other.
+    const attachments = [
+      {
+        id: `${p}hub`,
+        vpc: `${p}main`,
+        subnets: hubSubnets.filter((s) => !isPublic(s)).map((s) => `aws_subnet.${p}${tfId(s.name)}.id`),
+      },
+      ...r.spokes.map((sp) => ({
+        id: tfId(sp.name),
+        vpc: tfId(sp.name),
+        subnets: (sp.subnets || []).slice(0, 1).map((s) => `aws_subnet.${tfId(sp.name)}_${tfId(s.name)}.id`),
+      })),
+    ];
+    const tgwAttachmentHcl = (a) => `resource "aws_ec2_transit_gateway_vpc_attachment" "${a.id}" {
+${prov}  transit_gateway_id                              = aws_ec2_transit_gateway.${p}tgw.id
+  vpc_id                                          = aws_vpc.${a.vpc}.id
+  subnet_ids                                      = [${a.subnets.join(", ")}]
+  transit_gateway_default_route_table_association = false
+  transit_gateway_default_route_table_propagation = false
+}
+`;
+    const tgwTableHcl = (name) => `resource "aws_ec2_transit_gateway_route_table" "${p}${name}" {
+${prov}  transit_gateway_id = aws_ec2_transit_gateway.${p}tgw.id
+  tags               = { Name = "${n}-${name}" }
+}
+`;
+    const tgwLinkHcl = (kind, table, a) => `resource "aws_ec2_transit_gateway_route_table_${kind}" "${p}${table}_${a.id}" {
+${prov}  transit_gateway_attachment_id  = aws_ec2_transit_gateway_vpc_attachment.${a.id}.id
+  transit_gateway_route_table_id = aws_ec2_transit_gateway_route_table.${p}${table}.id
+}
+`;
+    const tgwDefaultRouteHcl = (table) => `resource "aws_ec2_transit_gateway_route" "${p}${table}_default" {
+${prov}  destination_cidr_block         = "0.0.0.0/0"
+  transit_gateway_attachment_id  = aws_ec2_transit_gateway_vpc_attachment.${p}hub.id
+  transit_gateway_route_table_id = aws_ec2_transit_gateway_route_table.${p}${table}.id
+}
+`;
+    const [hubAttachment, ...spokeAttachments] = attachments;
+    const tgwRoutingHcl =
+      model === "mesh"
+        ? [
+            tgwTableHcl("mesh"),
+            ...attachments.map((a) => tgwLinkHcl("association", "mesh", a)),
+            ...attachments.map((a) => tgwLinkHcl("propagation", "mesh", a)),
+            tgwDefaultRouteHcl("mesh"),
+          ]
+        : [
+            tgwTableHcl("hub"),
+            tgwTableHcl("spokes"),
+            tgwLinkHcl("association", "hub", hubAttachment),
+            ...spokeAttachments.map((a) => tgwLinkHcl("association", "spokes", a)),
+            ...spokeAttachments.map((a) => tgwLinkHcl("propagation", "hub", a)),
+            tgwLinkHcl("propagation", "spokes", hubAttachment),
+            tgwDefaultRouteHcl("spokes"),
+          ];
+    const spokeRoutesHcl = r.spokes
+      .map(
+        (sp) => `resource "aws_route" "${tfId(sp.name)}_to_tgw" {
+${prov}  route_table_id         = aws_vpc.${tfId(sp.name)}.main_route_table_id
+  destination_cidr_block = "0.0.0.0/0"
+  transit_gateway_id     = aws_ec2_transit_gateway.${p}tgw.id
+  depends_on             = [aws_ec2_transit_gateway_vpc_attachment.${tfId(sp.name)}]
+}
+`
+      )
+      .join("\n");
+    const transitHcl =
+      model === "flat"
+        ? ""
+        : `resource "aws_ec2_transit_gateway" "${p}tgw" {
+${prov}  description                     = "${org} ${model} transit (${code})"
+  default_route_table_association = "disable"
+  default_route_table_propagation = "disable"
+  tags                            = { Name = "${n}-tgw" }
+}
+
+${attachments.map(tgwAttachmentHcl).join("\n")}
+${tgwRoutingHcl.join("\n")}
+${spokeRoutesHcl}
+resource "aws_route" "${p}private_to_landing_zone" {
+${prov}  route_table_id         = aws_route_table.${p}private.id
+  destination_cidr_block = "${lz?.addressSpace}"
+  transit_gateway_id     = aws_ec2_transit_gateway.${p}tgw.id
+}
+`;
+
+    // Cardholder data subnets: allowed sources in, the rest of the landing zone denied, ephemeral ports for NAT returns.
+    const cdeAclHcl = (net, vpcId, subnetPrefix) => {
+      const cdeRange = parseCidr(net.cde.cidr);
+      const subnets = (net.subnets || []).filter((s) => cidrContains(cdeRange, parseCidr(s.cidr)));
+      const ingress = [
+        ...net.cde.allowedSources.map((cidr) => ({ protocol: "-1", action: "allow", cidr, from: 0, to: 0 })),
+        { protocol: "-1", action: "deny", cidr: lz?.addressSpace, from: 0, to: 0 },
+        { protocol: "tcp", action: "allow", cidr: "0.0.0.0/0", from: 1024, to: 65535 },
+      ];
+      const egress = { protocol: "-1", action: "allow", cidr: "0.0.0.0/0", from: 0, to: 0 };
+      const ruleHcl = (kind, rule, idx) => `
+  ${kind} {
+${hclAttrs(
+  {
+    rule_no: 100 * (idx + 1),
+    protocol: `"${rule.protocol}"`,
+    action: `"${rule.action}"`,
+    cidr_block: `"${rule.cidr}"`,
+    from_port: rule.from,
+    to_port: rule.to,
+  },
+  "    "
+)}
+  }
+`;
+      return `resource "aws_network_acl" "${vpcId}_cde" {
+${prov}  vpc_id     = aws_vpc.${vpcId}.id
+  subnet_ids = [${subnets.map((s) => `aws_subnet.${subnetPrefix}${tfId(s.name)}.id`).join(", ")}]
+  tags       = { Name = "${net.name}-cde" }
+${ingress.map((rule, idx) => ruleHcl("ingress", rule, idx)).join("")}${ruleHcl("egress", egress, 0)}}
+`;
+    };
+    const cdeHcl = [
+      r.hub?.cde ? cdeAclHcl(r.hub, `${p}main`, p) : "",
+      ...r.spokes.filter((sp) => sp.cde).map((sp) => cdeAclHcl(sp, tfId(sp.name), `${tfId(sp.name)}_`)),
+    ].join("");
+
+    return `${vpcHcl(`${p}main`, r.hub || {})}
+resource "aws_internet_gateway" "${p}igw" {
+${prov}  vpc_id = aws_vpc.${p}main.id
+}
+
+${hubSubnets.map((s, idx) => subnetHcl(`${p}main`, p, s, idx)).join("\n")}
+resource "aws_eip" "${p}nat" {
+${prov}  domain = "vpc"
+}
+
+resource "aws_nat_gateway" "${p}nat" {
+${prov}  allocation_id = aws_eip.${p}nat.id
+  subnet_id     = aws_subnet.${p}${tfId(hubSubnets.find(isPublic)?.name || "public-a")}.id
+}
+
+resource "aws_route_table" "${p}public" {
+${prov}  vpc_id = aws_vpc.${p}main.id
+}
+
+resource "aws_route" "${p}public_inet" {
+${prov}  route_table_id         = aws_route_table.${p}public.id
+  destination_cidr_block = "0.0.0.0/0"
+  gateway_id             = aws_internet_gateway.${p}igw.id
+}
+
+${hubSubnets.filter(isPublic).map((s) => assocHcl(s, "public")).join("\n")}
+resource "aws_route_table" "${p}private" {
+${prov}  vpc_id = aws_vpc.${p}main.id
+}
+
+resource "aws_route" "${p}private_nat" {
+${prov}  route_table_id         = aws_route_table.${p}private.id
+  destination_cidr_block = "0.0.0.0/0"
+  nat_gateway_id         = aws_nat_gateway.${p}nat.id
+}
+
+${hubSubnets.filter((s) => !isPublic(s)).map((s) => assocHcl(s, "private")).join("\n")}
+${spokesHcl}
+${cdeHcl}${transitHcl}`;
+  };
+
+  // Inter-region: Transit Gateway peering (or VPC peering for flat designs) between every pair of regional hubs.
+  const interRegionHcl = (lz?.interRegionPeerings || [])
+    .map(({ from, to }) => {
+      const a = byHub.get(from);
+      const b = byHub.get(to);
+      const id = `${tfId(a.code)}_to_${tfId(b.code)}`;
+      if (model === "flat")
+        return `resource "aws_vpc_peering_connection" "${id}" {
+${a.prov}  vpc_id      = aws_vpc.${a.p}main.id
+  peer_vpc_id = aws_vpc.${b.p}main.id
+  peer_region = "${b.code}"
+}
+
+resource "aws_vpc_peering_connection_accepter" "${id}" {
+${b.prov}  vpc_peering_connection_id = aws_vpc_peering_connection.${id}.id
+  auto_accept               = true
+}
+
+resource "aws_route" "${id}" {
+${a.prov}  route_table_id            = aws_route_table.${a.p}private.id
+  destination_cidr_block    = "${b.addressSpace}"
+  vpc_peering_connection_id = aws_vpc_peering_connection.${id}.id
+}
+
+resource "aws_route" "${tfId(b.code)}_to_${tfId(a.code)}" {
+${b.prov}  route_table_id            = aws_route_table.${b.p}private.id
+  destination_cidr_block    = "${a.addressSpace}"
+  vpc_peering_connection_id = aws_vpc_peering_connection.${id}.id
+}
+`;
+      const tables = (r) => (model === "mesh" ? ["mesh"] : ["hub", "spokes"]).map((t) => `${r.p}${t}`);
+      const routeHcl = (local, remote) =>
+        tables(local)
+          .map(
+            (t) => `resource "aws_ec2_transit_gateway_route" "${t}_to_${tfId(remote.code)}" {
+${local.prov}  destination_cidr_block         = "${remote.addressSpace}"
+  transit_gateway_attachment_id  = aws_ec2_transit_gateway_peering_attachment_accepter.${id}.id
+  transit_gateway_route_table_id = aws_ec2_transit_gateway_route_table.${t}.id
+}
+`
+          )
+          .join("\n");
+      return `resource "aws_ec2_transit_gateway_peering_attachment" "${id}" {
+${a.prov}  transit_gateway_id      = aws_ec2_transit_gateway.${a.p}tgw.id
+  peer_transit_gateway_id = aws_ec2_transit_gateway.${b.p}tgw.id
+  peer_region             = "${b.code}"
+  tags                    = { Name = "${org}-${a.code}-to-${b.code}" }
+}
+
+resource "aws_ec2_transit_gateway_peering_attachment_accepter" "${id}" {
+${b.prov}  transit_gateway_attachment_id = aws_ec2_transit_gateway_peering_attachment.${id}.id
+}
+
+${routeHcl(a, b)}
+${routeHcl(b, a)}`;
+    })
+    .join("\n");
+
+  const globalEntryHcl = lz?.globalEntry
+    ? `variable "domain_name" {
+  type        = string
+  description = "Public DNS zone for the global entry point"
+}
+
+variable "regional_endpoints" {
+  type        = map(string)
+  description = "Regional load balancer DNS names keyed by AWS region code"
+}
+
+resource "aws_route53_zone" "global" {
+  name = var.domain_name
+}
+
+${regions
+  .map(
+    (r) => `resource "aws_route53_health_check" "${tfId(r.code)}" {
+  fqdn              = var.regional_endpoints["${r.code}"]
+  port              = 443
+  type              = "HTTPS"
+  resource_path     = "/"
+  failure_threshold = 3
+  request_interval  = 30
+}
+
+resource "aws_route53_record" "app_${tfId(r.code)}" {
+  zone_id         = aws_route53_zone.global.zone_id
+  name            = "app.\${var.domain_name}"
+  type            = "CNAME"
+  ttl             = 60
+  set_identifier  = "${r.code}"
+  health_check_id = aws_route53_health_check.${tfId(r.code)}.id
+  records         = [var.regional_endpoints["${r.code}"]]
+
+  latency_routing_policy {
+    region = "${r.code}"
+  }
+}
+`
+  )
+  .join("\n")}`
+    : "";
+
+  return {
+    root: `terraform {
+  required_providers {
+    aws = { source = "hashicorp/aws", version = ">= 5.0" }
+  }
+}
+
+provider "aws" {
+  region = "${regions[0]?.code}"
+
+  default_tags {
+    tags = { Project = "${org}", ManagedBy = "terraform" }
+  }
+}
+${regions
+  .slice(1)
+  .map(
+    (r) => `
+provider "aws" {
+  alias  = "${tfId(r.code)}"
+  region = "${r.code}"
+
+  default_tags {
+    tags = { Project = "${org}", ManagedBy = "terraform" }
+  }
+}
+`
+  )
+  .join("")}`,
+    network: `${regions.map(regionHcl).join("\n")}
+${interRegionHcl}
+${globalEntryHcl}`,
+    security: awsSecurityHcl(obj, regions),
+    workloads: awsWorkloadsHcl(obj, awsWorkloadTarget(regions[0])),
+    monitoring: awsOperationsHcl(obj),
+    backup: awsBackupHcl(obj, regions),
+  };
+}
+
+// Workloads land in the primary region's first spoke, or the single VPC of a flat design.
+function awsWorkloadTarget(region) {
+  const spoke = region?.spokes?.[0];
+  const vpc = spoke ? tfId(spoke.name) : "main";
+  const subnets = (spoke || region?.hub)?.subnets || [];
+  const ref = (s) => `aws_subnet.${spoke ? `${vpc}_` : ""}${tfId(s.name)}.id`;
+  return {
+    vpc,
+    cidr: (spoke || region?.hub)?.addressSpace,
+    subnetIds: (...names) =>
+      names
+        .map((n) => subnets.find((s) => s.name === n))
+        .filter(Boolean)
+        .map(ref),
+  };
+}
+
+function awsSecurityHcl(obj, regions) {
+  const org = (obj?.order?.orgName || "org").toLowerCase().replace(/\s+/g, "-");
+  const security = obj?.design?.security || {};
+  const kmsHcl =
+    security.keyManagement === "AWS KMS"
+      ? `resource "aws_kms_key" "main" {
+  description             = "${org} landing zone CMK"
+  enable_key_rotation     = true
+  deletion_window_in_days = 30
+}
+
+resource "aws_kms_alias" "main" {
+  name          = "alias/${org}-main"
+  target_key_id = aws_kms_key.main.key_id
+}
+`
+      : "";
+  // GuardDuty and Security Hub are regional services, so they are enabled in every deployed region.
+  const postureHcl =
+    security.defender === "GuardDuty + Security Hub"
+      ? regions
+          .map(
+            (r) => `resource "aws_guardduty_detector" "${r.p}main" {
+${r.prov}  enable                       = true
+  finding_publishing_frequency = "FIFTEEN_MINUTES"
+}
+
+resource "aws_securityhub_account" "${r.p}main" {
+${r.prov}  enable_default_standards = false
+}
+
+resource "aws_securityhub_standards_subscription" "${r.p}foundational" {
+${r.prov}  standards_arn = "arn:aws:securityhub:${r.code}::standards/aws-foundational-security-best-practices/v/1.0.0"
+  depends_on    = [aws_securityhub_account.${r.p}main]
+}
+`
+          )
+          .join("\n")
+      : "";
+  return `${kmsHcl}
+${postureHcl}`;
+}
+
+function awsWorkloadsHcl(obj, target) {
+  const org = (obj?.order?.orgName || "org").toLowerCase().replace(/\s+/g, "-");
+  const components = obj?.design?.components || [];
+  const availability = obj?.design?.availability;
+  const scaling = (component) =>
+    availability?.compute.find((c) => c.component === component) || { sku: "m6i.large", min: 2, desired: 2, max: 4 };
+  const nodes = scaling("EKS + ECR");
+  const asg = scaling("EC2 ASG");
+  const kms = obj?.design?.security?.keyManagement === "AWS KMS";
+  const kmsArn = kms ? "aws_kms_key.main.arn" : null;
+  const assumeRole = (service) => `jsonencode({
+    Version   = "2012-10-17"
+    Statement = [{ Effect = "Allow", Action = "sts:AssumeRole", Principal = { Service = "${service}" } }]
+  })`;
+  const roleHcl = (id, service, policies) => `resource "aws_iam_role" "${id}" {
+  name               = "${org}-${id.replace(/_/g, "-")}"
+  assume_role_policy = ${assumeRole(service)}
+}
+
+${policies
+  .map(
+    (arn, i) => `resource "aws_iam_role_policy_attachment" "${id}_${i}" {
+  role       = aws_iam_role.${id}.name
+  policy_arn = "arn:aws:iam::aws:policy/${arn}"
+}
+`
+  )
+  .join("\n")}`;
+
+  const parts = [];
+  if (components.length)
+    parts.push(`resource "aws_security_group" "workloads" {
+  name        = "${org}-workloads"
+  description = "Workload traffic from inside the landing zone"
+  vpc_id      = aws_vpc.${target.vpc}.id
+
+  ingress {
+    from_port   = 0
+    to_port     = 0
+    protocol    = "-1"
+    cidr_blocks = ["${obj?.design?.landingZone?.addressSpace}"]
+  }
+
+  egress {
+    from_port   = 0
+    to_port     = 0
+    protocol    = "-1"
+    cidr_blocks = ["0.0.0.0/0"]
+  }
+}
+`);
+
+  if (components.includes("ALB + ECS/EKS"))
+    parts.push(`resource "aws_lb" "app" {
+  name                       = "${org}-alb"
+  load_balancer_type         = "application"
+  subnets                    = [aws_subnet.public_a.id, aws_subnet.public_b.id]
+  drop_invalid_header_fields = true
+}
+
+resource "aws_lb_target_group" "app" {
+  name        = "${org}-app"
+  port        = 443
+  protocol    = "HTTPS"
+  target_type = "ip"
+  vpc_id      = aws_vpc.main.id
+}
+
+resource "aws_lb_listener" "https" {
+  load_balancer_arn = aws_lb.app.arn
+  port              = 443
+  protocol          = "HTTPS"
+  certificate_arn   = var.certificate_arn
+
+  default_action {
+    type             = "forward"
+    target_group_arn = aws_lb_target_group.app.arn
+  }
+}
+
+variable "certificate_arn" {
+  type        = string
+  description = "ACM certificate for the public ALB listener"
+}
+
+resource "aws_ecs_cluster" "app" {
+  name = "${org}-ecs"
+
+  setting {
+    name  = "containerInsights"
+    value = "enabled"
+  }
+}
+`);
+
+  if (components.includes("EKS + ECR"))
+    parts.push(`resource "aws_ecr_repository" "app" {
+  name                 = "${org}/app"
+  image_tag_mutability = "IMMUTABLE"
+
+  image_scanning_configuration {
+    scan_on_push = true
+  }
+
+  encryption_configuration {
+${hclAttrs({ encryption_type: kms ? '"KMS"' : '"AES256"', kms_key: kmsArn }, "    ")}
+  }
+}
+
+${roleHcl("eks_cluster", "eks.amazonaws.com", ["AmazonEKSClusterPolicy"])}
+${roleHcl("eks_nodes", "ec2.amazonaws.com", [
+  "AmazonEKSWorkerNodePolicy",
+  "AmazonEKS_CNI_Policy",
+  "AmazonEC2ContainerRegistryReadOnly",
+])}
+resource "aws_eks_cluster" "main" {
+  name     = "${org}-eks"
+  role_arn = aws_iam_role.eks_cluster.arn
+
+  vpc_config {
+    subnet_ids              = [${target.subnetIds("containers", "app").join(", ")}]
+    security_group_ids      = [aws_security_group.workloads.id]
+    endpoint_private_access = true
+    endpoint_public_access  = false
+  }
+${
+  kms
+    ? `
+  encryption_config {
+    resources = ["secrets"]
+    provider {
+      key_arn = aws_kms_key.main.arn
+    }
+  }
+`
+    : ""
+}
+  depends_on = [aws_iam_role_policy_attachment.eks_cluster_0]
+}
+
+resource "aws_eks_node_group" "default" {
+  cluster_name    = aws_eks_cluster.main.name
+  node_group_name = "default"
+  node_role_arn   = aws_iam_role.eks_nodes.arn
+  subnet_ids      = [${target.subnetIds("containers", "app").join(", ")}]
+  instance_types  = ["${nodes.sku}"]
+
+  scaling_config {
+    desired_size = ${nodes.desired}
+    min_size     = ${nodes.min}
+    max_size     = ${nodes.max}
+  }
+}
+`);
+
+  if (components.includes("EC2 ASG"))
+    parts.push(`data "aws_ssm_parameter" "al2023" {
+  name = "/aws/service/ami-amazon-linux-latest/al2023-ami-kernel-default-x86_64"
+}
+
+resource "aws_launch_template" "app" {
+  name_prefix            = "${org}-app-"
+  image_id               = data.aws_ssm_parameter.al2023.value
+  instance_type          = "${asg.sku}"
+  vpc_security_group_ids = [aws_security_group.workloads.id]
+
+  metadata_options {
+    http_tokens = "required"
+  }
+
+  block_device_mappings {
+    device_name = "/dev/xvda"
+    ebs {
+${hclAttrs({ volume_size: "30", encrypted: "true", kms_key_id: kmsArn }, "      ")}
+    }
+  }
+}
+
+resource "aws_autoscaling_group" "app" {
+  name                = "${org}-app"
+  min_size            = ${asg.min}
+  max_size            = ${asg.max}
+  desired_capacity    = ${asg.desired}
+  vpc_zone_identifier = [${target.subnetIds("app", "admin").join(", ")}]
+
+  launch_template {
+    id      = aws_launch_template.app.id
+    version = "$Latest"
+  }
+}
+`);
+
+  if (components.includes("S3 + Glue + Redshift"))
+    parts.push(`resource "aws_s3_bucket" "lake" {
+  bucket_prefix = "${org}-lake-"
+}
+
+resource "aws_s3_bucket_public_access_block" "lake" {
+  bucket                  = aws_s3_bucket.lake.id
+  block_public_acls       = true
+  block_public_policy     = true
+  ignore_public_acls      = true
+  restrict_public_buckets = true
+}
+
+resource "aws_s3_bucket_versioning" "lake" {
+  bucket = aws_s3_bucket.lake.id
+  versioning_configuration {
+    status = "Enabled"
+  }
+}
+
+resource "aws_s3_bucket_server_side_encryption_configuration" "lake" {
+  bucket = aws_s3_bucket.lake.id
+  rule {
+    apply_server_side_encryption_by_default {
+${hclAttrs({ sse_algorithm: kms ? '"aws:kms"' : '"AES256"', kms_master_key_id: kmsArn }, "      ")}
+    }
+  }
+}
+
+${roleHcl("glue", "glue.amazonaws.com", ["service-role/AWSGlueServiceRole"])}
+resource "aws_glue_catalog_database" "lake" {
+  name = "${org.replace(/-/g, "_")}_lake"
+}
+
+resource "aws_glue_crawler" "lake" {
+  name          = "${org}-lake-crawler"
+  role          = aws_iam_role.glue.arn
+  database_name = aws_glue_catalog_database.lake.name
+  schedule      = "cron(0 2 * * ? *)"
+
+  s3_target {
+    path = "s3://\${aws_s3_bucket.lake.bucket}/raw/"
+  }
+}
+
+resource "aws_redshift_subnet_group" "warehouse" {
+  name       = "${org}-warehouse"
+  subnet_ids = [${target.subnetIds("data").join(", ")}]
+}
+
+resource "aws_redshift_cluster" "warehouse" {
+  cluster_identifier        = "${org}-warehouse"
+  node_type                 = "ra3.xlplus"
+${
+  availability?.zoneRedundant
+    ? `  cluster_type              = "multi-node"
+  number_of_nodes           = 2
+  multi_az                  = true`
+    : `  cluster_type              = "single-node"`
+}
+  database_name             = "analytics"
+  master_username           = "admin"
+  manage_master_password    = true
+  cluster_subnet_group_name = aws_redshift_subnet_group.warehouse.name
+  vpc_security_group_ids    = [aws_security_group.workloads.id]
+  publicly_accessible       = false
+  encrypted                 = true${kms ? "\n  kms_key_id                = aws_kms_key.main.arn" : ""}${
+    obj?.design?.observability?.backup ? '\n  tags                      = { Backup = "true" }' : ""
+  }
+}
+`);
+
+  if (components.includes("Lambda + SQS/SNS"))
+    parts.push(`resource "aws_sqs_queue" "dlq" {
+${hclAttrs({ name: `"${org}-events-dlq"`, kms_master_key_id: kms ? "aws_kms_key.main.arn" : null, sqs_managed_sse_enabled: kms ? null : "true" })}
+}
+
+resource "aws_sqs_queue" "events" {
+${hclAttrs({
+  name: `"${org}-events"`,
+  visibility_timeout_seconds: "180",
+  kms_master_key_id: kms ? "aws_kms_key.main.arn" : null,
+  sqs_managed_sse_enabled: kms ? null : "true",
+  redrive_policy: "jsonencode({ deadLetterTargetArn = aws_sqs_queue.dlq.arn, maxReceiveCount = 5 })",
+})}
+}
+
+resource "aws_sns_topic" "events" {
+${hclAttrs({ name: `"${org}-events"`, kms_master_key_id: kms ? "aws_kms_key.main.arn" : null })}
+}
+
+resource "aws_sns_topic_subscription" "events_to_queue" {
+  topic_arn = aws_sns_topic.events.arn
+  protocol  = "sqs"
+  endpoint  = aws_sqs_queue.events.arn
+}
+
+variable "lambda_package" {
+  type        = string
+  description = "Path to the zipped Lambda handler"
+  default     = "build/handler.zip"
+}
+
+${roleHcl("lambda", "lambda.amazonaws.com", [
+  "service-role/AWSLambdaVPCAccessExecutionRole",
+  "service-role/AWSLambdaSQSQueueExecutionRole",
+])}
+resource "aws_lambda_function" "worker" {
+  function_name = "${org}-worker"
+  role          = aws_iam_role.lambda.arn
+  runtime       = "nodejs20.x"
+  handler       = "index.handler"
+  filename      = var.lambda_package
+  timeout       = 30${kms ? "\n  kms_key_arn   = aws_kms_key.main.arn" : ""}
+
+  vpc_config {
+    subnet_ids         = [${target.subnetIds("integration", "app").join(", ")}]
+    security_group_ids = [aws_security_group.workloads.id]
+  }
+
+  tracing_config {
+    mode = "Active"
+  }
+}
+
+resource "aws_lambda_event_source_mapping" "events" {
+  event_source_arn = aws_sqs_queue.events.arn
+  function_name    = aws_lambda_function.worker.arn
+  batch_size       = 10
+}
+`);
+
+  return parts.join("\n");
+}
+
+// CloudWatch Logs only accepts fixed retention periods; round up to the next one.
+const CLOUDWATCH_RETENTION_DAYS = [
+  1, 3, 5, 7, 14, 30, 60, 90, 120, 150, 180, 365, 400, 545, 731, 1096, 1827, 2192, 2557, 2922, 3288, 3653,
+];
+
+function cloudWatchRetention(days) {
+  return CLOUDWATCH_RETENTION_DAYS.find((d) => d >= days) || 3653;
+}
+
+function awsOperationsHcl(obj) {
+  const org = (obj?.order?.orgName || "org").toLowerCase().replace(/\s+/g, "-");
+  const observability = obj?.design?.observability || {};
+  const kms = obj?.design?.security?.keyManagement === "AWS KMS";
+  const email = obj?.order?.contactEmail || "platform-team@example.com";
+  const parts = [];
+
+  if ((observability.monitoring || []).includes("CloudWatch/CloudTrail"))
+    parts.push(`resource "aws_cloudwatch_log_group" "trail" {
+${hclAttrs({
+  name: `"/aws/cloudtrail/${org}"`,
+  retention_in_days: cloudWatchRetention(observability.logRetentionDays || 365),
+  kms_key_id: kms ? "aws_kms_key.main.arn" : null,
+})}
+}
+
+resource "aws_s3_bucket" "trail" {
+  bucket_prefix = "${org}-trail-"
+}
+
+resource "aws_s3_bucket_policy" "trail" {
+  bucket = aws_s3_bucket.trail.id
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      { Effect = "Allow", Principal = { Service = "cloudtrail.amazonaws.com" }, Action = "s3:GetBucketAcl", Resource = aws_s3_bucket.trail.arn },
+      { Effect = "Allow", Principal = { Service = "cloudtrail.amazonaws.com" }, Action = "s3:PutObject", Resource = "\${aws_s3_bucket.trail.arn}/AWSLogs/*" },
+    ]
+  })
+}
+
+resource "aws_cloudtrail" "main" {
+  name                          = "${org}-trail"
+  s3_bucket_name                = aws_s3_bucket.trail.id
+  is_multi_region_trail         = true
+  include_global_service_events = true
+  enable_log_file_validation    = true
+  depends_on                    = [aws_s3_bucket_policy.trail]
+}
+`);
+
+  if (observability.cost)
+    parts.push(`variable "monthly_budget_usd" {
+  type    = number
+  default = ${estimateCost(obj).monthlyUSD}
+}
+
+resource "aws_budgets_budget" "monthly" {
+  name         = "${org}-monthly"
+  budget_type  = "COST"
+  limit_amount = tostring(var.monthly_budget_usd)
+  limit_unit   = "USD"
+  time_unit    = "MONTHLY"
+
+  notification {
+    comparison_operator        = "GREATER_THAN"
+    threshold                  = 80
+    threshold_type             = "PERCENTAGE"
+    notification_type          = "FORECASTED"
+    subscriber_email_addresses = ["${email}"]
+  }
+}
+
+resource "aws_ce_anomaly_monitor" "services" {
+  name              = "${org}-services"
+  monitor_type      = "DIMENSIONAL"
+  monitor_dimension = "SERVICE"
+}
+
+resource "aws_ce_anomaly_subscription" "alerts" {
+  name             = "${org}-anomalies"
+  frequency        = "DAILY"
+  monitor_arn_list = [aws_ce_anomaly_monitor.services.arn]
+
+  subscriber {
+    type    = "EMAIL"
+    address = "${email}"
+  }
+
+  threshold_expression {
+    dimension {
+      key           = "ANOMALY_TOTAL_IMPACT_ABSOLUTE"
+      values        = ["100"]
+      match_options = ["GREATER_THAN_OR_EQUAL"]
+    }
+  }
+}
+`);
+
+  return parts.join("\n");
+}
+
+// Rule name of the sub-daily backups: "hourly", "every-4h", "every-12h".
+function backupIntervalName(intervalMinutes) {
+  return intervalMinutes === 60 ? "hourly" : `every-${intervalMinutes / 60}h`;
+}
+
+// Hours between sub-daily recovery points as an AWS cron expression.
+function awsBackupCron(intervalMinutes) {
+  const hours = intervalMinutes / 60;
+  return hours === 1 ? "cron(0 * * * ? *)" : `cron(0 0/${hours} * * ? *)`;
+}
+
+/**
+ * AWS Backup: one vault per region, a plan whose rules follow `design.availability.backup` (sub-daily points for
+ * the RPO, daily, monthly for compliance), copies of daily and monthly points to the other regions' vaults, and a
+ * selection of every resource tagged Backup=true.
+ */
+function awsBackupHcl(obj, regions) {
+  const org = (obj?.order?.orgName || "org").toLowerCase().replace(/\s+/g, "-");
+  const backup = obj?.design?.availability?.backup;
+  if (obj?.design?.observability?.backup !== "AWS Backup" || !backup) return "";
+  const kms = obj?.design?.security?.keyManagement === "AWS KMS";
+  const { intervalMinutes, pointInTimeRecovery, retention } = backup;
+
+  // The CMK lives in the primary region; copy vaults encrypt with their region's AWS-managed key.
+  const vaultHcl = (r) => `resource "aws_backup_vault" "${r.p}main" {
+${r.prov}${hclAttrs({ name: `"${r.n}-vault"`, kms_key_arn: kms && !r.p ? "aws_kms_key.main.arn" : null })}
+}
+`;
+  const copyHcl = (days) =>
+    regions
+      .slice(1)
+      .map(
+        (r) => `
+    copy_action {
+      destination_vault_arn = aws_backup_vault.${r.p}main.arn
+
+      lifecycle {
+        delete_after = ${days}
+      }
+    }
+`
+      )
+      .join("");
+  const ruleHcl = (name, schedule, lifecycle, extra = {}, copies = "") => `
+  rule {
+${hclAttrs(
+  { rule_name: `"${name}"`, target_vault_name: "aws_backup_vault.main.name", schedule: `"${schedule}"`, ...extra },
+  "    "
+)}
+
+    lifecycle {
+${hclAttrs(lifecycle, "      ")}
+    }
+${copies}  }
+`;
+  const rules = [
+    intervalMinutes < 1440 &&
+      ruleHcl(
+        `${backupIntervalName(intervalMinutes)}-${retention.recoveryPointDays}d`,
+        awsBackupCron(intervalMinutes),
+        { delete_after: retention.recoveryPointDays }
+      ),
+    // Continuous backup gives point-in-time restore for RDS, Aurora and S3, for up to 35 days.
+    ruleHcl(
+      `daily-${retention.dailyDays}d`,
+      "cron(0 3 * * ? *)",
+      { delete_after: retention.dailyDays },
+      { enable_continuous_backup: pointInTimeRecovery ? "true" : null },
+      copyHcl(retention.dailyDays)
+    ),
+    retention.monthlyDays &&
+      ruleHcl(
+        `monthly-${retention.monthlyDays}d`,
+        "cron(0 4 1 * ? *)",
+        { cold_storage_after: 30, delete_after: retention.monthlyDays },
+        {},
+        copyHcl(retention.monthlyDays)
+      ),
+  ].filter(Boolean);
+
+  return `${regions.map(vaultHcl).join("\n")}${
+    retention.monthlyDays
+      ? `
+# Governance mode: recovery points cannot be deleted or shortened except by principals allowed to bypass the lock.
+resource "aws_backup_vault_lock_configuration" "main" {
+  backup_vault_name  = aws_backup_vault.main.name
+  min_retention_days = ${retention.recoveryPointDays}
+  max_retention_days = ${retention.monthlyDays}
+}
+`
+      : ""
+  }
+resource "aws_backup_plan" "main" {
+  name = "${org}-backup"
+${rules.join("")}}
+
+resource "aws_iam_role" "backup" {
+  name               = "${org}-backup"
+  assume_role_policy = jsonencode({
+    Version   = "2012-10-17"
+    Statement = [{ Effect = "Allow", Action = "sts:AssumeRole", Principal = { Service = "backup.amazonaws.com" } }]
+  })
+}
+
+resource "aws_iam_role_policy_attachment" "backup" {
+  role       = aws_iam_role.backup.name
+  policy_arn = "arn:aws:iam::aws:policy/service-role/AWSBackupServiceRolePolicyForBackup"
+}
+
+resource "aws_iam_role_policy_attachment" "backup_restores" {
+  role       = aws_iam_role.backup.name
+  policy_arn = "arn:aws:iam::aws:policy/service-role/AWSBackupServiceRolePolicyForRestores"
+}
+
+resource "aws_backup_selection" "tagged" {
+  name         = "${org}-tagged"
+  plan_id      = aws_backup_plan.main.id
+  iam_role_arn = aws_iam_role.backup.arn
+
+  selection_tag {
+    type  = "STRINGEQUALS"
+    key   = "Backup"
+    value = "true"
+  }
+}
+`;
+}
+
+function terraformGCP(obj) {
+  const org = (obj?.order?.orgName || "org").toLowerCase().replace(/\s+/g, "-");
+  const lz = obj?.design?.landingZone;
+  const model = lz?.model;
+  const components = obj?.design?.components || [];
+  const gcpRegion = (label) => (label || "europe-north1").split(" ")[0];
+  // VPC networks are global; each region contributes its own hub and spoke networks with regional subnets.
+  const networks = designRegions(lz).flatMap((r, i) => {
+    const region = gcpRegion(r.region || obj?.order?.regions?.[0]);
+    return [
+      {
+        ...r.hub,
+        key: r.hub?.name,
+        region,
+        id: i === 0 ? "vpc" : `vpc_${tfId(region)}`,
+        name: i === 0 ? `${org}-vpc` : `${org}-vpc-${region}`,
+      },
+      ...r.spokes.map((sp) => ({
+        ...sp,
+        key: sp.name,
+        region,
+        id: tfId(sp.name),
+        name: sp.name.replace(/[^a-z0-9-]/g, ""),
+      })),
+    ];
+  });
+  const byKey = new Map(networks.map((n) => [n.key, n]));
+  const subnetId = (n, name) => `${n.id === "vpc" ? "" : `${n.id}_`}${tfId(name)}`;
+
+  // Every network lives in the Shared VPC host project; each spoke is consumed by its own service project.
+  // A flat design has no spokes, so its single network is shared with one "workloads" service project.
+  const consumers =
+    model === "flat"
+      ? networks.filter((n) => n.id === "vpc").map((n) => ({ network: n, key: "workloads" }))
+      : networks.filter((n) => n.id !== "vpc" && !n.id.startsWith("vpc_")).map((n) => ({ network: n, key: n.name }));
+  const target = consumers[0]?.network || networks[0];
+  const gke = components.includes("GKE + Artifact Registry");
+
+  // Cardholder data ranges: the allowed sources win over a landing-zone-wide deny, both ahead of allow-internal.
+  const cdeFirewallHcl = (n) => `
+resource "google_compute_firewall" "${n.id}_cde_allow_sources" {
+  name               = "${n.name}-cde-allow-sources"
+  network            = google_compute_network.${n.id}.id
+  priority           = 800
+  source_ranges      = [${n.cde.allowedSources.map((c) => `"${c}"`).join(", ")}]
+  destination_ranges = ["${n.cde.cidr}"]
+
+  allow {
+    protocol = "all"
+  }
+}
+
+resource "google_compute_firewall" "${n.id}_cde_deny_landing_zone" {
+  name               = "${n.name}-cde-deny-landing-zone"
+  network            = google_compute_network.${n.id}.id
+  priority           = 900
+  source_ranges      = ["${lz?.addressSpace}"]
+  destination_ranges = ["${n.cde.cidr}"]
+
+  deny {
+    protocol = "all"
+  }
+}
+`;
+
+  const networkHcl = (n) => `resource "google_compute_network" "${n.id}" {
+  name                    = "${n.name}"
+  auto_create_subnetworks = false
+}
+
+${(n.subnets || [])
+  .map(
+    (s) => `resource "google_compute_subnetwork" "${subnetId(n, s.name)}" {
+  name                     = "${n.id === "vpc" ? s.name : `${n.name}-${s.name}`}"
+  ip_cidr_range            = "${s.cidr}"
+  region                   = "${n.region}"
+  network                  = google_compute_network.${n.id}.id
+  private_ip_google_access = true
+${
+  gke && n === target && s.name === "containers"
+    ? `
+  secondary_ip_range {
+    range_name    = "pods"
+    ip_cidr_range = "${GKE_SECONDARY_RANGES.pods}"
+  }
+
+  secondary_ip_range {
+    range_name    = "services"
+    ip_cidr_range = "${GKE_SECONDARY_RANGES.services}"
+  }
+`
+    : ""
+}}
+`
+  )
+  .join("\n")}
+resource "google_compute_router" "${n.id}" {
+  name    = "${n.name}-router"
+  region  = "${n.region}"
+  network = google_compute_network.${n.id}.id
+}
+
+resource "google_compute_router_nat" "${n.id}" {
+  name                               = "${n.name}-nat"
+  router                             = google_compute_router.${n.id}.name
+  region                             = "${n.region}"
+  nat_ip_allocate_option             = "AUTO_ONLY"
+  source_subnetwork_ip_ranges_to_nat = "ALL_SUBNETWORKS_ALL_IP_RANGES"
+
+  log_config {
+    enable = true
+    filter = "ERRORS_ONLY"
+  }
+}
+
+resource "google_compute_firewall" "${n.id}_allow_internal" {
+  name          = "${n.name}-allow-internal"
+  network       = google_compute_network.${n.id}.id
+  source_ranges = ["${lz?.addressSpace}"]
+
+  allow {
+    protocol = "all"
+  }
+}
+
+resource "google_compute_firewall" "${n.id}_allow_iap" {
+  name          = "${n.name}-allow-iap"
+  network       = google_compute_network.${n.id}.id
+  source_ranges = ["35.235.240.0/20"]
+
+  allow {
+    protocol = "tcp"
+    ports    = ["22", "3389"]
+  }
+}
+${n.cde ? cdeFirewallHcl(n) : ""}`;
+
+  const peeringHcl = (a, b) => `resource "google_compute_network_peering" "${a.id}_to_${b.id}" {
+  name                 = "${a.name}-to-${b.name}"
+  network              = google_compute_network.${a.id}.self_link
+  peer_network         = google_compute_network.${b.id}.self_link
+  export_custom_routes = true
+  import_custom_routes = true
+}
+`;
+  const peerings = [
+    ...(model === "hub-spoke" ? designRegions(lz).flatMap((r) => r.peerings) : []),
+    ...(model === "mesh" ? [] : lz?.interRegionPeerings || []),
+  ];
+  const connectivityHcl =
+    model === "mesh"
+      ? `resource "google_network_connectivity_hub" "mesh" {
+  name = "${org}-ncc-hub"
+}
+
+${networks
+  .map(
+    (n) => `resource "google_network_connectivity_spoke" "${n.id}" {
+  name     = "${n.name}-spoke"
+  location = "global"
+  hub      = google_network_connectivity_hub.mesh.id
+  linked_vpc_network {
+    uri = google_compute_network.${n.id}.self_link
+  }
+}
+`
+  )
+  .join("\n")}`
+      : peerings
+          .map(({ from, to }) => [byKey.get(from), byKey.get(to)])
+          .map(([a, b]) => `${peeringHcl(a, b)}\n${peeringHcl(b, a)}`)
+          .join("\n");
+
+  const sharedVpcHcl = `variable "service_projects" {
+  type        = map(string)
+  description = "Service project IDs keyed by consumer: ${consumers.map((c) => c.key).join(", ")}"
+}
+
+resource "google_compute_shared_vpc_host_project" "host" {
+  project = var.host_project_id
+}
+
+${consumers
+  .map(
+    ({ network, key }) => `resource "google_compute_shared_vpc_service_project" "${tfId(key)}" {
+  host_project    = google_compute_shared_vpc_host_project.host.project
+  service_project = var.service_projects["${key}"]
+}
+
+data "google_project" "${tfId(key)}" {
+  project_id = var.service_projects["${key}"]
+}
+
+${(network.subnets || [])
+  .map(
+    (s) => `resource "google_compute_subnetwork_iam_member" "${tfId(key)}_${tfId(s.name)}" {
+  region     = "${network.region}"
+  subnetwork = google_compute_subnetwork.${subnetId(network, s.name)}.name
+  role       = "roles/compute.networkUser"
+  member     = "serviceAccount:\${data.google_project.${tfId(key)}.number}@cloudservices.gserviceaccount.com"
+}
+`
+  )
+  .join("\n")}`
+  )
+  .join("\n")}`;
+
+  const needsGlobalLb = lz?.globalEntry || components.includes("Cloud LB + Cloud Run/App Engine");
+  const globalEntryHcl = `${
+    needsGlobalLb
+      ? `resource "google_compute_global_address" "global_lb" {
+  project = local.workload_project
+  name    = "${org}-global-lb-ip"
+}
+`
+      : ""
+  }${
+    lz?.globalEntry
+      ? `
+variable "domain_name" {
+  type        = string
+  description = "Public DNS zone (with trailing dot) for the global entry point"
+}
+
+resource "google_dns_managed_zone" "global" {
+  name     = "${org}-global"
+  dns_name = var.domain_name
+}
+
+resource "google_dns_record_set" "app" {
+  managed_zone = google_dns_managed_zone.global.name
+  name         = "app.\${var.domain_name}"
+  type         = "A"
+  ttl          = 60
+  rrdatas      = [google_compute_global_address.global_lb.address]
+}
+`
+      : ""
+  }`;
+
+  const ctx = {
+    org,
+    region: target.region,
+    network: `google_compute_network.${target.id}`,
+    subnet: (...names) => {
+      const s = names.map((name) => (target.subnets || []).find((x) => x.name === name)).find(Boolean);
+      return s ? `google_compute_subnetwork.${subnetId(target, s.name)}` : null;
+    },
+    projectKey: tfId(consumers[0]?.key || "workloads"),
+  };
+
+  return {
+    root: `terraform {
+  required_providers {
+    google = { source = "hashicorp/google", version = ">= 6.0" }
+  }
+}
+
+provider "google" {
+  project = var.host_project_id
+  region  = "${networks[0]?.region}"
+}
+
+variable "host_project_id" {
+  type        = string
+  description = "Shared VPC host project"
+}
+
+locals {
+  workload_project = var.service_projects["${consumers[0]?.key || "workloads"}"]
+}
+`,
+    network: `${networks.map(networkHcl).join("\n")}
+${sharedVpcHcl}
+${connectivityHcl}
+${globalEntryHcl}`,
+    security: gcpSecurityHcl(obj, ctx),
+    workloads: gcpWorkloadsHcl(obj, ctx),
+    monitoring: gcpOperationsHcl(obj, ctx),
+    backup: gcpBackupHcl(obj, ctx),
+  };
+}
+
+// GKE pods and services come from the shared 100.64/10 space so they never eat into the landing-zone range.
+const GKE_SECONDARY_RANGES = { pods: "100.64.0.0/14", services: "100.68.0.0/20" };
+
+function gcpSecurityHcl(obj, ctx) {
+  const security = obj?.design?.security || {};
+  const kmsHcl =
+    security.keyManagement === "Cloud KMS"
+      ? `resource "google_kms_key_ring" "main" {
+  name     = "${ctx.org}-keyring"
+  location = "${ctx.region}"
+}
+
+resource "google_kms_crypto_key" "main" {
+  name            = "${ctx.org}-cmek"
+  key_ring        = google_kms_key_ring.main.id
+  rotation_period = "7776000s"
+
+  lifecycle {
+    prevent_destroy = true
+  }
+}
+`
+      : "";
+  const sccHcl =
+    security.defender === "Security Command Center"
+      ? `variable "organization_id" {
+  type        = string
+  description = "Organization that Security Command Center findings are exported from"
+}
+
+resource "google_pubsub_topic" "scc_findings" {
+  name = "${ctx.org}-scc-findings"
+}
+
+resource "google_scc_notification_config" "high_findings" {
+  config_id    = "${ctx.org}-high-findings"
+  organization = var.organization_id
+  description  = "Active high and critical findings"
+  pubsub_topic = google_pubsub_topic.scc_findings.id
+
+  streaming_config {
+    filter = "state = \\"ACTIVE\\" AND (severity = \\"HIGH\\" OR severity = \\"CRITICAL\\")"
+  }
+}
+`
+      : "";
+  const allowedRegions = obj?.design?.compliance?.requirements?.allowedRegions;
+  const residencyHcl = allowedRegions
+    ? `resource "google_project_organization_policy" "resource_locations" {
+  for_each   = toset(concat([var.host_project_id], values(var.service_projects)))
+  project    = each.value
+  constraint = "constraints/gcp.resourceLocations"
+
+  list_policy {
+    allow {
+      values = [${allowedRegions.map((r) => `"in:${r.split(" ")[0]}-locations"`).join(", ")}]
+    }
+  }
+}
+`
+    : "";
+  return `${kmsHcl}
+${sccHcl}
+${residencyHcl}`;
+}
+
+function gcpWorkloadsHcl(obj, ctx) {
+  const { org, region, projectKey } = ctx;
+  const components = obj?.design?.components || [];
+  const availability = obj?.design?.availability;
+  const scaling = (component, sku) =>
+    availability?.compute.find((c) => c.component === component) || { sku, min: 1, desired: 1, max: 3 };
+  const run = scaling("Cloud LB + Cloud Run/App Engine", null);
+  const gke = scaling("GKE + Artifact Registry", "e2-standard-4");
+  const mig = scaling("Compute Engine MIG", "e2-standard-2");
+  // A zonal cluster when the design is not zone-redundant; regional node pools count nodes per zone.
+  const gkeZones = availability?.zoneRedundant === false ? 1 : 3;
+  const gkeLocation = gkeZones === 1 ? `${region}-b` : region;
+  const kms = obj?.design?.security?.keyManagement === "Cloud KMS";
+  const cmek = kms ? "google_kms_crypto_key.main.id" : null;
+  const project = "local.workload_project";
+  const number = `\${data.google_project.${projectKey}.number}`;
+  // Service agents that must be able to use the CMEK key, collected per enabled service.
+  const agents = [];
+  const apis = ["compute.googleapis.com"];
+  const parts = [];
+
+  if (components.includes("Cloud LB + Cloud Run/App Engine")) {
+    apis.push("run.googleapis.com");
+    parts.push(`variable "app_image" {
+  type    = string
+  default = "us-docker.pkg.dev/cloudrun/container/hello"
+}
+
+variable "app_domain" {
+  type        = string
+  description = "Hostname served by the external HTTPS load balancer"
+}
+
+resource "google_cloud_run_v2_service" "app" {
+  project  = ${project}
+  name     = "${org}-app"
+  location = "${region}"
+  ingress  = "INGRESS_TRAFFIC_INTERNAL_LOAD_BALANCER"
+
+  template {
+    containers {
+      image = var.app_image
+    }
+
+    scaling {
+      min_instance_count = ${run.min}
+      max_instance_count = ${run.max}
+    }
+
+    vpc_access {
+      egress = "PRIVATE_RANGES_ONLY"
+      network_interfaces {
+        network    = ${ctx.network}.id
+        subnetwork = ${ctx.subnet("integration", "app")}.id
+      }
+    }
+  }
+}
+
+resource "google_compute_region_network_endpoint_group" "app" {
+  project               = ${project}
+  name                  = "${org}-app-neg"
+  region                = "${region}"
+  network_endpoint_type = "SERVERLESS"
+
+  cloud_run {
+    service = google_cloud_run_v2_service.app.name
+  }
+}
+
+resource "google_compute_backend_service" "app" {
+  project               = ${project}
+  name                  = "${org}-app-backend"
+  load_balancing_scheme = "EXTERNAL_MANAGED"
+
+  backend {
+    group = google_compute_region_network_endpoint_group.app.id
+  }
+}
+
+resource "google_compute_url_map" "app" {
+  project         = ${project}
+  name            = "${org}-app"
+  default_service = google_compute_backend_service.app.id
+}
+
+resource "google_compute_managed_ssl_certificate" "app" {
+  project = ${project}
+  name    = "${org}-app-cert"
+
+  managed {
+    domains = [var.app_domain]
+  }
+}
+
+resource "google_compute_target_https_proxy" "app" {
+  project          = ${project}
+  name             = "${org}-app-https"
+  url_map          = google_compute_url_map.app.id
+  ssl_certificates = [google_compute_managed_ssl_certificate.app.id]
+}
+
+resource "google_compute_global_forwarding_rule" "app" {
+  project               = ${project}
+  name                  = "${org}-app-https"
+  target                = google_compute_target_https_proxy.app.id
+  ip_address            = google_compute_global_address.global_lb.address
+  port_range            = "443"
+  load_balancing_scheme = "EXTERNAL_MANAGED"
+}
+`);
+  }
+
+  if (components.includes("GKE + Artifact Registry")) {
+    apis.push("container.googleapis.com", "artifactregistry.googleapis.com");
+    agents.push(
+      `service-${number}@gcp-sa-artifactregistry.iam.gserviceaccount.com`,
+      `service-${number}@container-engine-robot.iam.gserviceaccount.com`
+    );
+    parts.push(`resource "google_artifact_registry_repository" "app" {
+${hclAttrs({
+  project,
+  location: `"${region}"`,
+  repository_id: `"${org}-images"`,
+  format: '"DOCKER"',
+  kms_key_name: cmek,
+})}
+}
+
+resource "google_project_iam_member" "gke_host_agent" {
+  project = var.host_project_id
+  role    = "roles/container.hostServiceAgentUser"
+  member  = "serviceAccount:service-${number}@container-engine-robot.iam.gserviceaccount.com"
+}
+
+resource "google_compute_subnetwork_iam_member" "gke_network_user" {
+  region     = "${region}"
+  subnetwork = ${ctx.subnet("containers")}.name
+  role       = "roles/compute.networkUser"
+  member     = "serviceAccount:service-${number}@container-engine-robot.iam.gserviceaccount.com"
+}
+
+resource "google_service_account" "gke_nodes" {
+  project    = ${project}
+  account_id = "${org}-gke-nodes"
+}
+
+resource "google_container_cluster" "main" {
+  project                  = ${project}
+  name                     = "${org}-gke"
+  location                 = "${gkeLocation}"
+  network                  = ${ctx.network}.id
+  subnetwork               = ${ctx.subnet("containers")}.id
+  remove_default_node_pool = true
+  initial_node_count       = 1
+
+  ip_allocation_policy {
+    cluster_secondary_range_name  = "pods"
+    services_secondary_range_name = "services"
+  }
+
+  private_cluster_config {
+    enable_private_nodes    = true
+    enable_private_endpoint = true
+    master_ipv4_cidr_block  = "172.16.0.0/28"
+  }
+
+  master_authorized_networks_config {
+    cidr_blocks {
+      cidr_block   = "${obj?.design?.landingZone?.addressSpace}"
+      display_name = "landing-zone"
+    }
+  }
+
+  workload_identity_config {
+    workload_pool = "\${${project}}.svc.id.goog"
+  }
+
+  release_channel {
+    channel = "REGULAR"
+  }
+${
+  kms
+    ? `
+  database_encryption {
+    state    = "ENCRYPTED"
+    key_name = google_kms_crypto_key.main.id
+  }
+`
+    : ""
+}
+  depends_on = [google_project_iam_member.gke_host_agent, google_compute_subnetwork_iam_member.gke_network_user]
+}
+
+resource "google_container_node_pool" "default" {
+  project    = ${project}
+  name       = "default"
+  cluster    = google_container_cluster.main.id
+  node_count = ${Math.ceil(gke.desired / gkeZones)}
+
+  autoscaling {
+    total_min_node_count = ${gke.min}
+    total_max_node_count = ${gke.max}
+  }
+
+  node_config {
+    machine_type    = "${gke.sku}"
+    service_account = google_service_account.gke_nodes.email
+    oauth_scopes    = ["https://www.googleapis.com/auth/cloud-platform"]
+
+    shielded_instance_config {
+      enable_secure_boot = true
+    }
+
+    workload_metadata_config {
+      mode = "GKE_METADATA"
+    }
+  }
+}
+`);
+  }
+
+  if (components.includes("Compute Engine MIG")) {
+    agents.push(`service-${number}@compute-system.iam.gserviceaccount.com`);
+    parts.push(`resource "google_compute_instance_template" "app" {
+  project      = ${project}
+  name_prefix  = "${org}-app-"
+  machine_type = "${mig.sku}"
+
+  disk {
+    source_image = "debian-cloud/debian-12"
+    auto_delete  = true
+    boot         = true
+${
+  kms
+    ? `
+    disk_encryption_key {
+      kms_key_self_link = google_kms_crypto_key.main.id
+    }
+`
+    : ""
+}  }
+
+  network_interface {
+    subnetwork = ${ctx.subnet("app")}.id
+  }
+
+  shielded_instance_config {
+    enable_secure_boot = true
+  }
+
+  metadata = {
+    enable-oslogin = "TRUE"
+  }
+
+  lifecycle {
+    create_before_destroy = true
+  }
+}
+
+resource "google_compute_region_instance_group_manager" "app" {
+  project            = ${project}
+  name               = "${org}-app"
+  region             = "${region}"
+  base_instance_name = "${org}-app"
+
+  version {
+    instance_template = google_compute_instance_template.app.id
+  }
+}
+
+resource "google_compute_region_autoscaler" "app" {
+  project = ${project}
+  name    = "${org}-app"
+  region  = "${region}"
+  target  = google_compute_region_instance_group_manager.app.id
+
+  autoscaling_policy {
+    min_replicas = ${mig.min}
+    max_replicas = ${mig.max}
+
+    cpu_utilization {
+      target = 0.6
+    }
+  }
+}
+`);
+  }
+
+  if (components.includes("GCS + Dataflow + BigQuery")) {
+    apis.push("bigquery.googleapis.com", "dataflow.googleapis.com");
+    agents.push(
+      `service-${number}@gs-project-accounts.iam.gserviceaccount.com`,
+      `bq-${number}@bigquery-encryption.iam.gserviceaccount.com`
+    );
+    parts.push(`resource "google_storage_bucket" "lake" {
+  project                     = ${project}
+  name                        = "\${${project}}-lake"
+  location                    = "${region}"
+  uniform_bucket_level_access = true
+  public_access_prevention    = "enforced"
+
+  versioning {
+    enabled = true
+  }
+${
+  kms
+    ? `
+  encryption {
+    default_kms_key_name = google_kms_crypto_key.main.id
+  }
+`
+    : ""
+}}
+
+resource "google_bigquery_dataset" "analytics" {
+  project    = ${project}
+  dataset_id = "${org.replace(/-/g, "_")}_analytics"
+  location   = "${region}"
+${
+  kms
+    ? `
+  default_encryption_configuration {
+    kms_key_name = google_kms_crypto_key.main.id
+  }
+`
+    : ""
+}}
+
+resource "google_service_account" "dataflow" {
+  project    = ${project}
+  account_id = "${org}-dataflow"
+}
+
+resource "google_project_iam_member" "dataflow" {
+  for_each = toset(["roles/dataflow.worker", "roles/bigquery.dataEditor", "roles/storage.objectAdmin"])
+  project  = ${project}
+  role     = each.value
+  member   = "serviceAccount:\${google_service_account.dataflow.email}"
+}
+`);
+  }
+
+  if (components.includes("Cloud Functions + Pub/Sub")) {
+    apis.push("pubsub.googleapis.com", "cloudfunctions.googleapis.com", "cloudbuild.googleapis.com", "eventarc.googleapis.com");
+    agents.push(`service-${number}@gcp-sa-pubsub.iam.gserviceaccount.com`);
+    parts.push(`resource "google_pubsub_topic" "events_dlq" {
+${hclAttrs({ project, name: `"${org}-events-dlq"`, kms_key_name: cmek })}
+}
+
+resource "google_pubsub_topic" "events" {
+${hclAttrs({ project, name: `"${org}-events"`, kms_key_name: cmek })}
+}
+
+variable "function_source_bucket" {
+  type        = string
+  description = "Bucket holding the zipped function source"
+}
+
+variable "function_source_object" {
+  type    = string
+  default = "worker.zip"
+}
+
+resource "google_cloudfunctions2_function" "worker" {
+  project  = ${project}
+  name     = "${org}-worker"
+  location = "${region}"
+
+  build_config {
+    runtime     = "nodejs20"
+    entry_point = "handler"
+    source {
+      storage_source {
+        bucket = var.function_source_bucket
+        object = var.function_source_object
+      }
+    }
+  }
+
+  service_config {
+    max_instance_count = 10
+    ingress_settings   = "ALLOW_INTERNAL_ONLY"
+  }
+
+  event_trigger {
+    trigger_region = "${region}"
+    event_type     = "google.cloud.pubsub.topic.v1.messagePublished"
+    pubsub_topic   = google_pubsub_topic.events.id
+    retry_policy   = "RETRY_POLICY_RETRY"
+  }
+}
+`);
+  }
+
+  const apisHcl = `resource "google_project_service" "workloads" {
+  for_each           = toset(${JSON.stringify(apis).replace(/,/g, ", ")})
+  project            = ${project}
+  service            = each.value
+  disable_on_destroy = false
+}
+`;
+  const cmekHcl =
+    kms && agents.length
+      ? `resource "google_kms_crypto_key_iam_member" "service_agents" {
+  for_each      = toset([
+${agents.map((a) => `    "serviceAccount:${a}",`).join("\n")}
+  ])
+  crypto_key_id = google_kms_crypto_key.main.id
+  role          = "roles/cloudkms.cryptoKeyEncrypterDecrypter"
+  member        = each.value
+}
+`
+      : "";
+  return [apisHcl, cmekHcl, ...parts].filter(Boolean).join("\n");
+}
+
+function gcpOperationsHcl(obj, ctx) {
+  const observability = obj?.design?.observability || {};
+  const email = obj?.order?.contactEmail || "platform-team@example.com";
+  if (!observability.cost && !(observability.monitoring || []).includes("GCP Cloud Ops")) return "";
+  const channelHcl = `resource "google_monitoring_notification_channel" "email" {
+  display_name = "${ctx.org} platform team"
+  type         = "email"
+  labels = {
+    email_address = "${email}"
+  }
+}
+`;
+  const opsHcl = (observability.monitoring || []).includes("GCP Cloud Ops")
+    ? `resource "google_logging_project_bucket_config" "default" {
+  project        = var.host_project_id
+  location       = "global"
+  bucket_id      = "_Default"
+  retention_days = ${Math.min(3650, observability.logRetentionDays || 365)}
+}
+
+resource "google_monitoring_alert_policy" "nat_errors" {
+  display_name          = "${ctx.org} Cloud NAT allocation errors"
+  combiner              = "OR"
+  notification_channels = [google_monitoring_notification_channel.email.id]
+
+  conditions {
+    display_name = "NAT port allocation failures"
+    condition_threshold {
+      filter          = "resource.type = \\"nat_gateway\\" AND metric.type = \\"router.googleapis.com/nat/nat_allocation_failed\\""
+      comparison      = "COMPARISON_GT"
+      threshold_value = 0
+      duration        = "300s"
+    }
+  }
+}
+`
+    : "";
+  const budgetHcl = observability.cost
+    ? `variable "billing_account" {
+  type = string
+}
+
+resource "google_billing_budget" "monthly" {
+  billing_account = var.billing_account
+  display_name    = "${ctx.org} monthly"
+
+  amount {
+    specified_amount {
+      currency_code = "USD"
+      units         = "${estimateCost(obj).monthlyUSD}"
+    }
+  }
+
+  threshold_rules {
+    threshold_percent = 0.8
+    spend_basis       = "FORECASTED_SPEND"
+  }
+
+  threshold_rules {
+    threshold_percent = 1.0
+  }
+
+  all_updates_rule {
+    monitoring_notification_channels = [google_monitoring_notification_channel.email.id]
+  }
+}
+`
+    : "";
+  return [channelHcl, opsHcl, budgetHcl].filter(Boolean).join("\n");
+}
+
+/**
+ * Backup and DR vault and plan for Compute Engine instances in the workload region, with rules following
+ * `design.availability.backup`. With a second region, a daily snapshot schedule stores copies in the continent's
+ * multi-region location, out of reach of a regional outage.
+ */
+function gcpBackupHcl(obj, ctx) {
+  const backup = obj?.design?.availability?.backup;
+  if (obj?.design?.observability?.backup !== "Backup/DR" || !backup) return "";
+  const { intervalMinutes, retention, copyRegions } = backup;
+  // Compute Engine backups run at most every 4 hours; tighter RPOs rely on the database's point-in-time restore.
+  const hours = Math.max(4, intervalMinutes / 60);
+  const ruleHcl = (id, days, schedule, window) => `
+  backup_rules {
+    rule_id               = "${id}"
+    backup_retention_days = ${days}
+
+    standard_schedule {
+${hclAttrs({ ...schedule, time_zone: '"UTC"' }, "      ")}
+
+      backup_window {
+        start_hour_of_day = ${window[0]}
+        end_hour_of_day   = ${window[1]}
+      }
+    }
+  }
+`;
+  const rules = [
+    intervalMinutes < 1440 &&
+      ruleHcl(
+        backupIntervalName(hours * 60),
+        retention.recoveryPointDays,
+        { recurrence_type: '"HOURLY"', hourly_frequency: hours },
+        [0, 24]
+      ),
+    ruleHcl("daily", retention.dailyDays, { recurrence_type: '"DAILY"' }, [2, 8]),
+    retention.monthlyDays &&
+      ruleHcl("monthly", retention.monthlyDays, { recurrence_type: '"MONTHLY"', days_of_month: "[1]" }, [2, 8]),
+  ].filter(Boolean);
+  const multiRegion = ctx.region.startsWith("europe-") ? "eu" : ctx.region.split("-")[0];
+
+  return `resource "google_backup_dr_backup_vault" "main" {
+  project                                    = local.workload_project
+  location                                   = "${ctx.region}"
+  backup_vault_id                            = "${ctx.org}-vault"
+  backup_minimum_enforced_retention_duration = "${retention.recoveryPointDays * 86400}s"
+}
+
+# Instances join the plan with google_backup_dr_backup_plan_association.
+resource "google_backup_dr_backup_plan" "main" {
+  project        = local.workload_project
+  location       = "${ctx.region}"
+  backup_plan_id = "${ctx.org}-plan"
+  resource_type  = "compute.googleapis.com/Instance"
+  backup_vault   = google_backup_dr_backup_vault.main.id
+${rules.join("")}}
+${
+  copyRegions.length
+    ? `
+# Attach to persistent disks through their resource_policies; snapshots survive the loss of ${ctx.region}.
+resource "google_compute_resource_policy" "cross_region_snapshots" {
+  project = local.workload_project
+  name    = "${ctx.org}-snapshots-${multiRegion}"
+  region  = "${ctx.region}"
+
+  snapshot_schedule_policy {
+    schedule {
+      daily_schedule {
+        days_in_cycle = 1
+        start_time    = "03:00"
+      }
+    }
+
+    retention_policy {
+      max_retention_days    = ${retention.dailyDays}
+      on_source_disk_delete = "KEEP_AUTO_SNAPSHOTS"
+    }
+
+    snapshot_properties {
+      storage_locations = ["${multiRegion}"]
+    }
+  }
+}
+`
+    : ""
+}`;
+}
+
+/* ------------ Terraform bundle ------------ */
+const CI_FILE_PATHS = {
+  "GitHub Actions": ".github/workflows/landing-zone.yml",
+  "Azure DevOps": "azure-pipelines.yml",
+  "GitLab CI": ".gitlab-ci.yml",
+};
+
+// Generated HCL keeps every top-level block in column 0, so blocks can be split by balancing braces.
+function hclBlocks(hcl) {
+  const blocks = [];
+  let current = null;
+  let depth = 0;
+  for (const line of (hcl || "").split("\n")) {
+    if (!current) {
+      const m = line.match(/^(resource|data|variable|locals|provider|terraform|output)\b(?: "([^"]+)")?(?: "([^"]+)")?/);
+      if (!m) continue;
+      const [, kind, first, second] = m;
+      current = { kind, type: second ? first : undefined, name: second || first, lines: [] };
+      depth = 0;
+    }
+    current.lines.push(line);
+    depth += (line.match(/{/g) || []).length - (line.match(/}/g) || []).length;
+    if (depth === 0) {
+      const { lines, ...block } = current;
+      blocks.push({ ...block, text: lines.join("\n") });
+      current = null;
+    }
+  }
+  return blocks;
+}
+
+function hclAddress(block) {
+  if (block.kind === "resource") return `${block.type}.${block.name}`;
+  if (block.kind === "data") return `data.${block.type}.${block.name}`;
+  return null;
+}
+
+// Module input names drop the provider prefix: aws_vpc.main.id -> vpc_main_id.
+function moduleInputName(address, attr) {
+  return `${address.replace(/^data\./, "").replace(/^(aws|azurerm|google)_/, "")}_${attr}`.replace(/\./g, "_");
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function tfvarsPlaceholder(name, type, hcl) {
+  if (/^map/.test(type)) {
+    const keys = [...new Set([...hcl.matchAll(new RegExp(`var\\.${name}\\["([^"]+)"\\]`, "g"))].map((m) => m[1]))];
+    return `{\n${hclAttrs(Object.fromEntries(keys.map((k) => [`"${k}"`, '"CHANGE_ME"'])), "  ")}\n}`;
+  }
+  if (/^list|^set/.test(type)) return "[]";
+  if (type === "number") return "0";
+  return '"CHANGE_ME"';
+}
+
+function terraformBackend(obj) {
+  const org = (obj?.order?.orgName || "org").toLowerCase().replace(/\s+/g, "-");
+  const cloud = obj?.design?.cloud;
+  const region = designRegions(obj?.design?.landingZone)[0]?.region;
+  if (cloud === "Azure")
+    return `terraform {
+  backend "azurerm" {
+    resource_group_name  = "${org}-tfstate-rg"
+    storage_account_name = "${org.replace(/[^a-z0-9]/g, "").slice(0, 17)}tfstate"
+    container_name       = "tfstate"
+    key                  = "landing-zone.tfstate"
+  }
+}
+`;
+  if (cloud === "AWS")
+    return `terraform {
+  backend "s3" {
+    bucket         = "${org}-tfstate"
+    key            = "landing-zone/terraform.tfstate"
+    region         = "${awsRegionCode(region)}"
+    dynamodb_table = "${org}-tfstate-lock"
+    encrypt        = true
+  }
+}
+`;
+  return `terraform {
+  backend "gcs" {
+    bucket = "${org}-tfstate"
+    prefix = "landing-zone"
+  }
+}
+`;
+}
+
+/**
+ * Repository layout for the Terraform export: root providers/backend/variables/outputs/tfvars, one module per
+ * concern (cross-module references become module inputs and outputs), README and the CI pipeline file.
+ */
+function terraformBundle(obj) {
+  const sections = terraformSections(obj);
+  if (!sections || obj?.design?.landingZone?.error) return { "main.tf": terraformFromDesign(obj) };
+  const order = obj?.order || {};
+  const allHcl = [sections.root, ...TF_MODULES.map((m) => sections[m])].filter(Boolean).join("\n");
+
+  const rootBlocks = hclBlocks(sections.root);
+  const modules = TF_MODULES.map((name) => ({ name, blocks: hclBlocks(sections[name]) })).filter((m) => m.blocks.length);
+  const allBlocks = [...rootBlocks, ...modules.flatMap((m) => m.blocks)];
+  const variables = allBlocks.filter((b) => b.kind === "variable");
+  const variableType = new Map(
+    variables.map((v) => [v.name, (v.text.match(/^\s+type\s*=\s*(.+)$/m) || [])[1] || "string"])
+  );
+  modules.forEach((m) => (m.blocks = m.blocks.filter((b) => b.kind !== "variable")));
+
+  const owner = new Map();
+  rootBlocks.forEach((b) => hclAddress(b) && owner.set(hclAddress(b), null));
+  modules.forEach((m) => m.blocks.forEach((b) => hclAddress(b) && owner.set(hclAddress(b), m)));
+
+  const providerBlock = rootBlocks.find((b) => b.kind === "terraform")?.text || "";
+  const [, providerName, providerSource] = providerBlock.match(/(\w+) = \{ source = "([^"]+)"/) || [];
+
+  modules.forEach((m) => {
+    m.inputs = new Map();
+    m.outputs = new Map();
+    m.aliases = new Set();
+    m.blocks = m.blocks.map((block) => {
+      let text = block.text;
+      // depends_on may only name resources inside the module; cross-module ordering follows the data flow.
+      text = text.replace(/^(\s*)depends_on(\s*)= \[([^\]]*)\]\n?/gm, (line, indent, pad, list) => {
+        const kept = list
+          .split(",")
+          .map((item) => item.trim())
+          .filter((item) => item && owner.get(item) === m);
+        return kept.length ? `${indent}depends_on${pad}= [${kept.join(", ")}]\n` : "";
+      });
+      text = text.replace(/\b(var|local)\.(\w+)/g, (ref, scope, name) => {
+        m.inputs.set(name, { type: scope === "var" ? variableType.get(name) || "string" : "string", value: ref });
+        return `var.${name}`;
+      });
+      owner.forEach((producer, address) => {
+        if (producer === m) return;
+        const pattern = new RegExp(`(?<![\\w.])${escapeRegExp(address)}\\.(\\w+)`, "g");
+        text = text.replace(pattern, (ref, attr) => {
+          const name = moduleInputName(address, attr);
+          m.inputs.set(name, { type: "string", value: producer ? `module.${producer.name}.${name}` : ref });
+          if (producer) producer.outputs.set(name, ref);
+          return `var.${name}`;
+        });
+      });
+      for (const [, alias] of text.matchAll(/^\s*provider\s*= (\w+\.\w+)$/gm)) m.aliases.add(alias);
+      return { ...block, text };
+    });
+  });
+
+  const networkTypes = ["aws_vpc", "azurerm_virtual_network", "google_compute_network"];
+  const files = {};
+  modules.forEach((m) => {
+    const dir = `modules/${m.name}`;
+    const networks = m.blocks.filter((b) => networkTypes.includes(b.type));
+    files[`${dir}/versions.tf`] = `terraform {
+  required_providers {
+    ${providerName} = {
+${hclAttrs(
+  {
+    source: `"${providerSource}"`,
+    configuration_aliases: m.aliases.size ? `[${[...m.aliases].join(", ")}]` : null,
+  },
+  "      "
+)}
+    }
+  }
+}
+`;
+    files[`${dir}/main.tf`] = `${m.blocks.map((b) => b.text).join("\n\n")}\n`;
+    files[`${dir}/variables.tf`] = [...m.inputs]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, input]) => `variable "${name}" {\n  type = ${input.type}\n}\n`)
+      .join("\n");
+    files[`${dir}/outputs.tf`] = [
+      ...[...m.outputs].map(([name, value]) => `output "${name}" {\n  value = ${value}\n}\n`),
+      ...(networks.length
+        ? [
+            `output "network_ids" {
+  value = {
+${hclAttrs(Object.fromEntries(networks.map((b) => [b.name, `${b.type}.${b.name}.id`])), "    ")}
+  }
+}
+`,
+          ]
+        : []),
+    ].join("\n");
+  });
+
+  const moduleCall = (m) => {
+    const providers = m.aliases.size
+      ? `
+  providers = {
+${hclAttrs(
+  Object.fromEntries([[providerName, providerName], ...[...m.aliases].map((a) => [a, a])]),
+  "    "
+)}
+  }
+`
+      : "";
+    const inputs = Object.fromEntries(
+      [...m.inputs].sort(([a], [b]) => a.localeCompare(b)).map(([name, input]) => [name, input.value])
+    );
+    return `module "${m.name}" {
+  source = "./modules/${m.name}"
+${providers}${m.inputs.size ? `\n${hclAttrs(inputs)}\n` : ""}}
+`;
+  };
+
+  const networkModule = modules.find((m) => m.name === "network");
+  const requiredVars = variables.filter((v) => !/^\s+default\s*=/m.test(v.text));
+  const ciPath = CI_FILE_PATHS[order.tooling?.cicd];
+
+  files["providers.tf"] = `${[
+    providerBlock.replace("terraform {", 'terraform {\n  required_version = ">= 1.5"\n'),
+    ...rootBlocks.filter((b) => b.kind === "provider").map((b) => b.text),
+  ].join("\n\n")}\n`;
+  files["backend.tf"] = terraformBackend(obj);
+  files["variables.tf"] = `${variables.map((v) => v.text).join("\n\n")}\n`;
+  files["main.tf"] = `${[
+    ...rootBlocks.filter((b) => ["data", "resource", "locals"].includes(b.kind)).map((b) => b.text),
+    ...modules.map(moduleCall),
+  ]
+    .map((t) => t.trimEnd())
+    .join("\n\n")}\n`;
+  files["outputs.tf"] = networkModule?.blocks.some((b) => networkTypes.includes(b.type))
+    ? `output "network_ids" {\n  value = module.network.network_ids\n}\n`
+    : "";
+  // Single-line values first so they align as one group, then one block per map variable.
+  const placeholders = requiredVars.map((v) => [v.name, tfvarsPlaceholder(v.name, variableType.get(v.name), allHcl)]);
+  const scalars = placeholders.filter(([, value]) => !value.includes("\n"));
+  const blocks = placeholders.filter(([, value]) => value.includes("\n"));
+  files["terraform.tfvars"] = requiredVars.length
+    ? `${[
+        ...(scalars.length ? [hclAttrs(Object.fromEntries(scalars), "")] : []),
+        ...blocks.map(([name, value]) => `${name} = ${value}`),
+      ].join("\n\n")}\n`
+    : "# All variables have defaults; override them here if needed.\n";
+  if (ciPath) files[ciPath] = `${generateCIYAML({ ...order, tooling: { ...order.tooling, iac: "Terraform" } })}\n`;
+  Object.assign(files, generatePolicyBaselines(obj).files);
+  files["docs/dr-runbook.md"] = drRunbook(obj);
+  files["README.md"] = terraformReadme(obj, files, requiredVars, ciPath);
+  return files;
+}
+
+function terraformReadme(obj, files, requiredVars, ciPath) {
+  const order = obj?.order || {};
+  const lz = obj?.design?.landingZone || {};
+  const regions = designRegions(lz).map((r) => r.region);
+  return `# ${order.orgName || "Org"} landing zone (${obj?.design?.cloud})
+
+Generated by the Cloud Infrastructure Order Wizard.
+
+- Topology: ${lz.model} (${lz.transit})
+- Address space: ${lz.addressSpace}
+- Regions: ${regions.join(", ")}
+
+## Layout
+
+\`\`\`
+${Object.keys(files)
+  .concat("README.md")
+  .sort()
+  .join("\n")}
+\`\`\`
+
+## Usage
+
+1. Create the remote state storage referenced in \`backend.tf\` (or adjust it to an existing one).
+2. Fill in \`terraform.tfvars\`${requiredVars.length ? `: ${requiredVars.map((v) => `\`${v.name}\``).join(", ")}` : ""}.
+3. Run \`terraform init\`, \`terraform plan\` and \`terraform apply\`.
+${ciPath ? `\n${pipelineReadme(order, ciPath)}` : ""}
+## Policies
+
+\`policies/\` holds the organisation guardrails as a separate Terraform root. Apply it with an identity that may
+manage ${
+    obj?.design?.cloud === "Azure"
+      ? "subscription policy"
+      : obj?.design?.cloud === "AWS"
+      ? "AWS Organizations policies (management account)"
+      : "Organization Policy at the chosen parent"
+  }, before deploying workloads.
+
+## Disaster recovery
+
+\`docs/dr-runbook.md\` holds the failover and restore steps per component for the ${
+    DR_STRATEGIES.find((s) => s.id === obj?.design?.availability?.drStrategy)?.label
+  } strategy${obj?.design?.observability?.backup ? "; `modules/backup` creates the vault and backup plan it uses" : ""}.
+`;
+}
+
+/* ------------ DR runbook ------------ */
+// Failover to a running region and restore from backup, per component.
+const DR_COMPONENT_STEPS = {
+  "Front Door + App Service": {
+    failover:
+      "Front Door health probes drain the failed origin; disable it in the origin group so it stays out while " +
+      "degraded, and scale the remaining App Service plan to its steady-state count.",
+    restore:
+      "Redeploy the app from the release pipeline; restore an App Service backup only for content kept on the " +
+      "file system.",
+  },
+  "AKS + ACR": {
+    failover:
+      "Scale the remaining cluster's node pool to its steady-state count and apply the workloads from Git; pull " +
+      "images from a registry replica in that region, or push them again from the pipeline.",
+    restore: "Recreate the cluster with Terraform, redeploy from Git and restore persistent volumes with AKS backup.",
+  },
+  "VM Scale Set": {
+    failover: "Scale the remaining scale set to its steady-state count and confirm instances pass the health probe.",
+    restore:
+      "Rebuild instances from the image pipeline; restore data disks from the Recovery Services vault (cross-region " +
+      "restore after a region loss).",
+  },
+  "ADLS + Synapse/ADF": {
+    failover:
+      "Fail the storage account over to its secondary region (`az storage account failover`) and point the Data " +
+      "Factory linked services at it.",
+    restore:
+      "Recover files from blob soft delete or point-in-time restore; restore Synapse dedicated pools from their " +
+      "restore points.",
+  },
+  "Functions + Service Bus": {
+    failover:
+      "Fail the Service Bus geo-disaster recovery alias over to the secondary namespace and start the function " +
+      "app in that region.",
+    restore:
+      "Redeploy functions from the pipeline; messages in flight in the failed namespace are not replicated, so " +
+      "replay them from the source.",
+  },
+  "Entra ID App Registrations + Graph API": {
+    failover: "Global service, no failover; check that redirect URIs include the remaining region's hostnames.",
+    restore:
+      "Restore deleted app registrations from the Entra ID recycle bin (30 days) and rotate client secrets that " +
+      "were only stored in the lost region.",
+  },
+  "ALB + ECS/EKS": {
+    failover:
+      "Raise the remaining ECS service's desired count to its steady-state value; Route 53 health checks move " +
+      "traffic once targets pass.",
+    restore: "Redeploy the task definitions from the pipeline; rebuild images that only lived in the lost registry.",
+  },
+  "EKS + ECR": {
+    failover:
+      "Scale the remaining node group, apply the manifests from Git and let the Route 53 latency records shift " +
+      "traffic after health checks pass.",
+    restore:
+      "Recreate the cluster with Terraform, redeploy from Git and restore EBS-backed volumes from AWS Backup " +
+      "recovery points.",
+  },
+  "EC2 ASG": {
+    failover: "Raise the remaining Auto Scaling group's desired capacity and confirm targets pass health checks.",
+    restore:
+      "Instances are rebuilt from the launch template; restore EBS volumes that hold data from AWS Backup " +
+      "(`aws backup start-restore-job`).",
+  },
+  "S3 + Glue + Redshift": {
+    failover:
+      "Restore the Redshift cluster and S3 data from the recovery points copied to the remaining region's vault, " +
+      "then repoint the Glue connections.",
+    restore:
+      "Restore the cluster or single tables from a Redshift recovery point; restore S3 objects from versioning or " +
+      "AWS Backup point-in-time recovery.",
+  },
+  "Lambda + SQS/SNS": {
+    failover:
+      "Deploy the functions to the remaining region from the pipeline and switch producers to its queues and topics.",
+    restore: "Redeploy functions from the pipeline and redrive messages from the dead-letter queue once healthy.",
+  },
+  "Cloud LB + Cloud Run/App Engine": {
+    failover:
+      "The global load balancer drops the failed region's backend once health checks fail; raise the remaining " +
+      "service's minimum instances.",
+    restore:
+      "Shift traffic to the last known good revision (`gcloud run services update-traffic`) or redeploy from the " +
+      "pipeline.",
+  },
+  "GKE + Artifact Registry": {
+    failover:
+      "Scale the remaining node pool, apply the manifests from Git and let the global load balancer shift traffic " +
+      "after health checks pass.",
+    restore: "Recreate the cluster with Terraform and restore workloads and volumes with Backup for GKE.",
+  },
+  "Compute Engine MIG": {
+    failover:
+      "Resize the remaining managed instance group to its steady-state count; the global load balancer shifts " +
+      "traffic after health checks pass.",
+    restore:
+      "Instances are rebuilt from the instance template; restore data disks from the Backup and DR vault or the " +
+      "multi-region snapshots.",
+  },
+  "GCS + Dataflow + BigQuery": {
+    failover:
+      "Multi-region buckets and datasets keep serving; restart the Dataflow jobs in the remaining region from " +
+      "their last snapshot.",
+    restore:
+      "Restore objects from versioning or soft delete, and tables with BigQuery time travel " +
+      "(`FOR SYSTEM_TIME AS OF`, 7 days).",
+  },
+  "Cloud Functions + Pub/Sub": {
+    failover: "Deploy the functions to the remaining region; Pub/Sub is global, so subscriptions keep their backlog.",
+    restore: "Redeploy functions from the pipeline and replay messages with Pub/Sub seek to a snapshot or timestamp.",
+  },
+};
+
+// The database steps follow DATABASE_REPLICATION: promote the standby, or let multi-region writes carry on.
+const DR_DATABASE_STEPS = {
+  Azure: {
+    standby: "fail the auto-failover group over (`az sql failover-group set-primary`); the listener follows",
+    active: "Cosmos DB keeps accepting writes in the remaining regions; remove the failed region if it stays down",
+    restore: "restore to a point in time (`az sql db restore --time`), or geo-restore after a region loss",
+  },
+  AWS: {
+    standby: "promote the read replica (`aws rds promote-read-replica`) and update the connection secret",
+    active: "fail the Aurora global database over to a remaining region (`aws rds failover-global-cluster`)",
+    restore: "restore to a point in time (`aws rds restore-db-instance-to-point-in-time`) and swap the endpoint",
+  },
+  GCP: {
+    standby: "promote the replica (`gcloud sql instances promote-replica`) and update the connection name",
+    active: "Spanner keeps serving from the remaining replicas; watch leader placement and latency",
+    restore: "clone the instance to a point in time (`gcloud sql instances clone --point-in-time`)",
+  },
+};
+
+// How to restore from the vault the Terraform backup module creates.
+const DR_VAULT_RESTORE = {
+  Azure: (org) =>
+    `Restore VMs and disks from the \`${org}-rsv\` Recovery Services vault (\`az backup restore restore-disks\`); ` +
+    "use cross-region restore to restore into the paired region.",
+  AWS: (org) =>
+    `Start a restore job from a recovery point in \`${org}-vault\`, or from its copy in another region's vault ` +
+    "(`aws backup start-restore-job`).",
+  GCP: (org) =>
+    `Restore instances from the \`${org}-vault\` backup vault (\`gcloud backup-dr backups restore compute\`), or ` +
+    "create disks from the multi-region snapshots.",
+};
+
+/**
+ * Markdown DR runbook for the design: targets, backup policy, the failover procedure of the DR strategy, failover
+ * and restore steps per component, failback and drills.
+ */
+function drRunbook(obj) {
+  const order = obj?.order || {};
+  const design = obj?.design || {};
+  const { cloud, availability } = design;
+  const org = (order.orgName || "org").toLowerCase().replace(/\s+/g, "-");
+  const { drRtoHours, drRpoMinutes } = order.availability || {};
+  const { backup, database } = availability;
+  const { retention } = backup;
+  const strategy = DR_STRATEGIES.find((s) => s.id === availability.drStrategy);
+  const [primary, ...others] = availability.regions;
+  const multiRegion = others.length > 0;
+  const entry = GLOBAL_ENTRY[cloud];
+  const db = DR_DATABASE_STEPS[cloud];
+  const allowed = design.compliance?.requirements?.allowedRegions;
+  const candidates = (allowed || REGIONS.find((r) => r.cloud === cloud).regions).filter((r) => r !== primary.region);
+  const frameworks = (design.compliance?.frameworks || []).filter((f) => BACKUP_RETENTION_DAYS[f]);
+  const numbered = (steps) =>
+    steps
+      .filter(Boolean)
+      .map((step, i) => `${i + 1}. ${step}`)
+      .join("\n");
+
+  const copies =
+    cloud === "Azure"
+      ? "Every recovery point is replicated to the vault's Azure paired region (cross-region restore)."
+      : cloud === "AWS"
+      ? `Daily and monthly recovery points are copied to the vaults in ${backup.copyRegions.join(", ")}.`
+      : "Daily disk snapshots are kept in multi-region storage.";
+  const backupLines = design.observability?.backup
+    ? [
+        backup.intervalMinutes < 1440 &&
+          `Recovery points ${backup.frequency}, kept ${retention.recoveryPointDays} days.`,
+        `Daily recovery points kept ${retention.dailyDays} days.`,
+        retention.monthlyDays &&
+          `Monthly recovery points kept ${retention.monthlyDays} days (${frameworks.join(", ")}).`,
+        backup.pointInTimeRecovery && "Databases restore to any point in time within the daily retention.",
+        backup.copyRegions.length
+          ? copies
+          : `No cross-region copies: recovery points stay in ${primary.region} and are unavailable while it is down.`,
+        DR_VAULT_RESTORE[cloud](org),
+      ]
+    : ["Backups are off in the order: data lost with a region, or deleted by mistake, cannot be restored."];
+
+  const declare =
+    `Confirm the outage of ${multiRegion && strategy.id === "active-active" ? "the failed region" : primary.region} ` +
+    `(provider status page, health checks) and declare a disaster; the incident lead tracks the ${drRtoHours} h RTO.`;
+  const failover = {
+    "backup-restore": [
+      declare,
+      candidates.length
+        ? `Pick the recovery region: ${candidates.join(", ")}.`
+        : `Data residency allows ${primary.region} only: restore there once it is back, or agree an exception first.`,
+      "Add the recovery region to the order, regenerate the Terraform bundle and apply it there.",
+      design.observability?.backup
+        ? `Restore data from the latest recovery points (see Components); up to ${drRpoMinutes} min of changes is lost.`
+        : "Redeploy the stateless components; without backups, data has to be reloaded from its sources.",
+      "Point DNS at the recovery region's entry point and run the smoke tests.",
+    ],
+    "active-passive": [
+      declare,
+      `Fence ${primary.region}: take it out of ${entry} and stop its compute so no traffic or writes reach it.`,
+      `Database: ${db.standby}.`,
+      "Scale the standby region from its autoscale minimum to steady state (see Components).",
+      `Route traffic to ${others[0]?.region} through ${entry}, run the smoke tests and watch error rates settle.`,
+      `Announce the failover; changes from the last ${drRpoMinutes} min may be missing.`,
+    ],
+    "active-active": [
+      declare,
+      `Check that ${entry} took the failed region out of rotation; if not, remove it.`,
+      "Check that the remaining regions scale toward their autoscale maximum; raise quotas if they cannot.",
+      `Database: ${db.active}.`,
+      "Announce reduced capacity until the failed region is back.",
+    ],
+  }[strategy.id];
+  const failback = {
+    "backup-restore": [
+      `Once ${primary.region} is back, decide whether to stay in the recovery region.`,
+      "To move back, restore the recovery region's latest data into the original region in a maintenance window.",
+    ],
+    "active-passive": [
+      `Re-apply the Terraform bundle in ${primary.region} and rebuild its database as a replica of the new primary.`,
+      "When replication has caught up, switch back in a maintenance window by repeating the failover steps.",
+    ],
+    "active-active": [
+      "Re-apply the Terraform bundle in the recovered region and let the database resynchronise.",
+      `Put the region back into ${entry} and watch error rates.`,
+    ],
+  }[strategy.id];
+
+  const drills = [
+    "Every quarter, restore a recovery point of each component into an isolated environment and record the time.",
+    multiRegion && "Twice a year, run the failover procedure against the standby or a remaining region.",
+    "Regenerate this runbook from the wizard whenever the order changes.",
+  ];
+
+  const componentSection = (component) => {
+    const steps = DR_COMPONENT_STEPS[component];
+    if (!steps) return null;
+    const scale = availability.compute.find((c) => c.component === component);
+    return `### ${component}\n\n${[
+      multiRegion && `- Failover: ${steps.failover}`,
+      `- Restore: ${steps.restore}`,
+      scale && `- Capacity: ${scale.desired} ${scale.unit} at steady state, autoscaling ${scale.min}–${scale.max}.`,
+    ]
+      .filter(Boolean)
+      .join("\n")}`;
+  };
+  const components = [
+    ...design.components.map(componentSection),
+    `### Database: ${database.service}
+
+- Replication: ${database.mode}.
+${
+  strategy.id === "backup-restore" ? "" : `- Failover: ${strategy.id === "active-active" ? db.active : db.standby}.\n`
+}- Restore: ${db.restore}.`,
+    `### Landing zone network
+
+- Restore: re-apply \`modules/network\` and \`modules/security\` from the Terraform bundle; the address plan ` +
+      `(${design.landingZone?.addressSpace}) is unchanged, so peerings and on-premises routes come back as before.`,
+  ].filter(Boolean);
+
+  return `# ${order.orgName || "Org"} disaster recovery runbook (${cloud})
+
+Generated by the Cloud Infrastructure Order Wizard. Keep it with the Terraform code and rehearse it (see Drills).
+
+## Targets
+
+- RTO ${drRtoHours} h, RPO ${drRpoMinutes} min
+- SLA target ${availability.targetSla}%; composite SLA of this design ${availability.compositeSla}%
+- Strategy: ${strategy.label}
+- Regions: ${availability.regions.map((r) => `${r.region} (${r.role})`).join(", ")}
+- Contact: ${order.contactEmail || "platform-team@example.com"}
+${
+  availability.warnings.length
+    ? `\nKnown gaps:\n\n${availability.warnings.map((w) => `- ${w.message}`).join("\n")}\n`
+    : ""
+}
+## Backups
+
+${backupLines
+  .filter(Boolean)
+  .map((line) => `- ${line}`)
+  .join("\n")}
+
+## Failover
+
+${numbered(failover)}
+
+## Components
+
+${components.join("\n\n")}
+
+## Failback
+
+${numbered(failback)}
+
+## Drills
+
+${drills
+  .filter(Boolean)
+  .map((line) => `- ${line}`)
+  .join("\n")}
+`;
+}
+
+/* ------------ ZIP archive ------------ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const b of bytes) crc = CRC_TABLE[(crc ^ b) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** Builds an uncompressed (stored) ZIP archive from a { path: text } map; returns a Uint8Array. */
+function zipFiles(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const header = (size, fields) => {
+    const view = new DataView(new ArrayBuffer(size));
+    fields.forEach(([at, bytes, value]) =>
+      bytes === 4 ? view.setUint32(at, value, true) : view.setUint16(at, value, true)
+    );
+    return new Uint8Array(view.buffer);
+  };
+
+  const local = [];
+  const central = [];
+  let offset = 0;
+  Object.entries(files).forEach(([path, text]) => {
+    const name = encoder.encode(path);
+    const data = encoder.encode(text);
+    const crc = crc32(data);
+    // Local header fields start at byte 4; the central directory repeats them from byte 6.
+    const entry = (at) => [
+      [at, 2, 20],
+      [at + 2, 2, 0x0800],
+      [at + 4, 2, 0],
+      [at + 6, 2, dosTime],
+      [at + 8, 2, dosDate],
+      [at + 10, 4, crc],
+      [at + 14, 4, data.length],
+      [at + 18, 4, data.length],
+      [at + 22, 2, name.length],
+    ];
+    const localHeader = header(30, [[0, 4, 0x04034b50], ...entry(4)]);
+    local.push(localHeader, name, data);
+    central.push(header(46, [[0, 4, 0x02014b50], [4, 2, 20], ...entry(6), [42, 4, offset]]), name);
+    offset += localHeader.length + name.length + data.length;
+  });
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const count = Object.keys(files).length;
+  const end = header(22, [
+    [0, 4, 0x06054b50],
+    [8, 2, count],
+    [10, 2, count],
+    [12, 4, centralSize],
+    [16, 4, offset],
+  ]);
+
+  const parts = [...local, ...central, end];
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((at, part) => (out.set(part, at), at + part.length), 0);
+  return out;
+}
+
+/* ------------ Bicep Exporter ------------ */
+// Bicep symbolic names are identifiers, so network names are camel-cased from their Terraform ids.
+function bicepId(name) {
+  return tfId(name.toLowerCase())
+    .split("_")
+    .filter(Boolean)
+    .map((w, i) => (i === 0 ? w : w[0].toUpperCase() + w.slice(1)))
+    .join("");
+}
+
+const BICEP_PEERING_TYPE = "Microsoft.Network/virtualNetworks/virtualNetworkPeerings@2023-09-01";
+
+const azureLocation = (region) => (region || "Sweden Central").toLowerCase().replace(/\s+/g, "");
+
+function bicepSubnets(subnets, indent) {
+  const pad = " ".repeat(indent);
+  return `[
+${(subnets || [])
+  .map(
+    (s) => `${pad}  {
+${pad}    name: '${s.name}'
+${pad}    prefix: '${s.cidr}'
+${pad}  }`
+  )
+  .join("\n")}
+${pad}]`;
+}
+
+const BICEP_HUB = `@description('Hub virtual network name')
+param name string
+param location string
+param addressPrefix string
+param subnets array
+@description('DDoS protection plan to attach; empty to leave DDoS Network Protection off')
+param ddosPlanId string = ''
+param tags object = {}
+
+resource vnet 'Microsoft.Network/virtualNetworks@2023-09-01' = {
+  name: name
+  location: location
+  tags: tags
+  properties: {
+    addressSpace: {
+      addressPrefixes: [
+        addressPrefix
+      ]
+    }
+    enableDdosProtection: !empty(ddosPlanId)
+    ddosProtectionPlan: empty(ddosPlanId) ? null : {
+      id: ddosPlanId
+    }
+    subnets: [for s in subnets: {
+      name: s.name
+      properties: {
+        addressPrefix: s.prefix
+      }
+    }]
+  }
+}
+
+output id string = vnet.id
+output name string = vnet.name
+`;
+
+const BICEP_SPOKE = `@description('Spoke virtual network name')
+param name string
+param location string
+param addressPrefix string
+param subnets array
+param tags object = {}
+
+resource nsg 'Microsoft.Network/networkSecurityGroups@2023-09-01' = {
+  name: '\${name}-nsg'
+  location: location
+  tags: tags
+}
+
+resource vnet 'Microsoft.Network/virtualNetworks@2023-09-01' = {
+  name: name
+  location: location
+  tags: tags
+  properties: {
+    addressSpace: {
+      addressPrefixes: [
+        addressPrefix
+      ]
+    }
+    subnets: [for s in subnets: {
+      name: s.name
+      properties: {
+        addressPrefix: s.prefix
+        networkSecurityGroup: {
+          id: nsg.id
+        }
+      }
+    }]
+  }
+}
+
+output id string = vnet.id
+output name string = vnet.name
+`;
+
+const BICEP_KEYVAULT = `param name string
+param location string
+param publicNetworkAccess string = 'Enabled'
+@description('Log Analytics workspace for audit logs; empty to skip diagnostics')
+param workspaceId string = ''
+param tags object = {}
+
+resource kv 'Microsoft.KeyVault/vaults@2023-07-01' = {
+  name: name
+  location: location
+  tags: tags
+  properties: {
+    tenantId: subscription().tenantId
+    sku: {
+      family: 'A'
+      name: 'standard'
+    }
+    enableRbacAuthorization: true
+    enablePurgeProtection: true
+    softDeleteRetentionInDays: 90
+    publicNetworkAccess: publicNetworkAccess
+  }
+}
+
+resource audit 'Microsoft.Insights/diagnosticSettings@2021-05-01-preview' = if (!empty(workspaceId)) {
+  name: 'audit'
+  scope: kv
+  properties: {
+    workspaceId: workspaceId
+    logs: [
+      {
+        categoryGroup: 'audit'
+        enabled: true
+      }
+    ]
+  }
+}
+
+output id string = kv.id
+output uri string = kv.properties.vaultUri
+`;
+
+const BICEP_MONITORING = `param name string
+param location string
+param retentionInDays int = 30
+param enableAppInsights bool = false
+param tags object = {}
+
+resource law 'Microsoft.OperationalInsights/workspaces@2022-10-01' = {
+  name: name
+  location: location
+  tags: tags
+  properties: {
+    sku: {
+      name: 'PerGB2018'
+    }
+    retentionInDays: retentionInDays
+  }
+}
+
+resource appInsights 'Microsoft.Insights/components@2020-02-02' = if (enableAppInsights) {
+  name: '\${name}-appi'
+  location: location
+  kind: 'web'
+  tags: tags
+  properties: {
+    Application_Type: 'web'
+    WorkspaceResourceId: law.id
+  }
+}
+
+output workspaceId string = law.id
+`;
+
+/**
+ * Bicep module set for an Azure design: main.bicep wires the hub, spoke, keyvault and monitoring modules
+ * and is deployed at resource-group scope with main.bicepparam.
+ */
+function bicepFromDesign(obj) {
+  const lz = obj?.design?.landingZone;
+  if (lz?.error) return { "main.bicep": `// Bicep not generated: ${lz.error}\n` };
+  const order = obj?.order || {};
+  const org = (order.orgName || "org").toLowerCase().replace(/\s+/g, "-");
+  const monitoring = order.tooling?.monitoring || [];
+  const lawEnabled = monitoring.includes("Log Analytics");
+  const keyVaultEnabled = obj?.design?.security?.keyManagement === "Azure Key Vault";
+  const regionPlans = designRegions(lz);
+  const primaryRegion = regionPlans[0]?.region || order.regions?.[0] || "Sweden Central";
+  const hubRefs = new Map(
+    regionPlans.map((r, i) => [r.hub?.name, i === 0 ? "hub" : bicepId(`hub ${r.region}`)])
+  );
+  const ref = (name) => hubRefs.get(name) || bicepId(name);
+  const locationExpr = (region) => (region === primaryRegion ? "location" : `'${azureLocation(region)}'`);
+
+  const networkModule = (kind, net, region) => `module ${ref(net.name)} '${kind}.bicep' = {
+  name: '${ref(net.name)}'
+  params: {
+    name: '${net.name}-vnet'
+    location: ${locationExpr(region)}
+    addressPrefix: '${net.addressSpace}'
+    subnets: ${bicepSubnets(net.subnets, 4)}${kind === "hub" ? "\n    ddosPlanId: enableDdos ? ddos.id : ''" : ""}
+    tags: tags
+  }
+}
+`;
+  const networksBicep = regionPlans
+    .flatMap((r) => [
+      networkModule("hub", r.hub || {}, r.region),
+      ...r.spokes.map((sp) => networkModule("spoke", sp, r.region)),
+    ])
+    .join("\n");
+
+  const peeringBicep = (from, to) => `resource ${ref(from)}To${ref(to)[0].toUpperCase()}${ref(to).slice(1)} '${BICEP_PEERING_TYPE}' = {
+  name: '${from}-vnet/${from}-to-${to}'
+  properties: {
+    remoteVirtualNetwork: {
+      id: ${ref(to)}.outputs.id
+    }
+    allowVirtualNetworkAccess: true
+    allowForwardedTraffic: true
+    allowGatewayTransit: ${hubRefs.has(from) && !hubRefs.has(to)}
+  }
+  dependsOn: [
+    ${ref(from)}
+  ]
+}
+`;
+  const peeringsBicep = [...regionPlans.flatMap((r) => r.peerings), ...(lz?.interRegionPeerings || [])]
+    .map((p) => `${peeringBicep(p.from, p.to)}\n${peeringBicep(p.to, p.from)}`)
+    .join("\n");
+
+  const monitoringBicep = lawEnabled
+    ? `module monitoring 'monitoring.bicep' = {
+  name: 'monitoring'
+  params: {
+    name: '\${prefix}-law'
+    location: location
+    retentionInDays: logRetentionDays
+    enableAppInsights: ${monitoring.includes("App Insights")}
+    tags: tags
+  }
+}
+`
+    : "";
+  const keyVaultBicep = keyVaultEnabled
+    ? `module keyVault 'keyvault.bicep' = {
+  name: 'keyvault'
+  params: {
+    name: take('\${prefix}-kv-\${uniqueString(resourceGroup().id)}', 24)
+    location: location
+    publicNetworkAccess: '${order.security?.privateEndpoints ? "Disabled" : "Enabled"}'
+    workspaceId: ${lawEnabled ? "monitoring.outputs.workspaceId" : "''"}
+    tags: tags
+  }
+}
+`
+    : "";
+
+  const origins = lz?.globalEntry?.origins || [primaryRegion];
+  const frontDoorBicep =
+    order.workloads?.webapp || lz?.globalEntry
+      ? `resource frontDoor 'Microsoft.Cdn/profiles@2023-05-01' = {
+  name: '\${prefix}-fd'
+  location: 'global'
+  tags: tags
+  sku: {
+    name: 'Standard_AzureFrontDoor'
+  }
+}
+
+resource frontDoorEndpoint 'Microsoft.Cdn/profiles/afdEndpoints@2023-05-01' = {
+  parent: frontDoor
+  name: '\${prefix}-fe'
+  location: 'global'
+}
+
+resource originGroup 'Microsoft.Cdn/profiles/originGroups@2023-05-01' = {
+  parent: frontDoor
+  name: 'default'
+  properties: {
+    loadBalancingSettings: {
+      sampleSize: 4
+      successfulSamplesRequired: 3
+    }
+    healthProbeSettings: {
+      probePath: '/'
+      probeProtocol: 'Https'
+      probeRequestType: 'HEAD'
+      probeIntervalInSeconds: 60
+    }
+  }
+}
+
+${origins
+  .map((region) => {
+    const host = `${org}-${tfId(region.toLowerCase()).replace(/_/g, "-")}.azurewebsites.net`;
+    return `resource ${bicepId(`origin ${region}`)} 'Microsoft.Cdn/profiles/originGroups/origins@2023-05-01' = {
+  parent: originGroup
+  name: '${azureLocation(region)}'
+  properties: {
+    hostName: '${host}'
+    originHostHeader: '${host}'
+    httpPort: 80
+    httpsPort: 443
+  }
+}
+`;
+  })
+  .join("\n")}
+resource route 'Microsoft.Cdn/profiles/afdEndpoints/routes@2023-05-01' = {
+  parent: frontDoorEndpoint
+  name: 'default'
+  properties: {
+    originGroup: {
+      id: originGroup.id
+    }
+    supportedProtocols: [
+      'Http'
+      'Https'
+    ]
+    patternsToMatch: [
+      '/*'
+    ]
+    forwardingProtocol: 'HttpsOnly'
+    httpsRedirect: 'Enabled'
+  }
+  dependsOn: [
+${origins.map((region) => `    ${bicepId(`origin ${region}`)}`).join("\n")}
+  ]
+}
+`
+      : "";
+
+  const main = `targetScope = 'resourceGroup'
+
+param prefix string
+param location string = resourceGroup().location
+param tags object
+param enableDdos bool
+param logRetentionDays int
+
+resource ddos 'Microsoft.Network/ddosProtectionPlans@2023-09-01' = if (enableDdos) {
+  name: '\${prefix}-ddos'
+  location: location
+  tags: tags
+}
+
+${networksBicep}
+${peeringsBicep}
+${monitoringBicep}
+${keyVaultBicep}
+${frontDoorBicep}`;
+
+  const params = `using 'main.bicep'
+
+param prefix = '${org}'
+param location = '${azureLocation(primaryRegion)}'
+param tags = {
+  Project: '${(order.orgName || "org").replace(/'/g, "\\'")}'
+  Owner: 'Platform Team'
+}
+param enableDdos = ${!!order.security?.ddos}
+param logRetentionDays = ${Math.min(730, obj?.design?.observability?.logRetentionDays || 30)}
+`;
+
+  return {
+    "main.bicep": main.replace(/\n{3,}/g, "\n\n"),
+    "main.bicepparam": params,
+    "hub.bicep": BICEP_HUB,
+    "spoke.bicep": BICEP_SPOKE,
+    "keyvault.bicep": BICEP_KEYVAULT,
+    "monitoring.bicep": BICEP_MONITORING,
+  };
+}
+
+/* ------------ Pulumi Exporter ------------ */
+// Programs are data-driven: the network plan is embedded as a typed constant and index.ts loops over it.
+const PULUMI_PROVIDERS = {
+  Azure: { pkg: "@pulumi/azure-native", version: "^2.0.0" },
+  AWS: { pkg: "@pulumi/aws", version: "^6.0.0" },
+  GCP: { pkg: "@pulumi/gcp", version: "^7.0.0" },
+};
+
+const tsData = (value) => JSON.stringify(value, null, 2);
+
+function pulumiAzure(obj) {
+  const lz = obj?.design?.landingZone;
+  const order = obj?.order || {};
+  const regionPlans = designRegions(lz);
+  const networks = regionPlans.flatMap((r) =>
+    [r.hub || {}, ...r.spokes].map((n, i) => ({
+      key: n.name,
+      location: azureLocation(r.region),
+      addressSpace: n.addressSpace,
+      hub: i === 0,
+      subnets: (n.subnets || []).map(({ name, cidr }) => ({ name, cidr })),
+    }))
+  );
+  const peerings = [...regionPlans.flatMap((r) => r.peerings), ...(lz?.interRegionPeerings || [])].map((p) => [
+    p.from,
+    p.to,
+  ]);
+  const monitoring = order.tooling?.monitoring || [];
+
+  return `import * as pulumi from "@pulumi/pulumi";
+import * as authorization from "@pulumi/azure-native/authorization";
+import * as keyvault from "@pulumi/azure-native/keyvault";
+import * as network from "@pulumi/azure-native/network";
+import * as operationalinsights from "@pulumi/azure-native/operationalinsights";
+import * as resources from "@pulumi/azure-native/resources";
+
+const config = new pulumi.Config();
+const prefix = config.require("prefix");
+const location = new pulumi.Config("azure-native").require("location");
+const tags = { Project: prefix, ManagedBy: "pulumi" };
+
+interface Subnet {
+  name: string;
+  cidr: string;
+}
+
+interface Network {
+  key: string;
+  location: string;
+  addressSpace: string;
+  hub: boolean;
+  subnets: Subnet[];
+}
+
+const networks: Network[] = ${tsData(networks)};
+
+const peerings: [string, string][] = ${tsData(peerings)};
+
+const rg = new resources.ResourceGroup("main", { resourceGroupName: \`\${prefix}-rg\`, location, tags });
+
+const ddos = config.getBoolean("enableDdos")
+  ? new network.DdosProtectionPlan("ddos", { resourceGroupName: rg.name, location, tags })
+  : undefined;
+
+const vnets = new Map<string, network.VirtualNetwork>();
+for (const n of networks) {
+  vnets.set(
+    n.key,
+    new network.VirtualNetwork(n.key, {
+      resourceGroupName: rg.name,
+      virtualNetworkName: \`\${n.key}-vnet\`,
+      location: n.location,
+      addressSpace: { addressPrefixes: [n.addressSpace] },
+      subnets: n.subnets.map((s) => ({ name: s.name, addressPrefix: s.cidr })),
+      enableDdosProtection: n.hub && !!ddos,
+      ddosProtectionPlan: n.hub && ddos ? { id: ddos.id } : undefined,
+      tags,
+    })
+  );
+}
+
+// One peering per direction; hubs offer gateway transit to the networks that peer with them.
+const isHub = new Set(networks.filter((n) => n.hub).map((n) => n.key));
+for (const [a, b] of peerings.flatMap(([from, to]) => [[from, to], [to, from]])) {
+  new network.VirtualNetworkPeering(\`\${a}-to-\${b}\`, {
+    resourceGroupName: rg.name,
+    virtualNetworkName: vnets.get(a)!.name,
+    virtualNetworkPeeringName: \`\${a}-to-\${b}\`,
+    remoteVirtualNetwork: { id: vnets.get(b)!.id },
+    allowVirtualNetworkAccess: true,
+    allowForwardedTraffic: true,
+    allowGatewayTransit: isHub.has(a) && !isHub.has(b),
+  });
+}
+${
+  monitoring.includes("Log Analytics")
+    ? `
+const law = new operationalinsights.Workspace("law", {
+  resourceGroupName: rg.name,
+  workspaceName: \`\${prefix}-law\`,
+  location,
+  sku: { name: "PerGB2018" },
+  retentionInDays: ${Math.min(730, obj?.design?.observability?.logRetentionDays || 30)},
+  tags,
+});
+export const logAnalyticsWorkspaceId = law.id;
+`
+    : ""
+}${
+    obj?.design?.security?.keyManagement === "Azure Key Vault"
+      ? `
+const client = authorization.getClientConfigOutput();
+const vault = new keyvault.Vault("kv", {
+  resourceGroupName: rg.name,
+  location,
+  properties: {
+    tenantId: client.tenantId,
+    sku: { family: "A", name: "standard" },
+    enableRbacAuthorization: true,
+    enablePurgeProtection: true,
+    softDeleteRetentionInDays: 90,
+    publicNetworkAccess: "${order.security?.privateEndpoints ? "Disabled" : "Enabled"}",
+  },
+  tags,
+});
+export const keyVaultUri = vault.properties.vaultUri;
+`
+      : ""
+  }
+export const resourceGroupName = rg.name;
+export const vnetIds = Object.fromEntries([...vnets].map(([key, vnet]) => [key, vnet.id]));
+`;
+}
+
+function pulumiAWS(obj) {
+  const lz = obj?.design?.landingZone;
+  const order = obj?.order || {};
+  const vpc = (n, code) => ({
+    key: n.name,
+    addressSpace: n.addressSpace,
+    subnets: (n.subnets || []).map((s, i) => ({
+      name: s.name,
+      cidr: s.cidr,
+      az: `${code}${/-[ab]$/.test(s.name) ? s.name.slice(-1) : "ab"[i % 2]}`,
+      public: s.name.startsWith("public"),
+    })),
+  });
+  const regions = designRegions(lz).map((r, i) => {
+    const code = awsRegionCode(r.region || order.regions?.[0]);
+    return {
+      code,
+      addressSpace: i === 0 ? lz?.regionAddressSpace || lz?.addressSpace : r.addressSpace,
+      hub: vpc(r.hub || {}, code),
+      spokes: r.spokes.map((sp) => vpc(sp, code)),
+    };
+  });
+  const codeByHub = new Map(designRegions(lz).map((r, i) => [r.hub?.name, regions[i].code]));
+  const interRegion = (lz?.interRegionPeerings || []).map((p) => [codeByHub.get(p.from), codeByHub.get(p.to)]);
+  const security = obj?.design?.security || {};
+
+  return `import * as pulumi from "@pulumi/pulumi";
+import * as aws from "@pulumi/aws";
+
+const config = new pulumi.Config();
+const prefix = config.require("prefix");
+const defaultTags = { tags: { Project: prefix, ManagedBy: "pulumi" } };
+
+interface Subnet {
+  name: string;
+  cidr: string;
+  az: string;
+  public: boolean;
+}
+
+interface Vpc {
+  key: string;
+  addressSpace: string;
+  subnets: Subnet[];
+}
+
+interface Region {
+  code: string;
+  addressSpace: string;
+  hub: Vpc;
+  spokes: Vpc[];
+}
+
+const model = "${lz?.model}" as "hub-spoke" | "mesh" | "flat";
+const landingZoneCidr = "${lz?.addressSpace}";
+const regions: Region[] = ${tsData(regions)};
+
+const interRegion: [string, string][] = ${tsData(interRegion)};
+
+interface Deployed {
+  provider: aws.Provider;
+  privateRouteTable: aws.ec2.RouteTable;
+  tgw?: aws.ec2transitgateway.TransitGateway;
+  tgwRouteTables: aws.ec2transitgateway.RouteTable[];
+  hubVpc: aws.ec2.Vpc;
+}
+
+function createVpc(v: Vpc, provider: aws.Provider) {
+  const vpc = new aws.ec2.Vpc(v.key, {
+    cidrBlock: v.addressSpace,
+    enableDnsSupport: true,
+    enableDnsHostnames: true,
+    tags: { Name: v.key },
+  }, { provider });
+  const subnets = v.subnets.map(
+    (s) =>
+      new aws.ec2.Subnet(\`\${v.key}-\${s.name}\`, {
+        vpcId: vpc.id,
+        cidrBlock: s.cidr,
+        availabilityZone: s.az,
+        mapPublicIpOnLaunch: s.public,
+        tags: { Name: \`\${v.key}-\${s.name}\` },
+      }, { provider })
+  );
+  return { vpc, subnets };
+}
+
+function deployRegion(r: Region): Deployed {
+  const provider = new aws.Provider(r.code, { region: r.code as aws.Region, defaultTags });
+  const hub = createVpc(r.hub, provider);
+  const publicSubnets = hub.subnets.filter((_, i) => r.hub.subnets[i].public);
+  const privateSubnets = hub.subnets.filter((_, i) => !r.hub.subnets[i].public);
+
+  const igw = new aws.ec2.InternetGateway(\`\${r.code}-igw\`, { vpcId: hub.vpc.id }, { provider });
+  const publicRouteTable = new aws.ec2.RouteTable(\`\${r.code}-public\`, {
+    vpcId: hub.vpc.id,
+    routes: [{ cidrBlock: "0.0.0.0/0", gatewayId: igw.id }],
+  }, { provider });
+  publicSubnets.forEach(
+    (s, i) =>
+      new aws.ec2.RouteTableAssociation(\`\${r.code}-public-\${i}\`, {
+        subnetId: s.id,
+        routeTableId: publicRouteTable.id,
+      }, { provider })
+  );
+
+  const privateRouteTable = new aws.ec2.RouteTable(\`\${r.code}-private\`, { vpcId: hub.vpc.id }, { provider });
+  if (publicSubnets.length) {
+    const eip = new aws.ec2.Eip(\`\${r.code}-nat\`, { domain: "vpc" }, { provider });
+    const nat = new aws.ec2.NatGateway(\`\${r.code}-nat\`, {
+      allocationId: eip.id,
+      subnetId: publicSubnets[0].id,
+    }, { provider });
+    new aws.ec2.Route(\`\${r.code}-private-default\`, {
+      routeTableId: privateRouteTable.id,
+      destinationCidrBlock: "0.0.0.0/0",
+      natGatewayId: nat.id,
+    }, { provider });
+  }
+  privateSubnets.forEach(
+    (s, i) =>
+      new aws.ec2.RouteTableAssociation(\`\${r.code}-private-\${i}\`, {
+        subnetId: s.id,
+        routeTableId: privateRouteTable.id,
+      }, { provider })
+  );
+
+  if (model === "flat") return { provider, privateRouteTable, tgwRouteTables: [], hubVpc: hub.vpc };
+
+  // Mesh uses the transit gateway's default table; hub-spoke isolates spokes so they only reach the hub.
+  const mesh = model === "mesh";
+  const tgw = new aws.ec2transitgateway.TransitGateway(\`\${r.code}-tgw\`, {
+    description: \`\${prefix} \${r.code} transit\`,
+    defaultRouteTableAssociation: mesh ? "enable" : "disable",
+    defaultRouteTablePropagation: mesh ? "enable" : "disable",
+  }, { provider });
+  const hubAttachment = new aws.ec2transitgateway.VpcAttachment(\`\${r.code}-hub\`, {
+    transitGatewayId: tgw.id,
+    vpcId: hub.vpc.id,
+    subnetIds: privateSubnets.map((s) => s.id),
+  }, { provider });
+  new aws.ec2.Route(\`\${r.code}-private-lz\`, {
+    routeTableId: privateRouteTable.id,
+    destinationCidrBlock: landingZoneCidr,
+    transitGatewayId: tgw.id,
+  }, { provider, dependsOn: [hubAttachment] });
+
+  const spokeAttachments = r.spokes.map((sp) => {
+    const spoke = createVpc(sp, provider);
+    const attachment = new aws.ec2transitgateway.VpcAttachment(sp.key, {
+      transitGatewayId: tgw.id,
+      vpcId: spoke.vpc.id,
+      subnetIds: [spoke.subnets[0].id],
+    }, { provider });
+    new aws.ec2.Route(\`\${sp.key}-default\`, {
+      routeTableId: spoke.vpc.mainRouteTableId,
+      destinationCidrBlock: "0.0.0.0/0",
+      transitGatewayId: tgw.id,
+    }, { provider, dependsOn: [attachment] });
+    return attachment;
+  });
+
+  if (mesh) {
+    const defaultTable = aws.ec2transitgateway.RouteTable.get(
+      \`\${r.code}-default\`,
+      tgw.associationDefaultRouteTableId,
+      undefined,
+      { provider }
+    );
+    new aws.ec2transitgateway.Route(\`\${r.code}-default-egress\`, {
+      transitGatewayRouteTableId: defaultTable.id,
+      destinationCidrBlock: "0.0.0.0/0",
+      transitGatewayAttachmentId: hubAttachment.id,
+    }, { provider });
+    return { provider, privateRouteTable, tgw, tgwRouteTables: [defaultTable], hubVpc: hub.vpc };
+  }
+
+  const tgwTable = (name: string) =>
+    new aws.ec2transitgateway.RouteTable(\`\${r.code}-\${name}\`, { transitGatewayId: tgw.id }, { provider });
+  const hubTable = tgwTable("hub");
+  const spokesTable = tgwTable("spokes");
+  new aws.ec2transitgateway.RouteTableAssociation(\`\${r.code}-hub\`, {
+    transitGatewayAttachmentId: hubAttachment.id,
+    transitGatewayRouteTableId: hubTable.id,
+  }, { provider });
+  new aws.ec2transitgateway.RouteTablePropagation(\`\${r.code}-hub-to-spokes\`, {
+    transitGatewayAttachmentId: hubAttachment.id,
+    transitGatewayRouteTableId: spokesTable.id,
+  }, { provider });
+  new aws.ec2transitgateway.Route(\`\${r.code}-spokes-default\`, {
+    transitGatewayRouteTableId: spokesTable.id,
+    destinationCidrBlock: "0.0.0.0/0",
+    transitGatewayAttachmentId: hubAttachment.id,
+  }, { provider });
+  spokeAttachments.forEach((attachment, i) => {
+    new aws.ec2transitgateway.RouteTableAssociation(\`\${r.spokes[i].key}-spokes\`, {
+      transitGatewayAttachmentId: attachment.id,
+      transitGatewayRouteTableId: spokesTable.id,
+    }, { provider });
+    new aws.ec2transitgateway.RouteTablePropagation(\`\${r.spokes[i].key}-to-hub\`, {
+      transitGatewayAttachmentId: attachment.id,
+      transitGatewayRouteTableId: hubTable.id,
+    }, { provider });
+  });
+  return { provider, privateRouteTable, tgw, tgwRouteTables: [hubTable, spokesTable], hubVpc: hub.vpc };
+}
+
+const deployed = new Map(regions.map((r) => [r.code, deployRegion(r)]));
+const cidrOf = new Map(regions.map((r) => [r.code, r.addressSpace]));
+
+// Regions are joined hub to hub: VPC peering for a flat design, transit gateway peering otherwise.
+for (const [a, b] of interRegion) {
+  const left = deployed.get(a)!;
+  const right = deployed.get(b)!;
+  if (model === "flat") {
+    const peering = new aws.ec2.VpcPeeringConnection(\`\${a}-to-\${b}\`, {
+      vpcId: left.hubVpc.id,
+      peerVpcId: right.hubVpc.id,
+      peerRegion: b,
+    }, { provider: left.provider });
+    new aws.ec2.VpcPeeringConnectionAccepter(\`\${b}-accepts-\${a}\`, {
+      vpcPeeringConnectionId: peering.id,
+      autoAccept: true,
+    }, { provider: right.provider });
+    new aws.ec2.Route(\`\${a}-to-\${b}\`, {
+      routeTableId: left.privateRouteTable.id,
+      destinationCidrBlock: cidrOf.get(b)!,
+      vpcPeeringConnectionId: peering.id,
+    }, { provider: left.provider });
+    new aws.ec2.Route(\`\${b}-to-\${a}\`, {
+      routeTableId: right.privateRouteTable.id,
+      destinationCidrBlock: cidrOf.get(a)!,
+      vpcPeeringConnectionId: peering.id,
+    }, { provider: right.provider });
+    continue;
+  }
+  const peering = new aws.ec2transitgateway.PeeringAttachment(\`\${a}-to-\${b}\`, {
+    transitGatewayId: left.tgw!.id,
+    peerTransitGatewayId: right.tgw!.id,
+    peerRegion: b,
+  }, { provider: left.provider });
+  const accepter = new aws.ec2transitgateway.PeeringAttachmentAccepter(\`\${b}-accepts-\${a}\`, {
+    transitGatewayAttachmentId: peering.id,
+  }, { provider: right.provider });
+  left.tgwRouteTables.forEach((table, i) =>
+    new aws.ec2transitgateway.Route(\`\${a}-to-\${b}-\${i}\`, {
+      transitGatewayRouteTableId: table.id,
+      destinationCidrBlock: cidrOf.get(b)!,
+      transitGatewayAttachmentId: peering.id,
+    }, { provider: left.provider, dependsOn: [accepter] })
+  );
+  right.tgwRouteTables.forEach((table, i) =>
+    new aws.ec2transitgateway.Route(\`\${b}-to-\${a}-\${i}\`, {
+      transitGatewayRouteTableId: table.id,
+      destinationCidrBlock: cidrOf.get(a)!,
+      transitGatewayAttachmentId: peering.id,
+    }, { provider: right.provider, dependsOn: [accepter] })
+  );
+}
+${
+  security.keyManagement === "AWS KMS"
+    ? `
+const key = new aws.kms.Key("main", {
+  description: \`\${prefix} landing zone CMK\`,
+  enableKeyRotation: true,
+  deletionWindowInDays: 30,
+}, { provider: deployed.get(regions[0].code)!.provider });
+export const kmsKeyArn = key.arn;
+`
+    : ""
+}${
+    security.defender === "GuardDuty + Security Hub"
+      ? `
+for (const [code, { provider }] of deployed) {
+  new aws.guardduty.Detector(\`\${code}-guardduty\`, { enable: true }, { provider });
+  new aws.securityhub.Account(\`\${code}-securityhub\`, {}, { provider });
+}
+`
+      : ""
+  }
+export const vpcIds = Object.fromEntries([...deployed].map(([code, d]) => [code, d.hubVpc.id]));
+`;
+}
+
+function pulumiGCP(obj, org) {
+  const lz = obj?.design?.landingZone;
+  const order = obj?.order || {};
+  const gcpRegion = (label) => (label || "europe-north1").split(" ")[0];
+  const networks = designRegions(lz).flatMap((r, i) => {
+    const region = gcpRegion(r.region || order.regions?.[0]);
+    return [r.hub || {}, ...r.spokes].map((n, j) => ({
+      key: n.name,
+      name: j > 0 ? n.name.replace(/[^a-z0-9-]/g, "") : i === 0 ? `${org}-vpc` : `${org}-vpc-${region}`,
+      region,
+      subnets: (n.subnets || []).map(({ name, cidr }) => ({ name, cidr })),
+    }));
+  });
+  const peerings = [
+    ...(lz?.model === "hub-spoke" ? designRegions(lz).flatMap((r) => r.peerings) : []),
+    ...(lz?.model === "mesh" ? [] : lz?.interRegionPeerings || []),
+  ].map((p) => [p.from, p.to]);
+
+  return `import * as pulumi from "@pulumi/pulumi";
+import * as gcp from "@pulumi/gcp";
+
+const config = new pulumi.Config();
+const prefix = config.require("prefix");
+const hostProject = new pulumi.Config("gcp").require("project");
+
+interface Subnet {
+  name: string;
+  cidr: string;
+}
+
+interface Network {
+  key: string;
+  name: string;
+  region: string;
+  subnets: Subnet[];
+}
+
+const model = "${lz?.model}" as "hub-spoke" | "mesh" | "flat";
+const landingZoneCidr = "${lz?.addressSpace}";
+const networks: Network[] = ${tsData(networks)};
+
+const peerings: [string, string][] = ${tsData(peerings)};
+
+new gcp.compute.SharedVPCHostProject("host", { project: hostProject });
+
+const vpcs = new Map<string, gcp.compute.Network>();
+for (const n of networks) {
+  const vpc = new gcp.compute.Network(n.key, { name: n.name, autoCreateSubnetworks: false });
+  vpcs.set(n.key, vpc);
+  n.subnets.forEach(
+    (s) =>
+      new gcp.compute.Subnetwork(\`\${n.key}-\${s.name}\`, {
+        name: \`\${n.name}-\${s.name}\`,
+        ipCidrRange: s.cidr,
+        region: n.region,
+        network: vpc.id,
+        privateIpGoogleAccess: true,
+      })
+  );
+  const router = new gcp.compute.Router(\`\${n.key}-router\`, {
+    name: \`\${n.name}-router\`,
+    region: n.region,
+    network: vpc.id,
+  });
+  new gcp.compute.RouterNat(\`\${n.key}-nat\`, {
+    name: \`\${n.name}-nat\`,
+    router: router.name,
+    region: n.region,
+    natIpAllocateOption: "AUTO_ONLY",
+    sourceSubnetworkIpRangesToNat: "ALL_SUBNETWORKS_ALL_IP_RANGES",
+  });
+  new gcp.compute.Firewall(\`\${n.key}-allow-internal\`, {
+    name: \`\${n.name}-allow-internal\`,
+    network: vpc.id,
+    sourceRanges: [landingZoneCidr],
+    allows: [{ protocol: "all" }],
+  });
+  new gcp.compute.Firewall(\`\${n.key}-allow-iap\`, {
+    name: \`\${n.name}-allow-iap\`,
+    network: vpc.id,
+    sourceRanges: ["35.235.240.0/20"],
+    allows: [{ protocol: "tcp", ports: ["22", "3389"] }],
+  });
+}
+
+// Mesh joins every network through a Network Connectivity Center hub; the other models use VPC peering.
+if (model === "mesh") {
+  const hub = new gcp.networkconnectivity.Hub("mesh", { name: \`\${prefix}-ncc-hub\` });
+  for (const [key, vpc] of vpcs) {
+    new gcp.networkconnectivity.Spoke(key, {
+      name: \`\${key}-spoke\`,
+      location: "global",
+      hub: hub.id,
+      linkedVpcNetwork: { uri: vpc.selfLink },
+    });
+  }
+}
+for (const [a, b] of peerings.flatMap(([from, to]) => [[from, to], [to, from]])) {
+  new gcp.compute.NetworkPeering(\`\${a}-to-\${b}\`, {
+    network: vpcs.get(a)!.selfLink,
+    peerNetwork: vpcs.get(b)!.selfLink,
+    exportCustomRoutes: true,
+    importCustomRoutes: true,
+  });
+}
+${
+  obj?.design?.security?.keyManagement === "Cloud KMS"
+    ? `
+const keyRing = new gcp.kms.KeyRing("main", { name: \`\${prefix}-keyring\`, location: networks[0].region });
+const key = new gcp.kms.CryptoKey("main", {
+  name: \`\${prefix}-cmek\`,
+  keyRing: keyRing.id,
+  rotationPeriod: "7776000s",
+});
+export const cmekKeyId = key.id;
+`
+    : ""
+}
+export const networkIds = Object.fromEntries([...vpcs].map(([key, vpc]) => [key, vpc.id]));
+`;
+}
+
+/** Pulumi TypeScript project (Pulumi.yaml, index.ts, package.json and a dev stack config) for any cloud. */
+function pulumiFromDesign(obj) {
+  const lz = obj?.design?.landingZone;
+  if (lz?.error) return { "index.ts": `// Pulumi program not generated: ${lz.error}\n` };
+  const cloud = obj?.design?.cloud;
+  const org = (obj?.order?.orgName || "org").toLowerCase().replace(/\s+/g, "-");
+  const project = `${org}-landing-zone`;
+  const provider = PULUMI_PROVIDERS[cloud] || PULUMI_PROVIDERS.Azure;
+  const program = cloud === "AWS" ? pulumiAWS : cloud === "GCP" ? pulumiGCP : pulumiAzure;
+  const primary = designRegions(lz)[0]?.region;
+  const stackConfig = {
+    Azure: { "azure-native:location": azureLocation(primary) },
+    AWS: { "aws:region": awsRegionCode(primary) },
+    GCP: { "gcp:project": "<host-project-id>", "gcp:region": (primary || "europe-north1").split(" ")[0] },
+  }[cloud] || {};
+  if (cloud === "Azure") stackConfig[`${project}:enableDdos`] = String(!!obj?.order?.security?.ddos);
+
+  return {
+    "Pulumi.yaml": `name: ${project}
+runtime:
+  name: nodejs
+  options:
+    typescript: true
+description: ${cloud} landing zone generated by the Cloud Infrastructure Order Wizard
+`,
+    "Pulumi.dev.yaml": `config:
+  ${project}:prefix: ${org}
+${Object.entries(stackConfig)
+  .map(([k, v]) => `  ${k}: ${/^[\w-]+$/.test(v) ? v : `"${v}"`}`)
+  .join("\n")}
+`,
+    "package.json": `${JSON.stringify(
+      {
+        name: project,
+        main: "index.ts",
+        devDependencies: { "@types/node": "^20.0.0", typescript: "^5.0.0" },
+        dependencies: { "@pulumi/pulumi": "^3.0.0", [provider.pkg]: provider.version },
+      },
+      null,
+      2
+    )}\n`,
+    "index.ts": program(obj, org),
+  };
+}
+
+/* ------------ IaC export ------------ */
+// Bicep only targets Azure; every other cloud falls back to Terraform.
+function effectiveIacTool(cloud, tool = "Terraform") {
+  return tool === "Bicep" && cloud !== "Azure" ? "Terraform" : tool;
+}
+
+// The files to download for the selected IaC tool; tools without an exporter for the cloud fall back to Terraform.
+// Bicep and Pulumi projects carry their own CI pipeline; the Terraform bundle adds one to its repository layout.
+function iacExport(obj) {
+  const order = obj?.order || {};
+  const tool = order.tooling?.iac || "Terraform";
+  const ciPath = CI_FILE_PATHS[order.tooling?.cicd];
+  const withPipeline = (files) => (ciPath ? { ...files, [ciPath]: `${generateCIYAML(order)}\n` } : files);
+  if (tool === "Bicep" && obj?.design?.cloud === "Azure") return { tool, files: withPipeline(bicepFromDesign(obj)) };
+  if (tool === "Pulumi") return { tool, files: withPipeline(pulumiFromDesign(obj)) };
+  return {
+    tool: "Terraform",
+    files: { "main.tf": terraformFromDesign(obj) },
+    note: tool !== "Terraform" ? `${tool} export is not available for ${obj?.design?.cloud}; showing Terraform.` : "",
+  };
+}
+
+/* ------------ Topology diagram ------------ */
+const DIAGRAM_LEGENDS = {
+  "hub-spoke": "Legend: Hub/VPC with spokes + peering/TGW",
+  mesh: "Legend: Full mesh — every network peers with every other (peering/TGW/NCC)",
+  flat: "Legend: Single VNet/VPC with segmented subnets",
+};
+
+const LAYOUT = {
+  margin: 24,
+  gap: 64, // between columns, and room for edges that bend around boxes
+  rowGap: 20,
+  netWidth: 280,
+  netHeader: 46,
+  subnetHeight: 24,
+  chipHeight: 18,
+  serviceHeight: 18,
+  regionHeader: 34,
+  regionPad: 16,
+  maxRows: 4, // spokes per column before a new column starts
+  boxWidth: 190,
+  boxHeight: 60,
+  legendHeight: 56,
+};
+
+const DEDICATED_LINKS = { Azure: "ExpressRoute", AWS: "Direct Connect", GCP: "Cloud Interconnect" };
+
+function onPremLinkLabel(cloud, connectivity) {
+  if (["expressroute", "direct-connect", "Direct Connect"].includes(connectivity)) return DEDICATED_LINKS[cloud];
+  if (connectivity === "vpn-client-only") return "Point-to-site VPN (clients)";
+  return "Site-to-site VPN";
+}
+
+// Workloads land in the primary region's first workload spoke (the single network when flat), as in the exporters.
+function componentPlacement(design) {
+  const lz = design.landingZone;
+  const target = lz.spokes.find((sp) => !sp.cde) || lz.hub;
+  const names = new Set((target?.subnets || []).map((sn) => sn.name));
+  const bySubnet = {};
+  const tenant = [];
+  WORKLOADS.forEach((w) => {
+    const entry = WORKLOAD_COMPONENTS[w.key];
+    const label = entry[design.cloud];
+    if (!label || !design.components.includes(label)) return;
+    const subnet = entry.subnets.find((n) => names.has(n));
+    if (subnet) (bySubnet[subnet] ||= []).push(label);
+    else tenant.push(label);
+  });
+  return { network: target?.name, bySubnet, tenant };
+}
+
+// A network box with its subnets stacked inside and workload components as chips in their subnet.
+function layoutNetwork(net, role, x, y, components, parent) {
+  const L = LAYOUT;
+  const nodes = [];
+  let cursor = y + L.netHeader;
+  (net.subnets || []).forEach((sn) => {
+    const chips = components?.[sn.name] || [];
+    const h = L.subnetHeight + chips.length * (L.chipHeight + 4);
+    const id = `${net.name}/${sn.name}`;
+    nodes.push({
+      id,
+      kind: "subnet",
+      parent: net.name,
+      x: x + 10,
+      y: cursor,
+      w: L.netWidth - 20,
+      h,
+      label: sn.name,
+      sublabel: sn.cidr,
+      details: [`Subnet of ${net.name}`, ...chips.map((c) => `Hosts ${c}`)],
+    });
+    chips.forEach((c, k) =>
+      nodes.push({
+        id: `${id}/${c}`,
+        kind: "component",
+        parent: id,
+        x: x + 18,
+        y: cursor + L.subnetHeight + k * (L.chipHeight + 4),
+        w: L.netWidth - 36,
+        h: L.chipHeight,
+        label: c,
+        details: [`Workload component in subnet ${sn.name} (${sn.cidr})`],
+      })
+    );
+    cursor += h + 6;
+  });
+  const services = role === "hub" ? net.services || [] : [];
+  const h = cursor - y + services.length * L.serviceHeight + 8;
+  const details = [
+    `Address space ${net.addressSpace || "not allocated"}`,
+    `${(net.subnets || []).length} subnet(s)`,
+    ...services.map((sv) => `Service: ${sv}`),
+    net.cde ? `Cardholder data environment; reachable from ${net.cde.allowedSources.join(", ")}` : null,
+    net.privateEndpoints ? "Private endpoints for PaaS" : null,
+  ].filter(Boolean);
+  return {
+    height: h,
+    nodes: [
+      {
+        id: net.name,
+        kind: "network",
+        parent,
+        role,
+        cde: Boolean(net.cde),
+        x,
+        y,
+        w: L.netWidth,
+        h,
+        label: net.name,
+        sublabel: net.addressSpace,
+        services,
+        details,
+      },
+      ...nodes,
+    ],
+  };
+}
+
+// Hub in the first column, spokes filling further columns of at most LAYOUT.maxRows.
+function layoutRegion(plan, model, x, y, placement) {
+  const L = LAYOUT;
+  const components = (net) => (net.name === placement.network ? placement.bySubnet : null);
+  const id = `region:${plan.region}`;
+  const innerX = x + L.regionPad;
+  const innerY = y + L.regionHeader;
+  const role = model === "flat" ? "network" : "hub";
+  const hub = layoutNetwork(plan.hub, role, innerX, innerY, components(plan.hub), id);
+  const nodes = [...hub.nodes];
+  const columnBottoms = [];
+  plan.spokes.forEach((sp, i) => {
+    const col = Math.floor(i / L.maxRows);
+    const sx = innerX + (L.netWidth + L.gap) * (col + 1);
+    const sy = columnBottoms[col] ?? innerY;
+    const spoke = layoutNetwork(sp, "spoke", sx, sy, components(sp), id);
+    nodes.push(...spoke.nodes);
+    columnBottoms[col] = sy + spoke.height + L.rowGap;
+  });
+  const columns = 1 + columnBottoms.length;
+  const bottom = Math.max(innerY + hub.height, ...columnBottoms.map((b) => b - L.rowGap));
+  const w = 2 * L.regionPad + columns * L.netWidth + (columns - 1) * L.gap;
+  const h = bottom - y + L.regionPad;
+  const region = {
+    id,
+    kind: "region",
+    x,
+    y,
+    w,
+    h,
+    label: plan.region,
+    sublabel: plan.addressSpace,
+    details: [`${1 + plan.spokes.length} network(s)`, `${plan.peerings.length} peering(s)`],
+  };
+  return { region, nodes };
+}
+
+/**
+ * SVG path for an edge. "horizontal" joins facing sides (or bends right around boxes in the same column),
+ * "left" bends around the left edge (inter-region links), "vertical" drops from the bottom of `a` to the top of `b`.
+ */
+function edgePath(a, b, route, bend = 0) {
+  const ay = a.y + 23;
+  const by = b.y + 23;
+  if (route === "vertical") {
+    const x1 = a.x + a.w / 2;
+    const x2 = b.x + 40;
+    const mid = (a.y + a.h + b.y) / 2;
+    return `M ${x1} ${a.y + a.h} C ${x1} ${mid}, ${x2} ${mid}, ${x2} ${b.y}`;
+  }
+  if (route === "left") {
+    const x = Math.min(a.x, b.x) - 20 - 8 * bend;
+    return `M ${a.x} ${ay} C ${x} ${ay}, ${x} ${by}, ${b.x} ${by}`;
+  }
+  const [l, r, ly, ry] = a.x <= b.x ? [a, b, ay, by] : [b, a, by, ay];
+  if (l.x + l.w < r.x) {
+    const mid = (l.x + l.w + r.x) / 2;
+    return `M ${l.x + l.w} ${ly} C ${mid} ${ly}, ${mid} ${ry}, ${r.x} ${ry}`;
+  }
+  const x = Math.max(a.x + a.w, b.x + b.w) + 16 + 6 * bend;
+  return `M ${a.x + a.w} ${ay} C ${x} ${ay}, ${x} ${by}, ${b.x + b.w} ${by}`;
+}
+
+/**
+ * Positions every region, network, subnet, component and external endpoint of a design and routes the links
+ * between them. Returns `{ width, height, nodes, edges, legend }`; nodes are boxes in SVG user units whose
+ * `parent` is the id of the enclosing box (region, network or subnet), when there is one.
+ */
+function diagramLayout(obj) {
+  const L = LAYOUT;
+  const design = obj?.design;
+  const lz = design?.landingZone;
+  const plans = designRegions(lz)
+    .filter((p) => p.hub)
+    .map((p, i) => (i === 0 ? { ...p, addressSpace: lz.regionAddressSpace } : p));
+  const placement = design ? componentPlacement(design) : { bySubnet: {}, tenant: [] };
+  const onPrem = lz?.connectivity && lz.connectivity !== "none";
+  const framed = plans.length > 1;
+  const top = lz?.globalEntry || placement.tenant.length ? L.margin + L.boxHeight + L.gap : L.margin;
+  const regionsX = L.margin + (onPrem ? L.boxWidth + L.gap : 0) + (framed ? L.gap / 2 : 0);
+
+  const nodes = [];
+  let y = top;
+  plans.forEach((plan) => {
+    const { region, nodes: inner } = layoutRegion(plan, lz.model, regionsX, y, placement);
+    if (framed) nodes.push(region);
+    nodes.push(...inner);
+    y += region.h + L.rowGap;
+  });
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const hubs = plans.map((p) => byId.get(p.hub.name));
+
+  let boxX = regionsX;
+  if (lz?.globalEntry) {
+    nodes.push({
+      id: "global-entry",
+      kind: "global",
+      x: boxX,
+      y: L.margin,
+      w: L.boxWidth,
+      h: L.boxHeight,
+      label: lz.globalEntry.service,
+      sublabel: "Global entry point",
+      details: lz.globalEntry.origins.map((o) => `Origin: ${o}`),
+    });
+    boxX += L.boxWidth + L.gap;
+  }
+  if (placement.tenant.length)
+    nodes.push({
+      id: "tenant",
+      kind: "tenant",
+      x: boxX,
+      y: L.margin,
+      w: L.boxWidth + 80,
+      h: L.boxHeight,
+      label: "Tenant services",
+      sublabel: placement.tenant.join(", "),
+      details: placement.tenant.map((c) => `${c} (no network placement)`),
+    });
+  if (onPrem && hubs[0])
+    nodes.push({
+      id: "on-prem",
+      kind: "onprem",
+      x: L.margin,
+      y: hubs[0].y,
+      w: L.boxWidth,
+      h: L.boxHeight,
+      label: "On-premises",
+      sublabel: onPremLinkLabel(design.cloud, lz.connectivity),
+      details: [`${onPremLinkLabel(design.cloud, lz.connectivity)} into ${hubs[0].label}`],
+    });
+  nodes.forEach((n) => byId.set(n.id, n));
+
+  const bends = new Map();
+  const edges = [];
+  const link = (from, to, kind, route, label) => {
+    const a = byId.get(from);
+    const b = byId.get(to);
+    if (!a || !b) return;
+    const bend = bends.get(`${route}:${from}`) || 0;
+    bends.set(`${route}:${from}`, bend + 1);
+    edges.push({ id: `${kind}:${from}->${to}`, kind, from, to, label, d: edgePath(a, b, route, bend) });
+  };
+  plans.forEach((p) => p.peerings.forEach(({ from, to }) => link(from, to, "peering", "horizontal")));
+  (lz?.interRegionPeerings || []).forEach(({ from, to }) => link(from, to, "global-peering", "left"));
+  if (lz?.globalEntry) hubs.forEach((h) => link("global-entry", h.id, "entry", "vertical"));
+  if (byId.has("on-prem")) link("on-prem", hubs[0].id, "onprem", "horizontal", byId.get("on-prem").sublabel);
+
+  const right = Math.max(L.margin + 600, ...nodes.map((n) => n.x + n.w)) + L.margin + L.gap / 2;
+  const bottom = Math.max(top + 200, ...nodes.map((n) => n.y + n.h)) + L.margin;
+  const legend = [
+    DIAGRAM_LEGENDS[lz?.model] || DIAGRAM_LEGENDS["hub-spoke"],
+    framed ? "Regions linked by global peering" : null,
+    "Chips: workload components in their subnet",
+    onPrem ? "Solid line: on-prem link" : null,
+  ]
+    .filter(Boolean)
+    .join(" • ");
+  return { width: right, height: bottom + L.legendHeight, nodes, edges, legend };
+}
+
+const NODE_STYLES = {
+  region: { fill: "none", stroke: "#a5b4fc", dash: "6 4" },
+  network: { fill: "#ffffff", stroke: "#cbd5e1" },
+  subnet: { fill: "#f8fafc", stroke: "#e2e8f0" },
+  component: { fill: "#e0e7ff", stroke: "#a5b4fc" },
+  global: { fill: "#eef2ff", stroke: "#6366f1" },
+  tenant: { fill: "#f5f3ff", stroke: "#a78bfa" },
+  onprem: { fill: "#fefce8", stroke: "#ca8a04" },
+};
+
+const EDGE_STYLES = {
+  peering: { stroke: "#94a3b8", dash: "4 4" },
+  "global-peering": { stroke: "#6366f1", dash: "6 3" },
+  entry: { stroke: "#6366f1", dash: "2 4" },
+  onprem: { stroke: "#ca8a04" },
+};
+
+function DiagramNode({ node, onHover }) {
+  const style = NODE_STYLES[node.kind];
+  const stroke = node.cde ? "#dc2626" : style.stroke;
+  const events = { onMouseEnter: () => onHover(node), onMouseLeave: () => onHover(null) };
+  if (node.kind === "region")
+    return (
+      <g {...events}>
+        <rect
+          x={node.x}
+          y={node.y}
+          width={node.w}
+          height={node.h}
+          rx={14}
+          fill="none"
+          stroke={stroke}
+          strokeDasharray={style.dash}
+        />
+        <text x={node.x + 14} y={node.y + 22} fontSize="12" fontWeight="600" fill="#4f46e5">
+          REGION: {node.label} {node.sublabel ? `(${node.sublabel})` : ""}
+        </text>
+      </g>
+    );
+  if (node.kind === "subnet" || node.kind === "component")
+    return (
+      <g {...events}>
+        <rect x={node.x} y={node.y} width={node.w} height={node.h} rx={6} fill={style.fill} stroke={stroke} />
+        <text x={node.x + 8} y={node.y + (node.kind === "subnet" ? 16 : 13)} fontSize="11">
+          {node.label}
+          {node.sublabel && <tspan fill="#64748b"> {node.sublabel}</tspan>}
+        </text>
+      </g>
+    );
+  const title = { hub: "HUB", spoke: "SPOKE", network: "NETWORK" }[node.role];
+  return (
+    <g {...events}>
+      <rect
+        x={node.x}
+        y={node.y}
+        width={node.w}
+        height={node.h}
+        rx={12}
+        fill={style.fill}
+        stroke={stroke}
+        strokeWidth={node.cde ? 2 : 1}
+      />
+      <text x={node.x + 12} y={node.y + 20} fontSize="13" fontWeight="600">
+        {title ? `${title}: ` : ""}
+        {node.label}
+      </text>
+      <text x={node.x + 12} y={node.y + 37} fontSize="11" fill="#475569">
+        {node.cde ? `${node.sublabel} • CDE` : node.sublabel}
+      </text>
+      {(node.services || []).map((sv, i) => (
+        <text key={sv} x={node.x + 12} y={node.y + node.h - 10 - (node.services.length - 1 - i) * 18} fontSize="11">
+          • {sv}
+        </text>
+      ))}
+    </g>
+  );
+}
+
+// Standalone SVG document of the whole diagram, independent of the current zoom and pan.
+function diagramSvgMarkup(svg, layout) {
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("viewBox", `0 0 ${layout.width} ${layout.height}`);
+  clone.setAttribute("width", layout.width);
+  clone.setAttribute("height", layout.height);
+  clone.removeAttribute("class");
+  clone.removeAttribute("style");
+  return new XMLSerializer().serializeToString(clone);
+}
+
+// `exportable` is false while the order fails validation; the downloads are disabled like every other export.
+function Diagram({ design, fileName = "topology", exportable = true }) {
+  const layout = useMemo(() => diagramLayout(design), [design]);
+  const mermaid = useMemo(() => mermaidFromDesign(design), [design]);
+  const full = { x: 0, y: 0, w: layout.width, h: layout.height };
+  const [view, setView] = useState(null); // null: fit the whole diagram
+  const [hovered, setHovered] = useState(null);
+  const [drag, setDrag] = useState(null);
+  const svgRef = useRef(null);
+  const box = view || full;
+
+  useEffect(() => setView(null), [layout.width, layout.height]);
+
+  // Zooms by `factor` around a point given in SVG units (the view centre by default).
+  function zoom(factor, cx = box.x + box.w / 2, cy = box.y + box.h / 2) {
+    const w = Math.min(full.w * 4, Math.max(full.w / 10, box.w * factor));
+    const h = (w / box.w) * box.h;
+    setView({ x: cx - ((cx - box.x) * w) / box.w, y: cy - ((cy - box.y) * h) / box.h, w, h });
+  }
+
+  // Wheel listeners must be non-passive to keep the page from scrolling while zooming.
+  useEffect(() => {
+    const svg = svgRef.current;
+    function onWheel(e) {
+      e.preventDefault();
+      const rect = svg.getBoundingClientRect();
+      const cx = box.x + ((e.clientX - rect.left) / rect.width) * box.w;
+      const cy = box.y + ((e.clientY - rect.top) / rect.height) * box.h;
+      zoom(e.deltaY > 0 ? 1.15 : 1 / 1.15, cx, cy);
+    }
+    svg.addEventListener("wheel", onWheel, { passive: false });
+    return () => svg.removeEventListener("wheel", onWheel);
+  });
+
+  function startPan(e) {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ clientX: e.clientX, clientY: e.clientY, box });
+  }
+
+  function pan(e) {
+    if (!drag) return;
+    const rect = svgRef.current.getBoundingClientRect();
+    const dx = ((e.clientX - drag.clientX) / rect.width) * drag.box.w;
+    const dy = ((e.clientY - drag.clientY) / rect.height) * drag.box.h;
+    setView({ ...drag.box, x: drag.box.x - dx, y: drag.box.y - dy });
+  }
+
+  function downloadSvg() {
+    const markup = diagramSvgMarkup(svgRef.current, layout);
+    saveBlob(new Blob([markup], { type: "image/svg+xml" }), `${fileName}.svg`);
+  }
+
+  function downloadPng() {
+    const url = URL.createObjectURL(new Blob([diagramSvgMarkup(svgRef.current, layout)], { type: "image/svg+xml" }));
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = layout.width * 2;
+      canvas.height = layout.height * 2;
+      const ctx = canvas.getContext("2d");
+      ctx.scale(2, 2);
+      ctx.drawImage(img, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((png) => saveBlob(png, `${fileName}.png`), "image/png");
+    };
+    img.src = url;
+  }
+
+  function downloadDrawio() {
+    saveBlob(new Blob([drawioFromDesign(design)], { type: "application/xml" }), `${fileName}.drawio`);
+  }
+
+  function downloadMermaid() {
+    saveBlob(new Blob([mermaidFromDesign(design)], { type: "text/plain" }), `${fileName}.mmd`);
+  }
+
+  const button = "px-3 py-1 rounded-xl border bg-white hover:bg-gray-50 text-sm disabled:opacity-40";
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-2">
+        <button className={button} onClick={() => zoom(1 / 1.25)}>
+          Zoom in
+        </button>
+        <button className={button} onClick={() => zoom(1.25)}>
+          Zoom out
+        </button>
+        <button className={button} onClick={() => setView(null)}>
+          Fit
+        </button>
+        <button className={button} onClick={downloadSvg} disabled={!exportable}>
+          Download SVG
+        </button>
+        <button className={button} onClick={downloadPng} disabled={!exportable}>
+          Download PNG
+        </button>
+        <button className={button} onClick={downloadDrawio} disabled={!exportable}>
+          Download draw.io
+        </button>
+        <button className={button} onClick={downloadMermaid} disabled={!exportable}>
+          Download Mermaid
+        </button>
+      </div>
+      <div className="relative">
+        <svg
+          ref={svgRef}
+          viewBox={`${box.x} ${box.y} ${box.w} ${box.h}`}
+          className={`w-full h-auto rounded-xl border select-none ${drag ? "cursor-grabbing" : "cursor-grab"}`}
+          style={{ aspectRatio: `${layout.width} / ${layout.height}`, maxHeight: "75vh", touchAction: "none" }}
+          onPointerDown={startPan}
+          onPointerMove={pan}
+          onPointerUp={() => setDrag(null)}
+          onPointerCancel={() => setDrag(null)}
+        >
+          <rect x={0} y={0} width={layout.width} height={layout.height} fill="#f9fafb" />
+          {layout.nodes
+            .filter((n) => n.kind === "region")
+            .map((n) => (
+              <DiagramNode key={n.id} node={n} onHover={setHovered} />
+            ))}
+          {layout.edges.map((e) => (
+            <path
+              key={e.id}
+              d={e.d}
+              fill="none"
+              stroke={EDGE_STYLES[e.kind].stroke}
+              strokeDasharray={EDGE_STYLES[e.kind].dash}
+              strokeWidth={e.kind === "onprem" ? 2 : 1}
+            />
+          ))}
+          {layout.nodes
+            .filter((n) => n.kind !== "region")
+            .map((n) => (
+              <DiagramNode key={n.id} node={n} onHover={setHovered} />
+            ))}
+          <text x={LAYOUT.margin} y={layout.height - LAYOUT.legendHeight / 2} fontSize="12" fill="#475569">
+            {layout.legend}
+          </text>
+        </svg>
+        {hovered && (
+          <div className="absolute top-2 right-2 max-w-xs bg-white border rounded-xl p-3 text-xs pointer-events-none">
+            <p className="font-semibold">{hovered.label}</p>
+            {hovered.details.map((d) => (
+              <p key={d} className="text-gray-600">
+                {d}
+              </p>
+            ))}
+          </div>
+        )}
+      </div>
+      <p className="text-xs text-gray-500 mt-1">Scroll to zoom, drag to pan, hover a box for details.</p>
+      <details className="mt-2">
+        <summary className="text-sm cursor-pointer">Mermaid snippet</summary>
+        <pre className="bg-gray-50 p-3 rounded-xl overflow-auto text-xs mt-2">
+          {"```mermaid\n" + mermaid + "\n```"}
+        </pre>
+      </details>
+    </div>
+  );
+}
+
+/* ------------ Diagram exports ------------ */
+const AZURE_ICON = (path) => `image;aspect=fixed;html=1;image=img/lib/azure2/${path}.svg;`;
+const AWS_ICON = (name) =>
+  `shape=mxgraph.aws4.resourceIcon;resIcon=mxgraph.aws4.${name};fillColor=#ED7100;strokeColor=#ffffff;`;
+const GCP_ICON = (name) => `shape=mxgraph.gcp2.hexIcon;prIcon=${name};`;
+const ON_PREM_ICON = "shape=mxgraph.networks.server;fillColor=#fefce8;strokeColor=#ca8a04;";
+
+// draw.io shape per cloud for networks, external endpoints and each workload's component.
+const DRAWIO_ICONS = {
+  Azure: {
+    network: AZURE_ICON("networking/Virtual_Networks"),
+    global: AZURE_ICON("networking/Front_Doors"),
+    tenant: AZURE_ICON("identity/Azure_Active_Directory"),
+    webapp: AZURE_ICON("app_services/App_Services"),
+    containers: AZURE_ICON("containers/Kubernetes_Services"),
+    vm: AZURE_ICON("compute/VM_Scale_Sets"),
+    data: AZURE_ICON("analytics/Azure_Synapse_Analytics"),
+    serverless: AZURE_ICON("compute/Function_Apps"),
+    m365: AZURE_ICON("identity/Azure_Active_Directory"),
+  },
+  AWS: {
+    global: AWS_ICON("route_53"),
+    webapp: AWS_ICON("elastic_load_balancing"),
+    containers: AWS_ICON("eks"),
+    vm: AWS_ICON("ec2"),
+    data: AWS_ICON("redshift"),
+    serverless: AWS_ICON("lambda"),
+  },
+  GCP: {
+    network: GCP_ICON("virtual_private_cloud"),
+    global: GCP_ICON("cloud_load_balancing"),
+    webapp: GCP_ICON("cloud_run"),
+    containers: GCP_ICON("kubernetes_engine"),
+    vm: GCP_ICON("compute_engine"),
+    data: GCP_ICON("bigquery"),
+    serverless: GCP_ICON("cloud_functions"),
+  },
+};
+
+// AWS has container shapes for regions and VPCs, so those carry their icon in the group style itself.
+const AWS_GROUP = (icon, color) =>
+  `shape=mxgraph.aws4.group;grIcon=mxgraph.aws4.${icon};strokeColor=${color};fillColor=none;verticalAlign=top;` +
+  `align=left;spacingLeft=30;html=1;whiteSpace=wrap;container=1;collapsible=0;`;
+
+const DRAWIO_STYLES = {
+  region: "rounded=1;arcSize=2;dashed=1;fillColor=none;strokeColor=#a5b4fc;fontColor=#4f46e5;fontStyle=1;",
+  network: "rounded=1;arcSize=4;fillColor=#ffffff;strokeColor=#cbd5e1;spacingLeft=34;",
+  subnet: "rounded=1;arcSize=8;fillColor=#f8fafc;strokeColor=#e2e8f0;fontSize=11;spacingLeft=6;",
+  component: "rounded=1;arcSize=20;fillColor=#e0e7ff;strokeColor=#a5b4fc;fontSize=11;spacingLeft=22;",
+  global: "rounded=1;fillColor=#eef2ff;strokeColor=#6366f1;spacingLeft=40;",
+  tenant: "rounded=1;fillColor=#f5f3ff;strokeColor=#a78bfa;spacingLeft=40;",
+  onprem: "rounded=1;fillColor=#fefce8;strokeColor=#ca8a04;spacingLeft=40;",
+  services: "text;html=1;align=left;verticalAlign=bottom;fontSize=11;spacingLeft=6;",
+};
+const DRAWIO_BOX = "html=1;whiteSpace=wrap;align=left;verticalAlign=top;container=1;collapsible=0;";
+
+const DRAWIO_EDGES = {
+  peering: "endArrow=none;dashed=1;strokeColor=#94a3b8;",
+  "global-peering": "endArrow=none;dashed=1;strokeColor=#6366f1;",
+  entry: "endArrow=block;dashed=1;strokeColor=#6366f1;",
+  onprem: "endArrow=none;strokeWidth=2;strokeColor=#ca8a04;fontSize=11;",
+};
+
+const XML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+function xmlEscape(text) {
+  return String(text).replace(/[&<>"']/g, (c) => XML_ENTITIES[c]);
+}
+
+function workloadOfComponent(cloud, label) {
+  return Object.keys(WORKLOAD_COMPONENTS).find((key) => WORKLOAD_COMPONENTS[key][cloud] === label);
+}
+
+/**
+ * draw.io (mxGraph XML) document of the landing zone. Uses the on-screen layout; regions, networks and subnets
+ * are containers, so moving a network in draw.io moves its subnets and components with it.
+ */
+function drawioFromDesign(obj) {
+  const cloud = obj?.design?.cloud;
+  const icons = DRAWIO_ICONS[cloud] || {};
+  const layout = diagramLayout(obj);
+  const ids = new Map(layout.nodes.map((n, i) => [n.id, `n${i + 1}`]));
+  const byId = new Map(layout.nodes.map((n) => [n.id, n]));
+  const cells = [];
+  const cell = (id, value, style, parent, { x, y, w, h }) =>
+    cells.push(
+      `<mxCell id="${id}" value="${xmlEscape(value)}" style="${style}" vertex="1" parent="${parent}">` +
+        `<mxGeometry x="${Math.round(x)}" y="${Math.round(y)}" width="${Math.round(w)}" height="${Math.round(h)}" ` +
+        `as="geometry"/></mxCell>`
+    );
+  const html = (...lines) =>
+    lines
+      .filter(Boolean)
+      .map((l) => xmlEscape(l))
+      .join("<br>");
+
+  layout.nodes.forEach((n) => {
+    const parent = byId.get(n.parent);
+    const at = { x: n.x - (parent?.x || 0), y: n.y - (parent?.y || 0), w: n.w, h: n.h };
+    const id = ids.get(n.id);
+    const parentId = parent ? ids.get(parent.id) : "1";
+    let style = DRAWIO_BOX + DRAWIO_STYLES[n.kind];
+    if (cloud === "AWS" && n.kind === "region") style = AWS_GROUP("group_region", "#147EBA");
+    if (cloud === "AWS" && n.kind === "network") style = AWS_GROUP("group_vpc", n.cde ? "#dc2626" : "#248814");
+    else if (n.cde) style += "strokeColor=#dc2626;strokeWidth=2;";
+
+    if (n.kind === "network") {
+      const title = { hub: "HUB", spoke: "SPOKE", network: "NETWORK" }[n.role];
+      const heading = `<b>${xmlEscape(`${title}: ${n.label}`)}</b>`;
+      cell(id, [heading, html(n.sublabel, n.cde && "Cardholder data environment")].join("<br>"), style, parentId, at);
+      if (icons.network) cell(`${id}-icon`, "", icons.network, id, { x: 6, y: 6, w: 24, h: 24 });
+      if (n.services.length)
+        cell(`${id}-services`, html(...n.services.map((sv) => `• ${sv}`)), DRAWIO_STYLES.services, id, {
+          x: 4,
+          y: n.h - n.services.length * LAYOUT.serviceHeight - 8,
+          w: n.w - 8,
+          h: n.services.length * LAYOUT.serviceHeight + 4,
+        });
+      return;
+    }
+    const value = n.kind === "region" ? `${n.label}${n.sublabel ? ` (${n.sublabel})` : ""}` : n.label;
+    cell(id, n.sublabel && n.kind !== "region" ? html(value, n.sublabel) : html(value), style, parentId, at);
+    let icon = icons[n.kind];
+    if (n.kind === "component") icon = icons[workloadOfComponent(cloud, n.label)];
+    if (n.kind === "onprem") icon = ON_PREM_ICON;
+    const size = n.kind === "component" ? 16 : 32;
+    if (icon) cell(`${id}-icon`, "", icon, id, { x: 3, y: (n.h - size) / 2, w: size, h: size });
+  });
+
+  layout.edges.forEach((e, i) =>
+    cells.push(
+      `<mxCell id="e${i + 1}" value="${xmlEscape(e.label || "")}" style="edgeStyle=orthogonalEdgeStyle;rounded=1;` +
+        `html=1;${DRAWIO_EDGES[e.kind]}" edge="1" parent="1" source="${ids.get(e.from)}" target="${ids.get(e.to)}">` +
+        `<mxGeometry relative="1" as="geometry"/></mxCell>`
+    )
+  );
+
+  const name = xmlEscape(`${obj?.order?.orgName || "Landing zone"} (${cloud})`);
+  const size = `dx="${Math.round(layout.width)}" dy="${Math.round(layout.height)}"`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<mxfile host="app.diagrams.net">
+  <diagram id="landing-zone" name="${name}">
+    <mxGraphModel ${size} grid="1" gridSize="10" guides="1" page="0">
+      <root>
+        <mxCell id="0"/>
+        <mxCell id="1" parent="0"/>
+${cells.map((c) => `        ${c}`).join("\n")}
+      </root>
+    </mxGraphModel>
+  </diagram>
+</mxfile>
+`;
+}
+
+const MERMAID_SHAPES = {
+  component: (label) => `(["${label}"])`,
+  global: (label) => `{{"${label}"}}`,
+  onprem: (label) => `[("${label}")]`,
+};
+
+const MERMAID_LINKS = {
+  peering: () => "-.-",
+  "global-peering": () => "-.-|global peering|",
+  entry: () => "-.->",
+  onprem: (label) => `===|${label}|`,
+};
+
+const MERMAID_ENTITIES = { '"': "#quot;", "<": "#lt;", ">": "#gt;", "&": "#amp;" };
+
+// Mermaid entity codes keep user text from being read as markup; `<br/>` joins the escaped lines.
+function mermaidText(...lines) {
+  return lines
+    .filter(Boolean)
+    .map((l) => String(l).replace(/["<>&]/g, (c) => MERMAID_ENTITIES[c]))
+    .join("<br/>");
+}
+
+/** Mermaid flowchart of the landing zone: regions, networks and subnets with components become subgraphs. */
+function mermaidFromDesign(obj) {
+  const layout = diagramLayout(obj);
+  const ids = new Map(layout.nodes.map((n, i) => [n.id, `n${i + 1}`]));
+  const children = new Map();
+  const roots = [];
+  const byId = new Map(layout.nodes.map((n) => [n.id, n]));
+  layout.nodes.forEach((n) => {
+    if (byId.has(n.parent)) children.set(n.parent, [...(children.get(n.parent) || []), n]);
+    else roots.push(n);
+  });
+
+  const label = (n) => {
+    if (n.kind === "network") {
+      const title = { hub: "HUB", spoke: "SPOKE", network: "NETWORK" }[n.role];
+      return mermaidText(`${title}: ${n.label}`, `${n.sublabel}${n.cde ? " (CDE)" : ""}`);
+    }
+    if (n.kind === "region") return mermaidText(`${n.label}${n.sublabel ? ` (${n.sublabel})` : ""}`);
+    return mermaidText(n.label, n.sublabel);
+  };
+  const lines = [`flowchart LR`];
+  const emit = (n, depth) => {
+    const pad = "  ".repeat(depth);
+    const inner = children.get(n.id) || [];
+    if (inner.length || n.kind === "region" || n.kind === "network") {
+      lines.push(`${pad}subgraph ${ids.get(n.id)}["${label(n)}"]`);
+      if (n.services?.length) {
+        lines.push(`${pad}  ${ids.get(n.id)}_services["${mermaidText(...n.services)}"]`);
+      }
+      inner.forEach((c) => emit(c, depth + 1));
+      lines.push(`${pad}end`);
+    } else {
+      const shape = MERMAID_SHAPES[n.kind] || ((text) => `["${text}"]`);
+      lines.push(`${pad}${ids.get(n.id)}${shape(label(n))}`);
+    }
+  };
+  roots.forEach((n) => emit(n, 1));
+  layout.edges.forEach((e) =>
+    lines.push(`  ${ids.get(e.from)} ${MERMAID_LINKS[e.kind](mermaidText(e.label))} ${ids.get(e.to)}`)
+  );
+  return lines.join("\n");
+}
+
+/* ------------ Order import ------------ */
+// Upgrades `order` from the keyed version to the next one. Versions without an entry need no changes.
+const ORDER_MIGRATIONS = {
+  3: (order) => order, // v4 only added design fields (cost line items, compliance controls); the order is unchanged
+  4: (order) => order, // v5 added design.availability
+  5: (order) => order, // v6 added backup retention and copy regions to the design
+};
+
+function describeValue(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 37)}...` : String(text);
+}
+
+/**
+ * Returns `value` reduced to what `schema` allows: unknown keys are dropped, missing or invalid values are
+ * replaced by `fallback` and invalid array items are removed. Every change is reported through `add(field, message)`.
+ */
+function conformToSchema(value, schema, fallback, field, add) {
+  if (!schemaTypeMatches(value, schema.type)) {
+    add(field, `${field} should be ${schema.type} but is ${describeValue(value)}; using ${describeValue(fallback)}.`);
+    return fallback;
+  }
+  if (schema.type === "object") {
+    Object.keys(value)
+      .filter((key) => !(key in schema.properties))
+      .forEach((key) => add(`${field}.${key}`, `Unknown field ${field}.${key} was ignored.`));
+    return Object.fromEntries(
+      Object.entries(schema.properties).map(([key, child]) => {
+        const path = `${field}.${key}`;
+        if (!(key in value)) {
+          add(path, `${path} is missing; using ${describeValue(fallback[key])}.`);
+          return [key, fallback[key]];
+        }
+        return [key, conformToSchema(value[key], child, fallback[key], path, add)];
+      })
+    );
+  }
+  if (schema.type === "array") {
+    return value.filter((item, i) => {
+      const ok = schemaTypeMatches(item, schema.items.type) && (!schema.items.enum || schema.items.enum.includes(item));
+      if (!ok) add(`${field}[${i}]`, `${field}[${i}] ${describeValue(item)} is not a valid entry and was removed.`);
+      return ok;
+    });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    const allowed = schema.enum.map(describeValue).join(", ");
+    add(field, `${field} ${describeValue(value)} is not one of ${allowed}; using ${describeValue(fallback)}.`);
+    return fallback;
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    add(field, `${field} must be at least ${schema.minimum}; using ${describeValue(fallback)}.`);
+    return fallback;
+  }
+  return value;
 }
 
-function terraformFromDesign(obj) {
-  const cloud = obj?.design?.cloud;
-  if (cloud === "Azure") return terraformAzure(obj);
-  if (cloud === "AWS") return terraformAWS(obj);
-  if (cloud === "GCP") return terraformGCP(obj);
-  return "# Unsupported cloud";
-}
+/**
+ * Reads an exported Order JSON (`{ metadata, order, design }`) or a bare order object. Returns
+ * `{ form, version, issues }` with issues in the `validateOrder` shape; `form` is null when nothing can be imported.
+ * The design in the file is ignored: it is regenerated from the imported order.
+ */
+function importOrderDocument(text) {
+  const issues = [];
+  const add = (field, message, severity = "warning") => issues.push({ field, message, severity });
+  const fail = (message) => {
+    add("file", message, "error");
+    return { form: null, version: null, issues };
+  };
 
-function terraformAzure(obj) {
-  const org = (obj?.order?.orgName || "org").toLowerCase().replace(/\s+/g, "-");
-  const rgName = `${org}-rg`;
-  const location = obj?.order?.regions?.[0] || "Sweden Central";
-  const ddosEnabled = !!obj?.order?.security?.ddos;
-  const keyVaultEnabled = !!obj?.order?.security?.keyVault;
-  const monitoring = obj?.order?.tooling?.monitoring || [];
-  const hub = obj?.design?.landingZone?.hub;
-  const spokes = obj?.design?.landingZone?.spokes || [];
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    return fail(`The file is not valid JSON (${err.message}).`);
+  }
+  if (!schemaTypeMatches(doc, "object")) return fail("The file does not contain an order object.");
 
-  const hubSubnetsHcl = (hub?.subnets || [])
-    .map(
-      (s) => `resource "azurerm_subnet" "hub_${s.name.replace(/-/g, "_")}" {
-  name                 = "${s.name}"
-  resource_group_name  = azurerm_resource_group.main.name
-  virtual_network_name = azurerm_virtual_network.hub.name
-  address_prefixes     = ["${s.cidr}"]
-}
-`
-    )
-    .join("\n");
+  const wrapped = "order" in doc || "metadata" in doc;
+  let order = wrapped ? doc.order : doc;
+  if (!schemaTypeMatches(order, "object")) return fail("The file has no `order` object to import.");
 
-  const spokesHcl = spokes
-    .map((spoke) => {
-      const vnetName = `${spoke.name}-vnet`;
-      const spokeSubs = (spoke.subnets || [])
-        .map(
-          (s) => `resource "azurerm_subnet" "${spoke.name.replace(/-/g, "_")}_${s.name}" {
-  name                 = "${s.name}"
-  resource_group_name  = azurerm_resource_group.main.name
-  virtual_network_name = azurerm_virtual_network.${spoke.name.replace(/-/g, "_")}.name
-  address_prefixes     = ["${s.cidr}"]
-}
-`
-        )
-        .join("\n");
+  const version = wrapped ? doc.metadata?.version : ORDER_VERSION;
+  if (!Number.isInteger(version)) {
+    add("metadata.version", "metadata.version is missing; the order is read as the current version.");
+  } else if (version > ORDER_VERSION) {
+    return fail(`The file was exported by a newer wizard (version ${version}; this one reads up to ${ORDER_VERSION}).`);
+  } else if (version < ORDER_VERSION) {
+    for (let v = version; v < ORDER_VERSION; v++) order = ORDER_MIGRATIONS[v] ? ORDER_MIGRATIONS[v](order) : order;
+    add("metadata.version", `Migrated from version ${version} to ${ORDER_VERSION}.`, "info");
+  }
 
-      return `resource "azurerm_virtual_network" "${spoke.name.replace(/-/g, "_")}" {
-  name                = "${vnetName}"
-  address_space       = ["${spoke.addressSpace}"]
-  location            = azurerm_resource_group.main.location
-  resource_group_name = azurerm_resource_group.main.name
+  const form = conformToSchema(order, ORDER_FORM_SCHEMA, defaultForm, "order", add);
+  const cloudRegions = REGIONS.find((r) => r.cloud === form.preferredCloud).regions;
+  const unknownRegions = form.regions.filter((r) => !cloudRegions.includes(r));
+  if (unknownRegions.length) {
+    add("order.regions", `Regions not offered for ${form.preferredCloud} were removed: ${unknownRegions.join(", ")}.`);
+    form.regions = form.regions.filter((r) => cloudRegions.includes(r));
+  }
+  // The imported order becomes the current one, so it must be usable as soon as it is opened.
+  if (!form.regions.length) return fail(`The order has no region offered for ${form.preferredCloud}.`);
+  return { form, version, issues };
 }
 
-${spokeSubs}
+/* ------------ Share links ------------ */
+const SHARE_HASH_KEY = "order";
 
-resource "azurerm_virtual_network_peering" "${spoke.name.replace(/-/g, "_")}_to_hub" {
-  name                      = "${spoke.name}-to-hub"
-  resource_group_name       = azurerm_resource_group.main.name
-  virtual_network_name      = azurerm_virtual_network.${spoke.name.replace(/-/g, "_")}.name
-  remote_virtual_network_id = azurerm_virtual_network.hub.id
-  allow_forwarded_traffic   = true
-  allow_gateway_transit     = true
+function toBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach((b) => (binary += String.fromCharCode(b)));
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
 }
 
-resource "azurerm_virtual_network_peering" "hub_to_${spoke.name.replace(/-/g, "_")}" {
-  name                      = "hub-to-${spoke.name}"
-  resource_group_name       = azurerm_resource_group.main.name
-  virtual_network_name      = azurerm_virtual_network.hub.name
-  remote_virtual_network_id = azurerm_virtual_network.${spoke.name.replace(/-/g, "_")}.id
-  allow_forwarded_traffic   = true
-  use_remote_gateways       = true
+function fromBase64Url(text) {
+  return Uint8Array.from(atob(text.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
 }
-`;
-    })
-    .join("\n");
 
-  const logAnalyticsHcl = monitoring.includes("Log Analytics")
-    ? `resource "azurerm_log_analytics_workspace" "law" {
-  name                = "${org}-law"
-  location            = azurerm_resource_group.main.location
-  resource_group_name = azurerm_resource_group.main.name
-  sku                 = "PerGB2018"
-  retention_in_days   = 30
+async function pipeBytes(bytes, transform) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
 }
-`
-    : "";
 
-  const keyVaultHcl = keyVaultEnabled
-    ? `resource "azurerm_key_vault" "kv" {
-  name                        = "${org}-kv-aaaaaa"
-  location                    = azurerm_resource_group.main.location
-  resource_group_name         = azurerm_resource_group.main.name
-  tenant_id                   = data.azurerm_client_config.current.tenant_id
-  sku_name                    = "standard"
-  purge_protection_enabled    = true
-  soft_delete_retention_days  = 90
+/**
+ * Encodes the wizard state as `#order=<codec>.<base64url>`, where the payload is an order document plus the
+ * current step. Codec "z" is deflate-raw; "j" is plain JSON for browsers without CompressionStream.
+ */
+async function encodeShareHash(form, step) {
+  const json = new TextEncoder().encode(JSON.stringify({ metadata: { version: ORDER_VERSION }, order: form, step }));
+  if (typeof CompressionStream === "undefined") return `#${SHARE_HASH_KEY}=j.${toBase64Url(json)}`;
+  return `#${SHARE_HASH_KEY}=z.${toBase64Url(await pipeBytes(json, new CompressionStream("deflate-raw")))}`;
 }
-`
-    : "";
 
-  const ddosPlanHcl = ddosEnabled
-    ? `resource "azurerm_network_ddos_protection_plan" "ddos" {
-  name                = "${org}-ddos"
-  location            = azurerm_resource_group.main.location
-  resource_group_name = azurerm_resource_group.main.name
+// Returns null when the hash holds no shared order, otherwise `importOrderDocument`'s result plus `step`.
+async function decodeShareHash(hash) {
+  const match = new RegExp(`^#${SHARE_HASH_KEY}=([jz])\\.([\\w-]+)$`).exec(hash);
+  if (!match) return null;
+  let text;
+  try {
+    const bytes = fromBase64Url(match[2]);
+    text = new TextDecoder().decode(
+      match[1] === "z" ? await pipeBytes(bytes, new DecompressionStream("deflate-raw")) : bytes
+    );
+  } catch {
+    const issue = { field: "link", message: "The share link is damaged or incomplete.", severity: "error" };
+    return { form: null, version: null, step: 0, issues: [issue] };
+  }
+  const result = importOrderDocument(text);
+  const step = result.form ? JSON.parse(text).step : 0;
+  return { ...result, step: Number.isInteger(step) && step >= 0 && step < STEPS.length ? step : 0 };
 }
-`
-    : "";
 
-  const frontDoorHcl = obj?.order?.workloads?.webapp
-    ? `resource "azurerm_frontdoor" "fd" {
-  name                = "${org}-fd"
-  resource_group_name = azurerm_resource_group.main.name
-  routing_rule {
-    name               = "default"
-    accepted_protocols = ["Http", "Https"]
-    patterns_to_match  = ["/*"]
-    frontend_endpoints = [azurerm_frontdoor.fd.frontend_endpoints[0].name]
-    forwarding_configuration {
-      forwarding_protocol = "MatchRequest"
-      backend_pool_name   = azurerm_frontdoor.fd.backend_pools[0].name
-    }
+/* ------------ Order library ------------ */
+const ORDER_LIBRARY_KEY = "cloud-order-wizard.orders";
+const CURRENT_ORDER_KEY = "cloud-order-wizard.current";
+const AUTOSAVE_DELAY_MS = 800;
+
+function orderStorage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null; // storage can be blocked (private mode, sandboxed iframes)
   }
-  backend_pool {
-    name = "defaultpool"
-    backend {
-      host_header = "example.com"
-      address     = "example.com"
-      http_port   = 80
-      https_port  = 443
-    }
+}
+
+/** Saved orders, most recently updated first: [{ id, name, createdAt, updatedAt, form }]. */
+function loadOrderLibrary() {
+  try {
+    const orders = JSON.parse(orderStorage()?.getItem(ORDER_LIBRARY_KEY) || "[]");
+    return Array.isArray(orders) ? orders.filter((o) => o && o.id && o.form) : [];
+  } catch {
+    return [];
   }
-  frontend_endpoint { name = "fe" host_name = "${org}-fe.azurefd.net" }
 }
-`
-    : "";
 
-  return `terraform {
-  required_providers {
-    azurerm = { source = "hashicorp/azurerm", version = ">= 3.0" }
+// Returns false when storage is unavailable or full so the UI can say the draft was not saved.
+function storeOrderLibrary(orders, currentId) {
+  const storage = orderStorage();
+  if (!storage) return false;
+  try {
+    storage.setItem(ORDER_LIBRARY_KEY, JSON.stringify(orders));
+    if (currentId) storage.setItem(CURRENT_ORDER_KEY, currentId);
+    else storage.removeItem(CURRENT_ORDER_KEY);
+    return true;
+  } catch {
+    return false;
   }
 }
 
-provider "azurerm" { features {} }
+function newOrderId() {
+  return `order-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
 
-data "azurerm_client_config" "current" {}
+function orderLabel(entry) {
+  return entry.name || entry.form.orgName || "Untitled order";
+}
 
-variable "project_name" { type = string, default = "${obj?.order?.orgName || "org"}" }
+/** Inserts or replaces an entry and keeps the library sorted by last update. */
+function upsertOrder(orders, entry) {
+  return [entry, ...orders.filter((o) => o.id !== entry.id)].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
 
-resource "azurerm_resource_group" "main" {
-  name     = "${rgName}"
-  location = "${location}"
-  tags     = { Project = var.project_name, Owner = "Platform Team" }
+// Reopens the order that was open before the page was reloaded, or starts a fresh draft.
+function initialOrderSession() {
+  const orders = loadOrderLibrary();
+  const current = orders.find((o) => o.id === orderStorage()?.getItem(CURRENT_ORDER_KEY));
+  return current
+    ? { orders, id: current.id, form: current.form }
+    : { orders, id: newOrderId(), form: defaultForm };
 }
 
-${ddosPlanHcl}
-resource "azurerm_virtual_network" "hub" {
-  name                = "${(hub?.name || `${org}-hub`)}-vnet"
-  address_space       = ["${hub?.addressSpace || "10.10.0.0/20"}"]
-  location            = azurerm_resource_group.main.location
-  resource_group_name = azurerm_resource_group.main.name
-  ${obj?.order?.security?.ddos ? "ddos_protection_plan { id = azurerm_network_ddos_protection_plan.ddos.id }" : ""}
+const IMPORT_ISSUE_COLORS = { error: "text-red-600", warning: "text-amber-600", info: "text-gray-500" };
+
+function ImportReport({ report, onDismiss }) {
+  return (
+    <div className="border rounded-xl p-2 mb-2 text-xs">
+      <div className="flex justify-between gap-2">
+        <span className="font-medium">
+          {report.form ? `Imported ${report.source}` : `Could not import ${report.source}`}
+        </span>
+        <button className="text-gray-500" onClick={onDismiss}>
+          Dismiss
+        </button>
+      </div>
+      {report.issues.length === 0 ? (
+        <p className="text-gray-500">The order matched the schema; no fields were changed.</p>
+      ) : (
+        <ul className="list-disc pl-4 max-h-40 overflow-auto">
+          {report.issues.map((i, k) => (
+            <li key={k} className={IMPORT_ISSUE_COLORS[i.severity]}>
+              {i.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
 }
 
-${hubSubnetsHcl}
+function OrderLibrary({ orders, currentId, saveState, importReport, onImport, onDismissImport, ...actions }) {
+  const { onNew, onOpen, onDuplicate, onRename, onDelete, onCompare } = actions;
+  const [renaming, setRenaming] = useState(null);
+  const [dragging, setDragging] = useState(false);
 
-${spokesHcl}
+  function dropFile(e) {
+    e.preventDefault();
+    setDragging(false);
+    const file = e.dataTransfer.files[0];
+    if (file) onImport(file);
+  }
+
+  function pickFile(e) {
+    const file = e.target.files[0];
+    e.target.value = ""; // allow picking the same file again
+    if (file) onImport(file);
+  }
+
+  function commitRename(e) {
+    e.preventDefault();
+    onRename(renaming.id, renaming.name.trim());
+    setRenaming(null);
+  }
 
-${logAnalyticsHcl}
-${keyVaultHcl}
-${frontDoorHcl}`;
+  return (
+    <div
+      className={`rounded-xl ${dragging ? "ring-2 ring-indigo-400 bg-indigo-50" : ""}`}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDragging(true);
+      }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={dropFile}
+    >
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold">Order Library</h3>
+        <div className="flex gap-2">
+          <label className="px-3 py-1 rounded-xl border bg-white hover:bg-gray-50 text-sm cursor-pointer">
+            Import JSON
+            <input type="file" accept=".json,application/json" className="hidden" onChange={pickFile} />
+          </label>
+          <button onClick={onNew} className="px-3 py-1 rounded-xl border bg-white hover:bg-gray-50 text-sm">
+            New order
+          </button>
+          <button onClick={onCompare} className="px-3 py-1 rounded-xl border bg-white hover:bg-gray-50 text-sm">
+            Compare
+          </button>
+        </div>
+      </div>
+      {importReport && <ImportReport report={importReport} onDismiss={onDismissImport} />}
+      <p className={`text-xs mb-2 ${saveState === "failed" ? "text-red-600" : "text-gray-500"}`}>
+        {saveState === "failed"
+          ? "Autosave failed: browser storage is unavailable or full."
+          : saveState === "saved"
+          ? "Draft saved in this browser."
+          : "Drafts are saved automatically in this browser. Drop an exported Order JSON here to import it."}
+      </p>
+      {orders.length === 0 ? (
+        <p className="text-sm text-gray-500">No saved orders yet.</p>
+      ) : (
+        <ul className="grid gap-2 text-sm max-h-64 overflow-auto">
+          {orders.map((o) => (
+            <li
+              key={o.id}
+              className={`border rounded-xl p-2 ${o.id === currentId ? "border-indigo-600 bg-indigo-50" : ""}`}
+            >
+              {renaming?.id === o.id ? (
+                <form onSubmit={commitRename} className="flex gap-2">
+                  <input
+                    autoFocus
+                    className="flex-1 rounded-lg border border-gray-300 px-2 py-1"
+                    value={renaming.name}
+                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                  />
+                  <button type="submit" className="text-indigo-600">
+                    Save
+                  </button>
+                  <button type="button" className="text-gray-500" onClick={() => setRenaming(null)}>
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <>
+                  <div className="font-medium">{orderLabel(o)}</div>
+                  <div className="text-xs text-gray-500">
+                    {o.form.preferredCloud} • updated {new Date(o.updatedAt).toLocaleString()}
+                  </div>
+                  <div className="flex gap-3 mt-1 text-xs">
+                    <button
+                      className="text-indigo-600 disabled:opacity-40"
+                      disabled={o.id === currentId}
+                      onClick={() => onOpen(o)}
+                    >
+                      Open
+                    </button>
+                    <button className="text-indigo-600" onClick={() => onDuplicate(o)}>
+                      Duplicate
+                    </button>
+                    <button className="text-indigo-600" onClick={() => setRenaming({ id: o.id, name: orderLabel(o) })}>
+                      Rename
+                    </button>
+                    <button className="text-red-600" onClick={() => onDelete(o)}>
+                      Delete
+                    </button>
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
 }
 
-function terraformAWS(obj) {
-  const org = (obj?.order?.orgName || "org").toLowerCase().replace(/\s+/g, "-");
-  const regionLabel = obj?.order?.regions?.[0] || "eu-north-1 (Stockholm)";
-  const region = awsRegionCode(regionLabel);
-  return `terraform {
-  required_providers { aws = { source = "hashicorp/aws", version = ">= 5.0" } }
+/* ------------ Design diff ------------ */
+// LCS table size (4 bytes a cell) above which changed blocks are shown as replaced wholesale; keeps the diff to a few MB.
+const TEXT_DIFF_MAX_CELLS = 1_000_000;
+
+function listDiff(before, after) {
+  return { added: after.filter((x) => !before.includes(x)), removed: before.filter((x) => !after.includes(x)) };
 }
 
-provider "aws" { region = "${region}" }
+// Hubs and spokes of every region keyed by name; names embed the org and region, so renames show as add + remove.
+function networksByName(landingZone) {
+  return new Map(
+    designRegions(landingZone).flatMap((r) =>
+      [r.hub && { ...r.hub, role: "hub" }, ...r.spokes.map((sp) => ({ ...sp, role: "spoke" }))]
+        .filter(Boolean)
+        .map((n) => [n.name, { ...n, region: r.region }])
+    )
+  );
+}
 
-resource "aws_vpc" "main" {
-  cidr_block = "10.20.0.0/16"
-  tags = { Name = "${org}-vpc" }
+function networkChanges(before, after) {
+  const changes = [];
+  if (before.addressSpace !== after.addressSpace)
+    changes.push(`address space ${before.addressSpace} → ${after.addressSpace}`);
+  const subnetsBefore = new Map(before.subnets.map((sn) => [sn.name, sn.cidr]));
+  const subnetsAfter = new Map(after.subnets.map((sn) => [sn.name, sn.cidr]));
+  subnetsAfter.forEach((cidr, name) => {
+    if (!subnetsBefore.has(name)) changes.push(`subnet ${name} added (${cidr})`);
+    else if (subnetsBefore.get(name) !== cidr) changes.push(`subnet ${name} ${subnetsBefore.get(name)} → ${cidr}`);
+  });
+  subnetsBefore.forEach((cidr, name) => {
+    if (!subnetsAfter.has(name)) changes.push(`subnet ${name} removed (${cidr})`);
+  });
+  return changes;
 }
 
-resource "aws_internet_gateway" "igw" { vpc_id = aws_vpc.main.id }
+const DIFF_SECURITY_FIELDS = [
+  ["identity", "Identity"],
+  ["keyManagement", "Key management"],
+  ["defender", "Threat protection"],
+  ["zeroTrust", "Zero trust"],
+  ["privateEndpoints", "Private endpoints"],
+  ["cmek", "Customer-managed keys"],
+];
 
-resource "aws_subnet" "public_a" { vpc_id = aws_vpc.main.id cidr_block = "10.20.0.0/24" map_public_ip_on_launch = true }
-resource "aws_subnet" "public_b" { vpc_id = aws_vpc.main.id cidr_block = "10.20.1.0/24" map_public_ip_on_launch = true }
-resource "aws_subnet" "private_a" { vpc_id = aws_vpc.main.id cidr_block = "10.20.10.0/24" }
-resource "aws_subnet" "private_b" { vpc_id = aws_vpc.main.id cidr_block = "10.20.11.0/24" }
+/**
+ * Structured diff of two generated designs (`generateDesign` results): settings, networks, components,
+ * security services and cost. Lists are `{ added, removed }`, changed values `{ label, from, to }`.
+ */
+function diffDesigns(beforeObj, afterObj) {
+  const a = beforeObj.design;
+  const b = afterObj.design;
+  const settings = [
+    ["Cloud", a.cloud, b.cloud],
+    ["Topology", a.landingZone.model, b.landingZone.model],
+    ["Transit", a.landingZone.transit, b.landingZone.transit],
+    ["Address space", a.landingZone.addressSpace, b.landingZone.addressSpace],
+    ["On-prem connectivity", a.landingZone.connectivity, b.landingZone.connectivity],
+    ["Log retention (days)", a.observability.logRetentionDays, b.observability.logRetentionDays],
+    ["Zone-redundant", a.availability.zoneRedundant, b.availability.zoneRedundant],
+    ["DR strategy", a.availability.drStrategy, b.availability.drStrategy],
+    ["Composite SLA (%)", a.availability.compositeSla, b.availability.compositeSla],
+  ];
+  const security = DIFF_SECURITY_FIELDS.map(([key, label]) => [label, a.security[key], b.security[key]]);
 
-resource "aws_eip" "nat" { domain = "vpc" }
-resource "aws_nat_gateway" "nat" { allocation_id = aws_eip.nat.id subnet_id = aws_subnet.public_a.id }
+  const netsBefore = networksByName(a.landingZone);
+  const netsAfter = networksByName(b.landingZone);
+  const summarize = ({ name, role, region, addressSpace }) => ({ name, role, region, addressSpace });
+  const hubServices = (d) => [...new Set(designRegions(d.landingZone).flatMap((r) => r.hub?.services || []))];
 
-resource "aws_route_table" "public" { vpc_id = aws_vpc.main.id }
-resource "aws_route" "public_inet" { route_table_id = aws_route_table.public.id destination_cidr_block = "0.0.0.0/0" gateway_id = aws_internet_gateway.igw.id }
-resource "aws_route_table_association" "public_a" { subnet_id = aws_subnet.public_a.id route_table_id = aws_route_table.public.id }
-resource "aws_route_table_association" "public_b" { subnet_id = aws_subnet.public_b.id route_table_id = aws_route_table.public.id }
+  return {
+    settings: settings.filter(([, from, to]) => from !== to).map(([label, from, to]) => ({ label, from, to })),
+    regions: listDiff(a.regions, b.regions),
+    networks: {
+      added: [...netsAfter.values()].filter((n) => !netsBefore.has(n.name)).map(summarize),
+      removed: [...netsBefore.values()].filter((n) => !netsAfter.has(n.name)).map(summarize),
+      changed: [...netsAfter.values()]
+        .filter((n) => netsBefore.has(n.name))
+        .map((n) => ({ name: n.name, changes: networkChanges(netsBefore.get(n.name), n) }))
+        .filter((n) => n.changes.length),
+    },
+    components: listDiff(a.components, b.components),
+    security: security.filter(([, from, to]) => from !== to).map(([label, from, to]) => ({ label, from, to })),
+    services: listDiff(hubServices(a), hubServices(b)),
+    cost: { from: a.cost.monthlyUSD, to: b.cost.monthlyUSD, delta: b.cost.monthlyUSD - a.cost.monthlyUSD },
+  };
+}
 
-resource "aws_route_table" "private" { vpc_id = aws_vpc.main.id }
-resource "aws_route" "private_nat" { route_table_id = aws_route_table.private.id destination_cidr_block = "0.0.0.0/0" nat_gateway_id = aws_nat_gateway.nat.id }
-resource "aws_route_table_association" "private_a" { subnet_id = aws_subnet.private_a.id route_table_id = aws_route_table.private.id }
-resource "aws_route_table_association" "private_b" { subnet_id = aws_subnet.private_b.id route_table_id = aws_route_table.private.id }`;
+function designDiffIsEmpty(diff) {
+  const lists = [diff.regions, diff.components, diff.services, diff.networks];
+  return (
+    !diff.settings.length &&
+    !diff.security.length &&
+    !diff.networks.changed.length &&
+    !diff.cost.delta &&
+    lists.every((l) => !l.added.length && !l.removed.length)
+  );
 }
 
-function terraformGCP(obj) {
-  const org = (obj?.order?.orgName || "org").toLowerCase().replace(/\s+/g, "-");
-  const regionLabel = obj?.order?.regions?.[0] || "europe-north1 (Finland)";
-  const region = (regionLabel || "europe-north1").split(" ")[0];
-  return `terraform {
-  required_providers { google = { source = "hashicorp/google", version = ">= 5.0" } }
+// Line diff via longest common subsequence on the part between the common prefix and suffix.
+function diffLines(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let endA = before.length;
+  let endB = after.length;
+  while (endA > start && endB > start && before[endA - 1] === after[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const x = before.slice(start, endA);
+  const y = after.slice(start, endB);
+  const middle = [];
+  if (x.length * y.length > TEXT_DIFF_MAX_CELLS) {
+    x.forEach((text) => middle.push({ op: "-", text }));
+    y.forEach((text) => middle.push({ op: "+", text }));
+  } else {
+    const lcs = Array.from({ length: x.length + 1 }, () => new Uint32Array(y.length + 1));
+    for (let i = x.length - 1; i >= 0; i--)
+      for (let j = y.length - 1; j >= 0; j--)
+        lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    let i = 0;
+    let j = 0;
+    while (i < x.length || j < y.length) {
+      if (i < x.length && j < y.length && x[i] === y[j]) {
+        middle.push({ op: " ", text: x[i++] });
+        j++;
+      } else if (i < x.length && (j === y.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        middle.push({ op: "-", text: x[i++] });
+      } else {
+        middle.push({ op: "+", text: y[j++] });
+      }
+    }
+  }
+  const same = (lines) => lines.map((text) => ({ op: " ", text }));
+  return [...same(before.slice(0, start)), ...middle, ...same(before.slice(endA))];
 }
 
-provider "google" { project = var.project_id region = "${region}" }
+/** Unified diff (`---`/`+++` headers, `@@` hunks) of two texts; empty string when they are identical. */
+function unifiedDiff(before, after, fromLabel, toLabel, context = 3) {
+  const ops = [];
+  let lineA = 0;
+  let lineB = 0;
+  diffLines(before.split("\n"), after.split("\n")).forEach((o) => {
+    ops.push({ ...o, a: lineA, b: lineB });
+    if (o.op !== "+") lineA++;
+    if (o.op !== "-") lineB++;
+  });
 
-variable "project_id" { type = string }
+  const hunks = [];
+  ops.forEach((o, i) => {
+    if (o.op === " ") return;
+    const lo = Math.max(0, i - context);
+    const hi = Math.min(ops.length - 1, i + context);
+    const last = hunks[hunks.length - 1];
+    if (last && lo <= last.hi + 1) last.hi = hi;
+    else hunks.push({ lo, hi });
+  });
+  if (!hunks.length) return "";
 
-resource "google_compute_network" "vpc" { name = "${org}-vpc" auto_create_subnetworks = false }
-resource "google_compute_subnetwork" "apps"  { name = "apps"  ip_cidr_range = "10.30.0.0/24" region = "${region}" network = google_compute_network.vpc.id }
-resource "google_compute_subnetwork" "data"  { name = "data"  ip_cidr_range = "10.30.1.0/24" region = "${region}" network = google_compute_network.vpc.id }
-resource "google_compute_subnetwork" "admin" { name = "admin" ip_cidr_range = "10.30.2.0/24" region = "${region}" network = google_compute_network.vpc.id }`;
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  hunks.forEach(({ lo, hi }) => {
+    const lines = ops.slice(lo, hi + 1);
+    const lenA = lines.filter((o) => o.op !== "+").length;
+    const lenB = lines.filter((o) => o.op !== "-").length;
+    out.push(`@@ -${ops[lo].a + (lenA ? 1 : 0)},${lenA} +${ops[lo].b + (lenB ? 1 : 0)},${lenB} @@`);
+    lines.forEach((o) => out.push(`${o.op}${o.text}`));
+  });
+  return out.join("\n");
 }
 
-/* ------------ Simple SVG Diagram ------------ */
-function Diagram({ design }) {
-  const hub = design?.design?.landingZone?.hub;
-  const spokes = design?.design?.landingZone?.spokes || [];
-  const width = 920;
-  const height = 420;
-  const hubX = 160;
-  const hubY = 80;
-  const spokeStartX = 480;
-  const spokeGapY = 120;
+const DIFF_LINE_COLORS = { "+": "text-emerald-300", "-": "text-red-300", "@": "text-sky-300" };
 
+function DiffList({ label, diff, format = (x) => x }) {
+  if (!diff.added.length && !diff.removed.length) return null;
   return (
-    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto bg-gray-50 rounded-xl border">
-      {/* Hub */}
-      <rect x={hubX} y={hubY} width={220} height={180} rx={16} fill="#ffffff" stroke="#cbd5e1" />
-      <text x={hubX + 16} y={hubY + 26} fontSize="14" fontWeight="600">
-        HUB: {hub?.name}
-      </text>
-      <text x={hubX + 16} y={hubY + 46} fontSize="12" fill="#475569">
-        {hub?.addressSpace}
-      </text>
-      {(hub?.services || []).slice(0, 4).map((s, i) => (
-        <text key={s} x={hubX + 16} y={hubY + 70 + i * 18} fontSize="12">
-          • {s}
-        </text>
+    <div>
+      <span className="font-medium">{label}: </span>
+      {diff.added.map((x) => (
+        <span key={`+${format(x)}`} className="mr-2 text-emerald-700">
+          + {format(x)}
+        </span>
+      ))}
+      {diff.removed.map((x) => (
+        <span key={`-${format(x)}`} className="mr-2 text-red-700">
+          − {format(x)}
+        </span>
       ))}
+    </div>
+  );
+}
 
-      {/* Spokes */}
-      {spokes.map((sp, i) => {
-        const x = spokeStartX;
-        const y = 40 + i * spokeGapY;
-        return (
-          <g key={sp.name}>
-            <line
-              x1={hubX + 220}
-              y1={hubY + 90}
-              x2={x}
-              y2={y + 40}
-              stroke="#94a3b8"
-              strokeDasharray="4 4"
-            />
-            <rect x={x} y={y} width={360} height={100} rx={12} fill="#ffffff" stroke="#cbd5e1" />
-            <text x={x + 12} y={y + 22} fontSize="13" fontWeight="600">
-              SPOKE: {sp.name}
-            </text>
-            <text x={x + 12} y={y + 40} fontSize="12" fill="#475569">
-              {sp.addressSpace}
-            </text>
-            {(sp.subnets || [])
-              .slice(0, 3)
-              .map((sn, j) => (
-                <text key={sn.name} x={x + 12 + j * 110} y={y + 66} fontSize="12">
-                  {sn.name}: {sn.cidr}
-                </text>
-              ))}
-          </g>
-        );
-      })}
-
-      {/* Legend */}
-      <rect x={20} y={height - 70} width={880} height={50} rx={10} fill="#ffffff" stroke="#e2e8f0" />
-      <text x={30} y={height - 40} fontSize="12" fill="#475569">
-        Legend: Hub/VPC with spokes + peering/TGW • Private endpoints/access (optional) • DDoS/Shield •
-        Front Door/ALB/Cloud LB
-      </text>
-    </svg>
+function OrderDiff({ orders, currentForm, onClose }) {
+  const choices = [
+    { id: "current", label: "Current order (as edited)", form: currentForm },
+    ...orders.map((o) => ({
+      id: o.id,
+      label: `${orderLabel(o)} — ${new Date(o.updatedAt).toLocaleString()}`,
+      form: o.form,
+    })),
+  ];
+  const [beforeId, setBeforeId] = useState(choices[1]?.id || "current");
+  const [afterId, setAfterId] = useState("current");
+  const before = choices.find((c) => c.id === beforeId) || choices[0];
+  const after = choices.find((c) => c.id === afterId) || choices[0];
+
+  const result = useMemo(() => {
+    const a = generateDesign(before.form);
+    const b = generateDesign(after.form);
+    return {
+      design: diffDesigns(a, b),
+      terraform: unifiedDiff(terraformFromDesign(a), terraformFromDesign(b), "a/main.tf", "b/main.tf"),
+    };
+  }, [before.form, after.form]);
+  const { design: diff, terraform } = result;
+  const network = (n) => `${n.name} (${n.addressSpace}${n.role === "hub" ? ", hub" : ""})`;
+  const sign = diff.cost.delta > 0 ? "+" : diff.cost.delta < 0 ? "−" : "±";
+
+  const picker = (value, onChange) => (
+    <select
+      className="rounded-xl border border-gray-300 px-3 py-2 focus:outline-none focus:ring focus:ring-indigo-200"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      {choices.map((c) => (
+        <option key={c.id} value={c.id}>
+          {c.label}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-6 mt-6">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-xl font-semibold">Compare Order Versions</h2>
+        <button onClick={onClose} className="px-3 py-1 rounded-xl border bg-white hover:bg-gray-50 text-sm">
+          Close
+        </button>
+      </div>
+      <div className="grid sm:grid-cols-2 gap-4 mb-4 text-sm">
+        <label className="grid gap-1">
+          <span className="text-gray-700">Before</span>
+          {picker(beforeId, setBeforeId)}
+        </label>
+        <label className="grid gap-1">
+          <span className="text-gray-700">After</span>
+          {picker(afterId, setAfterId)}
+        </label>
+      </div>
+
+      <h3 className="font-semibold mb-2">Design changes</h3>
+      {designDiffIsEmpty(diff) ? (
+        <p className="text-sm text-gray-500">The two orders produce the same design.</p>
+      ) : (
+        <div className="grid gap-1 text-sm">
+          {[...diff.settings, ...diff.security].map((c) => (
+            <div key={c.label}>
+              <span className="font-medium">{c.label}: </span>
+              {String(c.from)} → {String(c.to)}
+            </div>
+          ))}
+          <DiffList label="Regions" diff={diff.regions} />
+          <DiffList label="Networks" diff={diff.networks} format={network} />
+          {diff.networks.changed.map((n) => (
+            <div key={n.name}>
+              <span className="font-medium">{n.name}: </span>
+              {n.changes.join("; ")}
+            </div>
+          ))}
+          <DiffList label="Components" diff={diff.components} />
+          <DiffList label="Hub security services" diff={diff.services} />
+          <div>
+            <span className="font-medium">Estimated cost: </span>${diff.cost.from.toLocaleString()} → $
+            {diff.cost.to.toLocaleString()} / month ({sign}${Math.abs(diff.cost.delta).toLocaleString()})
+          </div>
+        </div>
+      )}
+
+      <h3 className="font-semibold mt-4 mb-2">Terraform diff</h3>
+      {terraform ? (
+        <pre className="bg-gray-900 text-gray-100 p-3 rounded-xl overflow-auto text-xs max-h-[60vh]">
+          {terraform.split("\n").map((line, i) => (
+            <div key={i} className={DIFF_LINE_COLORS[line.startsWith("---") || line.startsWith("+++") ? "@" : line[0]]}>
+              {line || " "}
+            </div>
+          ))}
+        </pre>
+      ) : (
+        <p className="text-sm text-gray-500">The generated Terraform is identical.</p>
+      )}
+    </div>
   );
 }
 
 /* ------------ Main Component ------------ */
 export default function CloudOrderWizard() {
+  const [session] = useState(initialOrderSession);
   const [step, setStep] = useState(0);
-  const [form, setForm] = useState(defaultForm);
+  const [form, setForm] = useState(session.form);
+  const [orderId, setOrderId] = useState(session.id);
+  const [orders, setOrders] = useState(session.orders);
+  const [saveState, setSaveState] = useState("idle");
+  const [importReport, setImportReport] = useState(null);
+  const [sharedOrder, setSharedOrder] = useState(null);
+  const [shareLink, setShareLink] = useState(null);
+  const [comparing, setComparing] = useState(false);
 
   const regionOptions = useMemo(() => {
     const match = REGIONS.find((r) => r.cloud === form.preferredCloud);
@@ -764,43 +8620,185 @@ export default function CloudOrderWizard() {
   }, [form.preferredCloud]);
 
   const design = useMemo(() => generateDesign(form), [form]);
-  const tf = useMemo(() => terraformFromDesign(design), [design]);
-  const cost = useMemo(() => estimateCost(design), [design]);
+  const iac = useMemo(() => iacExport(design), [design]);
+  const cost = design.design.cost;
+  const availability = design.design.availability;
+  const validation = useMemo(() => validateOrder(form, design), [form, design]);
   const ciYaml = useMemo(() => generateCIYAML(form), [form]);
-  const policies = useMemo(() => generatePolicyBaselines(form.preferredCloud), [form.preferredCloud]);
+  const policies = useMemo(() => generatePolicyBaselines(design), [design]);
+  const traceability = useMemo(() => complianceMatrix(design), [design]);
+  const comparison = useMemo(() => (step === 6 ? compareClouds(form) : []), [form, step]);
+
+  // Autosave: an untouched blank draft is not stored, every other change lands in the library after a short pause.
+  useEffect(() => {
+    const saved = orders.find((o) => o.id === orderId);
+    if (saved ? saved.form === form : form === defaultForm) return undefined;
+    const timer = setTimeout(() => {
+      const now = new Date().toISOString();
+      const entry = { id: orderId, name: saved?.name || "", createdAt: saved?.createdAt || now, updatedAt: now, form };
+      updateLibrary(upsertOrder(orders, entry));
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [form, orderId, orders]);
+
+  function updateLibrary(next, currentId = orderId) {
+    setOrders(next);
+    setSaveState(storeOrderLibrary(next, currentId) ? "saved" : "failed");
+  }
+
+  function switchOrder(id, nextForm) {
+    setOrderId(id);
+    setForm(nextForm);
+    setStep(0);
+  }
+
+  function newOrder() {
+    switchOrder(newOrderId(), defaultForm);
+    updateLibrary(orders, null);
+  }
+
+  function openOrder(entry) {
+    switchOrder(entry.id, entry.form);
+    updateLibrary(orders, entry.id);
+  }
+
+  function duplicateOrder(entry) {
+    const now = new Date().toISOString();
+    const copy = { ...entry, id: newOrderId(), name: `${orderLabel(entry)} (copy)`, createdAt: now, updatedAt: now };
+    switchOrder(copy.id, copy.form);
+    updateLibrary(upsertOrder(orders, copy), copy.id);
+  }
+
+  function renameOrder(id, name) {
+    updateLibrary(orders.map((o) => (o.id === id ? { ...o, name } : o)));
+  }
+
+  function deleteOrder(entry) {
+    if (!window.confirm(`Delete "${orderLabel(entry)}" from this browser?`)) return;
+    const next = orders.filter((o) => o.id !== entry.id);
+    if (entry.id !== orderId) {
+      updateLibrary(next);
+      return;
+    }
+    switchOrder(newOrderId(), defaultForm);
+    updateLibrary(next, null);
+  }
+
+  // An imported order becomes a new library entry so the draft being edited is never overwritten.
+  function addImportedOrder(result, source, nextStep = 0) {
+    setImportReport({ source, ...result });
+    if (!result.form) return;
+    const now = new Date().toISOString();
+    const entry = { id: newOrderId(), name: "", createdAt: now, updatedAt: now, form: result.form };
+    switchOrder(entry.id, entry.form);
+    setStep(nextStep);
+    updateLibrary(upsertOrder(orders, entry), entry.id);
+  }
+
+  async function importOrderFile(file) {
+    addImportedOrder(importOrderDocument(await file.text()), file.name);
+  }
+
+  // Shared links are read on load and on hash changes, then removed from the URL so a reload does not import twice.
+  useEffect(() => {
+    let active = true;
+    async function readShareHash() {
+      const shared = await decodeShareHash(window.location.hash);
+      if (!shared || !active) return;
+      window.history.replaceState(null, "", window.location.pathname + window.location.search);
+      setSharedOrder(shared);
+    }
+    readShareHash();
+    window.addEventListener("hashchange", readShareHash);
+    return () => {
+      active = false;
+      window.removeEventListener("hashchange", readShareHash);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!sharedOrder) return;
+    addImportedOrder(sharedOrder, "shared link", sharedOrder.step);
+    setSharedOrder(null);
+  }, [sharedOrder]);
+
+  useEffect(() => setShareLink(null), [form, step]); // a copied link no longer matches after edits
+
+  async function copyShareLink() {
+    const { origin, pathname, search } = window.location;
+    const url = `${origin}${pathname}${search}${await encodeShareHash(form, step)}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareLink({ url, copied: true });
+    } catch {
+      setShareLink({ url, copied: false }); // clipboard blocked: show the link for manual copying
+    }
+  }
 
   function toggleArrayValue(arr, value) {
     return arr.includes(value) ? arr.filter((v) => v !== value) : [...arr, value];
   }
 
+  const fileSlug = (form.orgName || "order").toLowerCase().replace(/\s+/g, "-");
+
   function downloadJSON() {
-    const blob = new Blob([JSON.stringify(design, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `${(form.orgName || "order").toLowerCase().replace(/\s+/g, "-")}-cloud-order.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    saveBlob(new Blob([JSON.stringify(design, null, 2)], { type: "application/json" }), `${fileSlug}-cloud-order.json`);
+  }
+
+  function downloadSchema() {
+    const schema = JSON.stringify(ORDER_DOCUMENT_SCHEMA, null, 2);
+    saveBlob(new Blob([schema], { type: "application/schema+json" }), `cloud-order-${SCHEMA_VERSION}.schema.json`);
   }
 
-  function downloadTF() {
-    const blob = new Blob([tf], { type: "text/plain" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `main.tf`;
-    a.click();
-    URL.revokeObjectURL(url);
+  // A single file downloads as-is; multi-file exports (Bicep, Pulumi) are packed into one ZIP.
+  function downloadIaC() {
+    const entries = Object.entries(iac.files);
+    if (entries.length === 1) {
+      saveBlob(new Blob([entries[0][1]], { type: "text/plain" }), entries[0][0]);
+    } else {
+      const zip = new Blob([zipFiles(iac.files)], { type: "application/zip" });
+      saveBlob(zip, `${fileSlug}-${iac.tool.toLowerCase()}.zip`);
+    }
+  }
+
+  function downloadPolicies() {
+    saveBlob(new Blob([zipFiles(policies.files)], { type: "application/zip" }), `${fileSlug}-policies.zip`);
+  }
+
+  function downloadRunbook() {
+    saveBlob(new Blob([drRunbook(design)], { type: "text/markdown" }), `${fileSlug}-dr-runbook.md`);
+  }
+
+  function downloadTerraformBundle() {
+    saveBlob(new Blob([zipFiles(terraformBundle(design))], { type: "application/zip" }), `${fileSlug}-terraform.zip`);
   }
 
   return (
     <div className="min-h-screen bg-gray-50 p-6">
       <div className="mx-auto max-w-6xl">
-        <div className="mb-6">
-          <h1 className="text-3xl font-bold">Cloud Infrastructure Order Wizard</h1>
-          <p className="text-gray-600">
-            Capture requirements, generate a topology, and export deployable artifacts for Azure/AWS/GCP.
-          </p>
+        <div className="mb-6 flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold">Cloud Infrastructure Order Wizard</h1>
+            <p className="text-gray-600">
+              Capture requirements, generate a topology, and export deployable artifacts for Azure/AWS/GCP.
+            </p>
+          </div>
+          <div className="grid gap-1 justify-items-end">
+            <button onClick={copyShareLink} className="px-4 py-2 rounded-xl border bg-white hover:bg-gray-50">
+              Copy share link
+            </button>
+            {shareLink &&
+              (shareLink.copied ? (
+                <span className="text-xs text-emerald-700">Link copied; it opens this order at the current step.</span>
+              ) : (
+                <input
+                  readOnly
+                  value={shareLink.url}
+                  onFocus={(e) => e.target.select()}
+                  className="w-72 rounded-lg border border-gray-300 px-2 py-1 text-xs"
+                />
+              ))}
+          </div>
         </div>
 
         <div className="mb-6">
@@ -856,6 +8854,7 @@ export default function CloudOrderWizard() {
                         </button>
                       ))}
                     </div>
+                    <FieldIssues issues={fieldIssues(validation, "regions")} />
                   </label>
                   <label className="grid gap-1">
                     <span className="text-sm text-gray-700">Compliance</span>
@@ -910,8 +8909,9 @@ export default function CloudOrderWizard() {
                     onChange={(e) =>
                       setForm({ ...form, availability: { ...form.availability, slaTier: e.target.value } })
                     }
-                    options={["99.0%", "99.5%", "99.9%", "99.95%", "99.99%"]}
+                    options={SLA_TIERS}
                   />
+                  <FieldIssues issues={fieldIssues(validation, "availability.slaTier")} />
                   <label className="flex items-center gap-3">
                     <input
                       type="checkbox"
@@ -925,6 +8925,7 @@ export default function CloudOrderWizard() {
                     />
                     <span>Multi-region active/active or active/standby</span>
                   </label>
+                  <FieldIssues issues={fieldIssues(validation, "availability.multiRegion")} />
                   <div className="grid grid-cols-2 gap-4">
                     <Input
                       label="DR RTO (hours)"
@@ -951,6 +8952,8 @@ export default function CloudOrderWizard() {
                       }
                     />
                   </div>
+                  <FieldIssues issues={fieldIssues(validation, "availability.drRtoHours")} />
+                  <FieldIssues issues={fieldIssues(validation, "availability.drRpoMinutes")} />
                   <Select
                     label="Expected Traffic"
                     value={form.availability.trafficLevel}
@@ -960,8 +8963,14 @@ export default function CloudOrderWizard() {
                         availability: { ...form.availability, trafficLevel: e.target.value },
                       })
                     }
-                    options={["low", "moderate", "high", "unknown"]}
+                    options={TRAFFIC_LEVELS}
                   />
+                  <p className="text-sm text-gray-600">
+                    Composite SLA {availability.compositeSla}% (target {availability.targetSla}%),{" "}
+                    {availability.zoneRedundant ? "zone-redundant" : "single zone"},{" "}
+                    {DR_STRATEGIES.find((s) => s.id === availability.drStrategy).label} DR, backups{" "}
+                    {availability.backup.frequency}.
+                  </p>
                 </Section>
               )}
 
@@ -1040,7 +9049,7 @@ export default function CloudOrderWizard() {
                     onChange={(e) =>
                       setForm({ ...form, networking: { ...form.networking, topology: e.target.value } })
                     }
-                    options={["hub-spoke", "flat", "mesh"]}
+                    options={TOPOLOGIES}
                   />
                   <Input
                     label="Address Space (CIDR)"
@@ -1049,6 +9058,7 @@ export default function CloudOrderWizard() {
                       setForm({ ...form, networking: { ...form.networking, addressSpace: e.target.value } })
                     }
                   />
+                  <FieldIssues issues={fieldIssues(validation, "networking.addressSpace")} />
                   <div className="grid grid-cols-2 gap-4">
                     <Input
                       label="Spoke Count"
@@ -1071,9 +9081,11 @@ export default function CloudOrderWizard() {
                           networking: { ...form.networking, onPremConnectivity: e.target.value },
                         })
                       }
-                      options={["none", "vpn-client-only", "site-to-site", "expressroute", "direct-connect"]}
+                      options={ON_PREM_CONNECTIVITY}
                     />
                   </div>
+                  <FieldIssues issues={fieldIssues(validation, "networking.spokeCount")} />
+                  <FieldIssues issues={fieldIssues(validation, "design.landingZone")} />
                 </Section>
               )}
 
@@ -1085,7 +9097,7 @@ export default function CloudOrderWizard() {
                     onChange={(e) =>
                       setForm({ ...form, tooling: { ...form.tooling, iac: e.target.value } })
                     }
-                    options={["Terraform", "Bicep", "Pulumi"]}
+                    options={IAC_TOOLS}
                   />
                   <Select
                     label="CI/CD"
@@ -1093,18 +9105,12 @@ export default function CloudOrderWizard() {
                     onChange={(e) =>
                       setForm({ ...form, tooling: { ...form.tooling, cicd: e.target.value } })
                     }
-                    options={["GitHub Actions", "Azure DevOps", "GitLab CI"]}
+                    options={CICD_SYSTEMS}
                   />
                   <label className="grid gap-1">
                     <span className="text-sm text-gray-700">Monitoring</span>
                     <div className="flex flex-wrap gap-3">
-                      {[
-                        "Log Analytics",
-                        "App Insights",
-                        "Prometheus/Grafana",
-                        "CloudWatch/CloudTrail",
-                        "GCP Cloud Ops",
-                      ].map((m) => (
+                      {MONITORING_TOOLS.map((m) => (
                         <Checkbox
                           key={m}
                           label={m}
@@ -1168,6 +9174,115 @@ export default function CloudOrderWizard() {
                       </div>
                     </div>
 
+                    <div>
+                      <h3 className="font-semibold mb-2">Validation</h3>
+                      {validation.issues.length ? (
+                        <FieldIssues issues={validation.issues} />
+                      ) : (
+                        <p className="text-sm text-emerald-700">No issues found.</p>
+                      )}
+                    </div>
+
+                    <div>
+                      <h3 className="font-semibold mb-2">Compliance Traceability</h3>
+                      {traceability.length ? (
+                        <div className="overflow-auto">
+                          <table className="w-full text-xs border-collapse">
+                            <thead>
+                              <tr className="text-left border-b">
+                                <th className="py-1 pr-3">Control</th>
+                                <th className="py-1 pr-3">Frameworks</th>
+                                <th className="py-1 pr-3">Implementation</th>
+                                <th className="py-1">Terraform resources</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {traceability.map((c) => (
+                                <tr key={c.id} className="border-b align-top">
+                                  <td className="py-1 pr-3 font-medium">{c.title}</td>
+                                  <td className="py-1 pr-3">{c.refs.join(", ")}</td>
+                                  <td className="py-1 pr-3">{c.implementation}</td>
+                                  <td className="py-1 font-mono">
+                                    {c.resources.length ? c.resources.join(", ") : "Policy-as-code export"}
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      ) : (
+                        <p className="text-sm text-gray-500">No compliance frameworks selected.</p>
+                      )}
+                    </div>
+
+                    <div>
+                      <h3 className="font-semibold mb-2">Cloud Comparison</h3>
+                      <div className="overflow-auto">
+                        <table className="w-full text-xs border-collapse">
+                          <thead>
+                            <tr className="text-left border-b">
+                              <th className="py-1 pr-3" />
+                              {comparison.map((c) => (
+                                <th key={c.cloud} className="py-1 pr-3">
+                                  {c.cloud}
+                                  {c.cloud === form.preferredCloud && (
+                                    <span className="ml-1 font-normal text-indigo-600">(current)</span>
+                                  )}
+                                </th>
+                              ))}
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {[
+                              ["Regions", (c) => c.design.design.regions.join(", ")],
+                              [
+                                "Landing zone",
+                                (c) => `${c.design.design.landingZone.model} (${c.design.design.landingZone.transit})`,
+                              ],
+                              ["Hub services", (c) => (c.design.design.landingZone.hub?.services || []).join(", ")],
+                              ["Components", (c) => c.design.design.components.join(", ")],
+                              ["Key management", (c) => c.design.design.security.keyManagement || "—"],
+                              ["Security posture", (c) => c.design.design.security.defender || "—"],
+                              ["Monitoring", (c) => c.design.design.observability.monitoring.join(", ") || "—"],
+                              ["Backup", (c) => c.design.design.observability.backup || "—"],
+                              [
+                                "Composite SLA",
+                                (c) =>
+                                  `${c.design.design.availability.compositeSla}% ` +
+                                  `(${c.design.design.availability.drStrategy})`,
+                              ],
+                              ["Policy baselines", (c) => `${c.policies.length} guardrails`],
+                              ["Est. monthly cost", (c) => `$${c.cost.monthlyUSD.toLocaleString()}`],
+                              ["Gaps", (c) => (c.gaps.length ? c.gaps.join("; ") : "None")],
+                            ].map(([label, value]) => (
+                              <tr key={label} className="border-b align-top">
+                                <td className="py-1 pr-3 font-medium whitespace-nowrap">{label}</td>
+                                {comparison.map((c) => (
+                                  <td key={c.cloud} className="py-1 pr-3">
+                                    {value(c)}
+                                  </td>
+                                ))}
+                              </tr>
+                            ))}
+                            <tr>
+                              <td />
+                              {comparison.map((c) => (
+                                <td key={c.cloud} className="py-2 pr-3">
+                                  <button
+                                    onClick={() => setForm(c.form)}
+                                    disabled={c.cloud === form.preferredCloud}
+                                    className="px-3 py-1 rounded-xl border bg-white hover:bg-gray-50 disabled:opacity-40"
+                                  >
+                                    Switch to {c.cloud}
+                                  </button>
+                                </td>
+                              ))}
+                            </tr>
+                          </tbody>
+                        </table>
+                      </div>
+                    </div>
+
                     <div>
                       <h3 className="font-semibold mb-2">Recommended Components</h3>
                       <ul className="list-disc ml-6">
@@ -1177,6 +9292,52 @@ export default function CloudOrderWizard() {
                       </ul>
                     </div>
 
+                    <div>
+                      <h3 className="font-semibold mb-2">Availability</h3>
+                      <p className="text-sm">
+                        Composite SLA {availability.compositeSla}% against a {availability.targetSla}% target;{" "}
+                        {DR_STRATEGIES.find((s) => s.id === availability.drStrategy).label} across{" "}
+                        {availability.regions.map((r) => `${r.region} (${r.role})`).join(", ")}.
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        Database: {availability.database.service} ({availability.database.mode}). Backups{" "}
+                        {availability.backup.frequency}, daily points kept{" "}
+                        {availability.backup.retention.dailyDays} days
+                        {availability.backup.retention.monthlyDays &&
+                          `, monthly points ${availability.backup.retention.monthlyDays} days`}
+                        {availability.backup.copyRegions.length > 0 &&
+                          `, copied out of ${availability.regions[0].region}`}
+                        .
+                      </p>
+                      <div className="overflow-auto mt-2">
+                        <table className="w-full text-xs border-collapse">
+                          <thead>
+                            <tr className="text-left border-b">
+                              <th className="py-1 pr-3">Scaled component</th>
+                              <th className="py-1 pr-3">SKU</th>
+                              <th className="py-1 pr-3 text-right">Instances</th>
+                              <th className="py-1 text-right">Autoscale</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {availability.compute.map((c) => (
+                              <tr key={c.component} className="border-b">
+                                <td className="py-1 pr-3">{c.unit}</td>
+                                <td className="py-1 pr-3">{c.sku || "—"}</td>
+                                <td className="py-1 pr-3 text-right">{c.desired}</td>
+                                <td className="py-1 text-right">
+                                  {c.min}–{c.max}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Service SLAs: {availability.slas.map((s) => `${s.service} ${s.sla}%`).join(", ")}.
+                      </p>
+                    </div>
+
                     <div>
                       <h3 className="font-semibold mb-2">Landing Zone</h3>
                       <pre className="bg-gray-100 p-3 rounded-xl overflow-auto text-xs">
@@ -1203,8 +9364,38 @@ export default function CloudOrderWizard() {
                   <div className="space-y-6">
                     <div>
                       <h3 className="font-semibold mb-2">Cost Estimate</h3>
-                      <p>${cost.monthlyUSD} / month ≈ ${cost.yearlyUSD} / year</p>
-                      <p className="text-xs text-gray-500">{cost.note}</p>
+                      <p>
+                        ${cost.monthlyUSD.toLocaleString()} / month ≈ ${cost.yearlyUSD.toLocaleString()} / year
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        Sized for {cost.trafficLevel} traffic. {cost.note}
+                      </p>
+                      <div className="overflow-auto mt-2">
+                        <table className="w-full text-xs border-collapse">
+                          <thead>
+                            <tr className="text-left border-b">
+                              <th className="py-1 pr-3">Item</th>
+                              <th className="py-1 pr-3">Region</th>
+                              <th className="py-1 pr-3 text-right">Quantity</th>
+                              <th className="py-1 pr-3 text-right">Unit price</th>
+                              <th className="py-1 text-right">Monthly</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {cost.lineItems.map((i, idx) => (
+                              <tr key={idx} className="border-b">
+                                <td className="py-1 pr-3">{i.item}</td>
+                                <td className="py-1 pr-3">{i.region}</td>
+                                <td className="py-1 pr-3 text-right">{i.quantity.toLocaleString()}</td>
+                                <td className="py-1 pr-3 text-right">
+                                  ${i.unitPrice} / {i.unit}
+                                </td>
+                                <td className="py-1 text-right">${i.monthlyUSD.toLocaleString()}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
                     </div>
 
                     <div>
@@ -1215,46 +9406,102 @@ export default function CloudOrderWizard() {
                     </div>
 
                     <div>
-                      <h3 className="font-semibold mb-2">Policy Baselines ({form.preferredCloud})</h3>
+                      <h3 className="font-semibold mb-2">Policy-as-Code ({form.preferredCloud})</h3>
                       <ul className="list-disc ml-6">
-                        {policies.map((p) => (
-                          <li key={p}>{p}</li>
+                        {policies.baselines.map((p) => (
+                          <li key={p.title}>
+                            {p.title} <span className="text-xs font-mono text-gray-500">{p.file}</span>
+                          </li>
                         ))}
                       </ul>
+                      {Object.entries(policies.files).map(([name, content]) => (
+                        <details key={name} className="mt-2">
+                          <summary className="text-xs font-mono text-gray-600 cursor-pointer">{name}</summary>
+                          <pre className="bg-gray-900 text-green-100 p-3 rounded-xl overflow-auto text-xs mt-1">
+                            {content}
+                          </pre>
+                        </details>
+                      ))}
+                      <button
+                        onClick={downloadPolicies}
+                        disabled={!validation.valid}
+                        className="mt-3 px-4 py-2 rounded-xl border bg-white hover:bg-gray-50 disabled:opacity-40"
+                      >
+                        Download policies (.zip)
+                      </button>
                     </div>
 
                     <div>
                       <h3 className="font-semibold mb-2">Topology Diagram</h3>
-                      <Diagram design={design} />
+                      <Diagram design={design} fileName={`${fileSlug}-topology`} exportable={validation.valid} />
                     </div>
 
                     <div>
                       <h3 className="font-semibold mb-2">
-                        Terraform (auto-selected for {design.design.cloud})
+                        {iac.tool} (auto-selected for {design.design.cloud})
                       </h3>
-                      <pre className="bg-gray-900 text-green-100 p-3 rounded-xl overflow-auto text-xs">
-                        {tf}
-                      </pre>
+                      {iac.note && <p className="text-sm text-amber-600 mb-2">{iac.note}</p>}
+                      {Object.entries(iac.files).map(([name, content]) => (
+                        <div key={name} className="mb-3">
+                          {Object.keys(iac.files).length > 1 && (
+                            <p className="text-xs font-mono text-gray-600 mb-1">{name}</p>
+                          )}
+                          <pre className="bg-gray-900 text-green-100 p-3 rounded-xl overflow-auto text-xs">
+                            {content}
+                          </pre>
+                        </div>
+                      ))}
                       <div className="flex gap-3 mt-2">
                         <button
-                          onClick={downloadTF}
-                          className="px-4 py-2 rounded-xl border bg-white hover:bg-gray-50"
+                          onClick={downloadIaC}
+                          disabled={!validation.valid}
+                          className="px-4 py-2 rounded-xl border bg-white hover:bg-gray-50 disabled:opacity-40"
                         >
-                          Download main.tf
+                          {Object.keys(iac.files).length > 1
+                            ? `Download ${iac.tool} project (.zip)`
+                            : `Download ${Object.keys(iac.files)[0]}`}
                         </button>
+                        {iac.tool === "Terraform" && (
+                          <button
+                            onClick={downloadTerraformBundle}
+                            disabled={!validation.valid}
+                            className="px-4 py-2 rounded-xl border bg-white hover:bg-gray-50 disabled:opacity-40"
+                          >
+                            Download Terraform modules (.zip)
+                          </button>
+                        )}
                         <button
                           onClick={downloadJSON}
-                          className="px-4 py-2 rounded-xl border bg-white hover:bg-gray-50"
+                          disabled={!validation.valid}
+                          className="px-4 py-2 rounded-xl border bg-white hover:bg-gray-50 disabled:opacity-40"
                         >
                           Download Order JSON
                         </button>
+                        <button
+                          onClick={downloadRunbook}
+                          disabled={!validation.valid}
+                          className="px-4 py-2 rounded-xl border bg-white hover:bg-gray-50 disabled:opacity-40"
+                        >
+                          Download DR runbook
+                        </button>
+                        <button
+                          onClick={downloadSchema}
+                          className="px-4 py-2 rounded-xl border bg-white hover:bg-gray-50"
+                        >
+                          Download JSON Schema
+                        </button>
                       </div>
+                      {!validation.valid && (
+                        <p className="text-sm text-red-600 mt-2">
+                          Downloads are disabled until the validation errors listed in the Summary are fixed.
+                        </p>
+                      )}
                     </div>
 
                     <div className="text-xs text-gray-500">
                       <p>
-                        Note: Azure exporter is richer (hub/spoke + peering, Front Door, Log Analytics, Key Vault
-                        stubs). AWS/GCP exporters are minimal VPC/VNet stubs — extend as needed.
+                        Note: AWS and GCP exporters cover networking, workloads, security and operations; the Azure
+                        exporter covers hub/spoke networking, Front Door, Log Analytics, Key Vault and Azure Backup.
                       </p>
                     </div>
                   </div>
@@ -1285,7 +9532,8 @@ export default function CloudOrderWizard() {
                     </button>
                   ) : (
                     <button
-                      className="px-4 py-2 rounded-xl bg-emerald-600 text-white hover:bg-emerald-700"
+                      className="px-4 py-2 rounded-xl bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-40"
+                      disabled={!validation.valid}
                       onClick={downloadJSON}
                     >
                       Export Order JSON
@@ -1296,8 +9544,24 @@ export default function CloudOrderWizard() {
             </div>
           </div>
 
-          {/* Right: Live Design Preview */}
+          {/* Right: Order library + Live Design Preview */}
           <div className="bg-white rounded-2xl shadow p-6">
+            <div className="mb-6">
+              <OrderLibrary
+                orders={orders}
+                currentId={orderId}
+                saveState={saveState}
+                importReport={importReport}
+                onImport={importOrderFile}
+                onDismissImport={() => setImportReport(null)}
+                onNew={newOrder}
+                onOpen={openOrder}
+                onDuplicate={duplicateOrder}
+                onRename={renameOrder}
+                onDelete={deleteOrder}
+                onCompare={() => setComparing(true)}
+              />
+            </div>
             <h3 className="font-semibold mb-2">Live Design Preview</h3>
             <pre className="bg-gray-100 p-3 rounded-xl overflow-auto text-xs max-h-[70vh]">
               {JSON.stringify(design, null, 2)}
@@ -1307,6 +9571,8 @@ export default function CloudOrderWizard() {
             </div>
           </div>
         </div>
+
+        {comparing && <OrderDiff orders={orders} currentForm={form} onClose={() => setComparing(false)} />}
       </div>
     </div>
   );